@@ -0,0 +1,23 @@
+const fs = require('fs');
+
+/**
+ * Write a file through a temporary name next to it, then rename it into place, so a
+ * crash or a forced exit never leaves half a file behind
+ * @param {string} filePath - File to write
+ * @param {string|Buffer} data - Contents
+ * @param {string|Object} [options] - Encoding or options of fs.writeFileSync
+ */
+function writeFileAtomic(filePath, data, options) {
+  const tempPath = `${filePath}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, data, options);
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  writeFileAtomic
+};
\ No newline at end of file
@@ -0,0 +1,363 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createPlateReplacer, getSourceConfig } = require('./plate_replacer');
+const { createImageSource, IMAGE_EXTENSIONS } = require('./image_sources');
+const { SourceError, resolveSource } = require('./source_resolver');
+const { getImageId } = require('./job_manifest');
+const { ProcessingError } = require('./retry_policy');
+const { ImageQueue } = require('./image_queue');
+const { FINAL_IMAGE_STATES, BatchStore } = require('./batch_store');
+const { logger } = require('./logger');
+
+// Uploaded files are kept below the output directory, so their batches can be resumed after a restart
+const UPLOAD_DIR = '.plate-replacer-uploads';
+
+/**
+ * Error in a request to the service, carrying the HTTP status code to answer with
+ */
+class RequestError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - What is wrong with the request
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'RequestError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Keep an uploaded file name from leaving the upload directory
+function sanitizeFilename(filename) {
+  return path.basename(String(filename).replace(/\\/g, '/')).replace(/[:*?"<>|]/g, '_') || 'image';
+}
+
+/**
+ * Runs batches of images submitted over the HTTP API. Every batch shares one replacer, so
+ * rate limits, the daily quota, the job manifest and output names cover all of them, and
+ * images of every batch go through one queue bounded by `processing.maxConcurrent`.
+ * Batches are kept in a BatchStore, and batches that were not done when the service
+ * stopped are picked up again by start().
+ */
+class BatchService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.config - Configuration, validated like createPlateReplacer
+   * @throws {ConfigError} - When the configuration is invalid
+   */
+  constructor({ config }) {
+    // Source adapters able to open images listed from a source reference, by image ID
+    this.openers = new Map();
+    this.replacer = createPlateReplacer({
+      config,
+      source: {
+        type: 'service',
+        location: 'HTTP API',
+        listImages: async () => [],
+        openImage: image => this.openImage(image)
+      }
+    });
+    this.config = this.replacer.config;
+    logger.addSecret(this.config.server.token);
+    this.store = new BatchStore(this.replacer.outputDir);
+    this.uploadDir = path.join(this.replacer.outputDir, UPLOAD_DIR);
+    this.queue = new ImageQueue(this.replacer);
+    // Results being recorded, including the notifications of finished batches
+    this.recording = new Set();
+    this.stopping = false;
+  }
+  
+  /**
+   * Validate the plates and resume every batch that was not done when the service stopped
+   * @returns {Promise<void>}
+   * @throws {ConfigError} - When a plate image is unusable
+   */
+  async start() {
+    await this.replacer.validatePlates();
+    fs.mkdirSync(this.replacer.outputDir, { recursive: true });
+    
+    const unfinished = this.store.list().filter(batch => batch.status === 'queued' || batch.status === 'running');
+    for (const batch of unfinished) {
+      if (batch.source) {
+        this.registerSource(createImageSource(getSourceConfig(this.config, batch.source)), batch.images.map(entry => entry.image));
+      }
+      this.enqueue(batch);
+    }
+    if (unfinished.length > 0) {
+      logger.info(`🔁 Resuming ${unfinished.length} unfinished batch(es)`);
+    }
+  }
+  
+  /**
+   * Stop starting images and wait for those in progress. Queued images stay queued and
+   * are resumed by the next start(), like images cut short by replacer.cancel().
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopping = true;
+    await this.queue.drain();
+    await Promise.all(this.recording);
+  }
+  
+  /**
+   * Create a batch and queue its images
+   * @param {Object} request - Exactly one of `urls`, `uploads` and `source`
+   * @param {Array<string|Object>} [request.urls] - Image URLs, or { url, name } objects
+   * @param {Array<Object>} [request.uploads] - Uploaded files as { filename, data }
+   * @param {Object} [request.source] - Source reference as { type, location }; an empty
+   *   object means the configured source
+   * @returns {Promise<Object>} - The new batch (see BatchStore)
+   * @throws {RequestError} - When the request is invalid or its source cannot be listed
+   */
+  async createBatch({ urls, uploads, source } = {}) {
+    if (this.stopping) {
+      throw new RequestError(503, 'The service is shutting down');
+    }
+    const kinds = [urls, uploads, source].filter(value => value !== undefined);
+    if (kinds.length !== 1) {
+      throw new RequestError(400, 'A batch needs exactly one of "urls", uploaded files or "source"');
+    }
+    
+    const id = crypto.randomUUID();
+    let images;
+    let sourceReference = null;
+    if (urls !== undefined) {
+      images = this.getUrlImages(urls);
+    } else if (uploads !== undefined) {
+      images = this.saveUploads(id, uploads);
+    } else {
+      ({ images, sourceReference } = await this.listSource(source));
+    }
+    
+    const batch = this.store.create(images, { id, source: sourceReference });
+    logger.info(`📥 Batch ${batch.id}: ${images.length} image(s)`);
+    // The quota may have been renewed since the last batch
+    this.replacer.quotaReached = false;
+    // Name outputs in request order, whatever order the images finish in
+    this.replacer.namer.assign(images);
+    this.enqueue(batch);
+    return batch;
+  }
+  
+  // Images for a list of URLs
+  getUrlImages(urls) {
+    if (!Array.isArray(urls) || urls.length === 0) {
+      throw new RequestError(400, '"urls" must be a non-empty array');
+    }
+    return urls.map((entry, index) => {
+      const { url, name } = typeof entry === 'string' ? { url: entry } : entry || {};
+      if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+        throw new RequestError(400, `urls[${index}]: must be an http(s) URL`);
+      }
+      return name ? { url, name: String(name) } : { url };
+    });
+  }
+  
+  // Store uploaded files so they can be submitted, also after a restart
+  saveUploads(batchId, uploads) {
+    if (uploads.length === 0) {
+      throw new RequestError(400, 'No files were uploaded');
+    }
+    const problems = uploads
+      .filter(upload => !IMAGE_EXTENSIONS.includes(path.extname(upload.filename || '').toLowerCase()) || upload.data.length === 0)
+      .map(upload => upload.filename || '(no name)');
+    if (problems.length > 0) {
+      throw new RequestError(400, `Uploads must be non-empty ${IMAGE_EXTENSIONS.join('/')} files: ${problems.join(', ')}`);
+    }
+    
+    const batchDir = path.join(this.uploadDir, batchId);
+    fs.mkdirSync(batchDir, { recursive: true });
+    return uploads.map((upload, index) => {
+      const name = sanitizeFilename(upload.filename);
+      // Prefixed with the index, as several uploads may share a name
+      const filePath = path.join(batchDir, `${index}-${name}`);
+      fs.writeFileSync(filePath, upload.data);
+      return { filePath, name, folder: '' };
+    });
+  }
+  
+  // List the images of a source reference
+  async listSource(reference) {
+    if (reference === null || typeof reference !== 'object' || Array.isArray(reference)) {
+      throw new RequestError(400, '"source" must be an object such as { "type": "googleDrive", "location": "<folder URL>" }');
+    }
+    let source;
+    try {
+      const sourceConfig = getSourceConfig(this.config, { type: reference.type, location: reference.location });
+      // Paths on this machine are only read when the operator allows it
+      if (sourceConfig.path && reference.location && !this.config.server.allowSourcePaths) {
+        throw new RequestError(403, `Source "${sourceConfig.type}" reads files on the server; set server.allowSourcePaths to allow it`);
+      }
+      source = createImageSource(sourceConfig);
+    } catch (error) {
+      throw error instanceof RequestError ? error : new RequestError(400, error.message);
+    }
+    
+    try {
+      const { images } = await resolveSource(source);
+      this.registerSource(source, images);
+      return { images, sourceReference: { type: source.type, location: source.location } };
+    } catch (error) {
+      if (error instanceof SourceError) {
+        throw new RequestError(422, `${error.message} (${error.hint})`);
+      }
+      throw error;
+    }
+  }
+  
+  // Remember which source opens the images listed from it
+  registerSource(source, images) {
+    if (typeof source.openImage === 'function') {
+      images.forEach(image => this.openers.set(getImageId(image), source));
+    }
+  }
+  
+  // Content of an image without a public URL
+  async openImage(image) {
+    if (image.filePath) {
+      return fs.createReadStream(image.filePath);
+    }
+    const source = this.openers.get(getImageId(image));
+    if (!source) {
+      throw new ProcessingError('source', `No source can open ${image.name || getImageId(image)}`);
+    }
+    return source.openImage(image);
+  }
+  
+  // Queue the images of a batch that are not done yet
+  enqueue(batch) {
+    for (const entry of batch.images.filter(entry => !FINAL_IMAGE_STATES.includes(entry.status))) {
+      const recorded = this.queue.add(entry.image, {
+        shouldStart: () => !this.stopping && this.store.get(batch.id).status !== 'cancelled',
+        onStart: () => this.store.updateImage(batch.id, entry.index, { status: 'running' })
+      }).then(result => this.recordResult(batch.id, entry.index, result));
+      this.track(recorded);
+    }
+  }
+  
+  // Keep a recording task until it is done, so stop() can wait for it
+  track(task) {
+    this.recording.add(task);
+    task.finally(() => this.recording.delete(task));
+  }
+  
+  // Record the outcome of an image in its batch
+  recordResult(batchId, index, result) {
+    if (!result) {
+      // Left queued for the next start, unless the batch was cancelled or the quota ran out
+      if (this.stopping || this.replacer.cancelled || FINAL_IMAGE_STATES.includes(this.store.get(batchId).images[index].status)) {
+        return;
+      }
+      const cancelled = this.store.get(batchId).status === 'cancelled';
+      this.store.updateImage(batchId, index, { status: cancelled ? 'cancelled' : 'deferred', completedAt: new Date().toISOString() });
+    } else if (result.status === 'cancelled') {
+      // Cut short by replacer.cancel(); the job manifest lets the next start resume it
+      this.store.updateImage(batchId, index, { status: 'queued' });
+      return;
+    } else {
+      this.store.updateImage(batchId, index, {
+        status: result.status,
+        imageUrl: result.imageUrl || null,
+        outputPath: result.outputPath || null,
+        error: result.error || null,
+        errorCategory: result.errorCategory || null,
+        completedAt: result.completedAt || new Date().toISOString()
+      });
+    }
+    return this.notifyIfDone(batchId);
+  }
+  
+  // Send the notifications of a batch once all of its images are done
+  async notifyIfDone(batchId) {
+    const batch = this.store.get(batchId);
+    if (batch.notifiedAt || !batch.images.every(entry => FINAL_IMAGE_STATES.includes(entry.status))) {
+      return;
+    }
+    this.store.update(batchId, { notifiedAt: new Date().toISOString() });
+    await this.replacer.notifier.notifyBatch({
+      source: batch.source || { type: 'service', location: 'HTTP API' },
+      batchId,
+      startedAt: batch.createdAt,
+      results: batch.images
+    });
+  }
+  
+  /**
+   * A batch by ID
+   * @param {string} id - Batch ID
+   * @returns {Object} - The batch (see BatchStore)
+   * @throws {RequestError} - 404 when there is no such batch
+   */
+  getBatch(id) {
+    const batch = this.store.get(id);
+    if (!batch) {
+      throw new RequestError(404, `No batch ${id}`);
+    }
+    return batch;
+  }
+  
+  // Every batch, oldest first
+  listBatches() {
+    return this.store.list();
+  }
+  
+  /**
+   * An image of a batch
+   * @param {string} id - Batch ID
+   * @param {number} index - Image index within the batch
+   * @returns {Object} - The image entry (see BatchStore)
+   * @throws {RequestError} - 404 when there is no such batch or image
+   */
+  getImage(id, index) {
+    const entry = this.getBatch(id).images[index];
+    if (!entry) {
+      throw new RequestError(404, `Batch ${id} has no image ${index}`);
+    }
+    return entry;
+  }
+  
+  /**
+   * Output file of a finished image
+   * @param {string} id - Batch ID
+   * @param {number} index - Image index within the batch
+   * @returns {string} - Absolute path of the result
+   * @throws {RequestError} - 404 for an unknown image, 409 when it has no result
+   */
+  getResultPath(id, index) {
+    const entry = this.getImage(id, index);
+    if (!entry.outputPath || !fs.existsSync(entry.outputPath)) {
+      throw new RequestError(409, `Image ${index} of batch ${id} has no result (status: ${entry.status})`);
+    }
+    return entry.outputPath;
+  }
+  
+  /**
+   * Cancel a batch: images not started yet are not submitted. Images already submitted
+   * have used their credit, so they are finished and keep their results.
+   * @param {string} id - Batch ID
+   * @returns {Object} - The batch
+   * @throws {RequestError} - 404 for an unknown batch, 409 when it is already done
+   */
+  cancelBatch(id) {
+    const batch = this.getBatch(id);
+    if (batch.status === 'completed' || batch.status === 'cancelled') {
+      throw new RequestError(409, `Batch ${id} is already ${batch.status}`);
+    }
+    
+    this.store.update(id, { status: 'cancelled' });
+    const now = new Date().toISOString();
+    batch.images
+      .filter(entry => entry.status === 'queued')
+      .forEach(entry => this.store.updateImage(id, entry.index, { status: 'cancelled', completedAt: now }));
+    logger.info(`🛑 Batch ${id} cancelled`);
+    // The batch is done now if none of its images was running
+    this.track(this.notifyIfDone(id));
+    return batch;
+  }
+}
+
+module.exports = {
+  RequestError,
+  BatchService
+};
\ No newline at end of file
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomic_write');
+
+const BATCHES_FILE = '.plate-replacer-batches.json';
+const BATCHES_VERSION = 1;
+
+// Image states after which nothing more happens to the image
+const FINAL_IMAGE_STATES = ['succeeded', 'needs_review', 'skipped', 'failed', 'deferred', 'cancelled'];
+
+/**
+ * Batches submitted to the service, kept in the output directory and saved after each
+ * change so they survive a restart.
+ *
+ * Batches look like { id, status, source, createdAt, updatedAt, images } where `status` is
+ * "queued", "running", "completed" or "cancelled", `source` is the { type, location } the
+ * images were listed from (null for URLs and uploads), and every image is { index, name,
+ * image, status, imageUrl, outputPath, error, errorCategory, completedAt } with `status`
+ * "queued", "running" or one of FINAL_IMAGE_STATES.
+ */
+class BatchStore {
+  /**
+   * @param {string} outputDir - Output directory holding the batches file
+   */
+  constructor(outputDir) {
+    this.filePath = path.join(outputDir, BATCHES_FILE);
+    // A Map, so IDs such as "__proto__" are plain keys
+    this.batches = new Map();
+    
+    if (fs.existsSync(this.filePath)) {
+      try {
+        this.batches = new Map(Object.entries(JSON.parse(fs.readFileSync(this.filePath, 'utf8')).batches || {}));
+      } catch (error) {
+        throw new Error(`Batch file ${this.filePath} is corrupt (${error.message}). Delete it to start over.`);
+      }
+    }
+  }
+  
+  // Batch by ID, or undefined
+  get(id) {
+    return this.batches.get(id);
+  }
+  
+  // Every batch, oldest first
+  list() {
+    return [...this.batches.values()];
+  }
+  
+  /**
+   * Add a batch of queued images
+   * @param {Array<Object>} images - Images from a source
+   * @param {Object} [options] - Batch options
+   * @param {string} [options.id] - Batch ID, generated when not given
+   * @param {Object} [options.source] - { type, location } the images were listed from
+   * @returns {Object} - The new batch
+   */
+  create(images, { id = crypto.randomUUID(), source = null } = {}) {
+    const now = new Date().toISOString();
+    this.batches.set(id, {
+      id,
+      status: 'queued',
+      source,
+      createdAt: now,
+      updatedAt: now,
+      images: images.map((image, index) => ({
+        index,
+        name: image.name || image.url,
+        image,
+        status: 'queued',
+        imageUrl: null,
+        outputPath: null,
+        error: null,
+        errorCategory: null,
+        completedAt: null
+      }))
+    });
+    this.save();
+    return this.batches.get(id);
+  }
+  
+  /**
+   * Merge fields into a batch and save
+   * @param {string} id - Batch ID
+   * @param {Object} fields - Fields to set
+   * @returns {Object} - The updated batch
+   */
+  update(id, fields) {
+    const batch = this.batches.get(id);
+    Object.assign(batch, fields, { updatedAt: new Date().toISOString() });
+    this.save();
+    return batch;
+  }
+  
+  /**
+   * Merge fields into an image of a batch and save. The batch is completed once every
+   * image reached a final state.
+   * @param {string} id - Batch ID
+   * @param {number} index - Image index within the batch
+   * @param {Object} fields - Fields to set
+   * @returns {Object} - The updated image
+   */
+  updateImage(id, index, fields) {
+    const batch = this.batches.get(id);
+    Object.assign(batch.images[index], fields);
+    
+    if (batch.status !== 'cancelled') {
+      const done = batch.images.every(image => FINAL_IMAGE_STATES.includes(image.status));
+      batch.status = done ? 'completed' : 'running';
+    }
+    return this.update(id, {}).images[index];
+  }
+  
+  // Write the batches to disk, through a temporary file so a crash never leaves half a file
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    writeFileAtomic(this.filePath, JSON.stringify({ version: BATCHES_VERSION, batches: Object.fromEntries(this.batches) }, null, 2));
+  }
+}
+
+module.exports = {
+  FINAL_IMAGE_STATES,
+  BatchStore
+};
\ No newline at end of file
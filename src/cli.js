@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  createPlateReplacer,
+  JobManifest,
+  readLastRun,
+  printFailures,
+  printVehicles,
+  getOutputDir,
+  getSourceConfig,
+  getSinkConfigs
+} = require('./plate_replacer');
+const { ConfigError, loadConfig } = require('./config_loader');
+const { SOURCE_DESCRIPTIONS } = require('./image_sources');
+const { SINK_DESCRIPTIONS } = require('./output_sinks');
+const { SourceError } = require('./source_resolver');
+const { FolderWatcher } = require('./folder_watcher');
+const { BatchService } = require('./batch_service');
+const { createNotifier } = require('./notifier');
+const { createHttpServer } = require('./http_server');
+const { LOG_FORMATS, logger } = require('./logger');
+
+const SOURCE_ERROR_EXIT_CODE = 2;
+
+const USAGE = `Usage: plate-replacer [command] [options]
+
+Commands:
+  run               Process every image of the configured source (default)
+  watch             Keep watching the source and process new images as they arrive
+  serve             Run the HTTP API for submitting and tracking batches
+  status            Show the summary of the last run
+  retry-failed      Process the images that failed in the last run again
+  list-sources      List the available image sources and output sinks
+  validate-config   Check the configuration without processing anything
+
+Options:
+  --config <file>       Configuration file (default: $PLATE_REPLACER_CONFIG, then src/config.json)
+  --profile <name>      Named profile from the configuration file (default: $PLATE_REPLACER_PROFILE)
+  --source <type>       Image source type: ${Object.keys(SOURCE_DESCRIPTIONS).join(', ')}
+  --input <location>    Source location: folder URL, directory, list file or listing URL
+  --output <dir>        Working output directory (default: output_images)
+  --plate <file>        Plate PNG to use instead of the first PNG in plate/
+  --parallel            Process images in parallel
+  --sequential          Process images one at a time
+  --concurrency <n>     Maximum number of images processed at once in parallel mode
+  --suffix <suffix>     Suffix added to output file names
+  --name-template <t>   Output name template, e.g. "{folder}/{name}{suffix}.{ext}"
+  --port <n>            (serve) Port to listen on (default: 8080)
+  --check-source        (run) List what would be processed without submitting anything
+  --dry-run             (run) Show what would be submitted with output names, credits and duration
+  --force               (run) Submit every image again, even those the job manifest records as done
+  --vehicle <id>        (retry-failed) Only retry the failed images of this vehicle
+  -q, --quiet           Only print warnings and errors
+  -v, --verbose         Also print debug details such as API requests and responses
+  --log-format <f>      Console output format: ${LOG_FORMATS.join(', ')} (json prints one JSON object per line)
+  --log-dir <dir>       Write a JSON-lines log file for this run into <dir>
+  -h, --help            Show this help
+
+Environment:
+  CARCUTTER_API_KEY     API key (overrides api.apiKey)
+  CARCUTTER_API_URL     API base URL (overrides api.baseUrl)
+  PLATE_REPLACER_SERVER_TOKEN
+                        Bearer token the serve command requires (overrides server.token)
+  PLATE_REPLACER_LOG_LEVEL
+                        Console log level: error, warn, info or debug (overrides logging.level)`;
+
+// Options accepted by every command
+const OPTIONS = {
+  config: { type: 'string' },
+  profile: { type: 'string' },
+  source: { type: 'string' },
+  input: { type: 'string' },
+  output: { type: 'string' },
+  plate: { type: 'string' },
+  parallel: { type: 'boolean' },
+  sequential: { type: 'boolean' },
+  concurrency: { type: 'string' },
+  suffix: { type: 'string' },
+  'name-template': { type: 'string' },
+  port: { type: 'string' },
+  'check-source': { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  force: { type: 'boolean' },
+  vehicle: { type: 'string' },
+  quiet: { type: 'boolean', short: 'q' },
+  verbose: { type: 'boolean', short: 'v' },
+  'log-format': { type: 'string' },
+  'log-dir': { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Turn command-line flags into a partial configuration that overrides the file
+ * @param {Object} values - Parsed command-line options
+ * @returns {Object} - Partial configuration
+ */
+function getCliOverrides(values) {
+  const overrides = { processing: {}, output: {}, logging: {} };
+  
+  if (values.output !== undefined) {
+    overrides.output.directory = values.output;
+  }
+  if (values.suffix !== undefined) {
+    overrides.output.suffix = values.suffix;
+  }
+  if (values['name-template'] !== undefined) {
+    overrides.output.template = values['name-template'];
+  }
+  if (values.plate !== undefined) {
+    overrides.plate = { path: values.plate };
+  }
+  if (values.parallel && values.sequential) {
+    throw new Error('--parallel and --sequential cannot be used together');
+  }
+  if (values.parallel) {
+    overrides.processing.parallelProcessing = true;
+  }
+  if (values.sequential) {
+    overrides.processing.parallelProcessing = false;
+  }
+  if (values.concurrency !== undefined) {
+    const concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`--concurrency must be a positive integer, got "${values.concurrency}"`);
+    }
+    overrides.processing.maxConcurrent = concurrency;
+  }
+  if (values.port !== undefined) {
+    const port = Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error(`--port must be a port number, got "${values.port}"`);
+    }
+    overrides.server = { port };
+  }
+  if (values.quiet && values.verbose) {
+    throw new Error('--quiet and --verbose cannot be used together');
+  }
+  if (values.quiet) {
+    overrides.logging.level = 'warn';
+  }
+  if (values.verbose) {
+    overrides.logging.level = 'debug';
+  }
+  if (values['log-format'] !== undefined) {
+    overrides.logging.format = values['log-format'];
+  }
+  if (values['log-dir'] !== undefined) {
+    overrides.logging.directory = values['log-dir'];
+  }
+  
+  return overrides;
+}
+
+// Source override from --source and --input
+function getSourceOverride(values) {
+  return {
+    type: values.source,
+    location: values.input
+  };
+}
+
+// Resolve on the next SIGINT or SIGTERM
+function waitForSignal() {
+  return new Promise(resolve => {
+    const onSignal = (signal) => {
+      process.off('SIGINT', onSignal);
+      process.off('SIGTERM', onSignal);
+      resolve(signal);
+    };
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+  });
+}
+
+/**
+ * Wait for SIGINT or SIGTERM, then stop the replacer gracefully: nothing new is submitted
+ * or polled and the downloads in progress finish. A second signal, or still running after
+ * processing.shutdownTimeoutMs, quits at once.
+ * @param {PlateReplacer} replacer - Replacer to cancel
+ * @param {string} resumedBy - What resumes the unfinished images, e.g. "the next run"
+ * @returns {Promise<string>} - The signal, once the replacer was cancelled
+ */
+async function waitForShutdown(replacer, resumedBy) {
+  const signal = await waitForSignal();
+  const timeoutMs = replacer.config.processing.shutdownTimeoutMs;
+  logger.info(`\n🛑 ${signal} received, submitting nothing more and finishing the downloads in progress (send it again to quit now)`);
+  // Submitted images are in the job manifest either way, so they are resumed later
+  waitForSignal().then(() => process.exit(1));
+  setTimeout(() => {
+    logger.warn(`⚠️ Still running ${timeoutMs / 1000}s after ${signal}, quitting; ${resumedBy} resumes the unfinished images`);
+    process.exit(1);
+  }, timeoutMs).unref();
+  replacer.cancel();
+  return signal;
+}
+
+// `run`: process the configured source
+async function runCommand(config, values) {
+  const replacer = createPlateReplacer({ config, source: getSourceOverride(values) });
+  
+  waitForShutdown(replacer, 'the next run').then(signal => {
+    // Exit the way the signal would have, once the summary is written
+    process.exitCode = 128 + os.constants.signals[signal];
+  });
+  
+  await replacer.run({ checkSource: values['check-source'], dryRun: values['dry-run'], force: values.force });
+}
+
+// `watch`: process new images until stopped, then summarize the session
+async function watchCommand(config, values) {
+  const replacer = createPlateReplacer({ config, source: getSourceOverride(values) });
+  replacer.printBanner();
+  const watcher = new FolderWatcher(replacer);
+  await watcher.start();
+  logger.info('Press Ctrl+C to stop');
+  
+  await waitForShutdown(replacer, 'the next run');
+  const summary = await watcher.stop();
+  await replacer.reportRun(summary, watcher.startedAt);
+}
+
+// `serve`: run the HTTP API until stopped
+async function serveCommand(config) {
+  const service = new BatchService({ config });
+  const { host, port, token, maxUploadBytes } = service.config.server;
+  service.replacer.printBanner();
+  await service.start();
+  
+  const server = createHttpServer(service, { token, maxUploadBytes });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  logger.info(`🌐 Listening on http://${host}:${server.address().port}${token ? ' (bearer token required)' : ''}`);
+  if (!token && !['127.0.0.1', 'localhost', '::1'].includes(host)) {
+    logger.warn('⚠️ The API is reachable from other machines without a token; set server.token');
+  }
+  
+  await waitForShutdown(service.replacer, 'the next start');
+  server.close();
+  await service.stop();
+}
+
+// `status`: summarize the last run
+async function statusCommand(config) {
+  const outputDir = getOutputDir(config);
+  const lastRun = readLastRun(outputDir);
+  
+  if (!lastRun) {
+    console.log(`No previous run found in ${outputDir}`);
+    return;
+  }
+  
+  console.log(`\n====== Last Run ======`);
+  console.log(`Source: ${lastRun.source.type} (${lastRun.source.location})`);
+  console.log(`Started: ${lastRun.startedAt}`);
+  console.log(`Finished: ${lastRun.finishedAt}`);
+  console.log(`Total: ${lastRun.total}`);
+  console.log(`✅ Succeeded: ${lastRun.succeeded}`);
+  if (lastRun.needsReview) {
+    console.log(`🔍 Needs review: ${lastRun.needsReview}`);
+  }
+  if (lastRun.skipped !== undefined) {
+    console.log(`⏭️ Skipped: ${lastRun.skipped}`);
+  }
+  if (lastRun.deferred) {
+    console.log(`⛔ Deferred (daily quota reached): ${lastRun.deferred}`);
+  }
+  if (lastRun.cancelled) {
+    console.log(`🛑 Cancelled (resumed by the next run): ${lastRun.cancelled}`);
+  }
+  console.log(`❌ Failed: ${lastRun.failed}`);
+  printFailures(lastRun.failures);
+  lastRun.failedImages.forEach(image => console.log(`   - ${image.url || image.filePath || image.name}${image.vehicle ? ` [vehicle: ${image.vehicle}]` : ''}`));
+  printVehicles(lastRun.vehicles);
+  if (lastRun.requests) {
+    console.log(`📡 API requests: ${lastRun.requests.submission} submissions, ${lastRun.requests.status} status/result`);
+    console.log(`💳 Credits used: ${lastRun.creditsUsed}`);
+  }
+  if (lastRun.report) {
+    console.log(`📊 Report: ${lastRun.report}`);
+  }
+  console.log(`======================`);
+  
+  // The job manifest covers every run into this directory
+  const phases = Object.entries(new JobManifest(outputDir).countByPhase());
+  if (phases.length > 0) {
+    console.log(`Job manifest: ${phases.map(([phase, count]) => `${phase} ${count}`).join(', ')}`);
+  }
+}
+
+// `retry-failed`: reprocess the failures of the last run
+async function retryFailedCommand(config, values) {
+  const replacer = createPlateReplacer({ config, source: getSourceOverride(values) });
+  await replacer.retryFailed({ vehicle: values.vehicle });
+}
+
+// `list-sources`: show the built-in sources and sinks, marking the configured ones
+async function listSourcesCommand(config, values) {
+  const sourceConfig = getSourceConfig(config, getSourceOverride(values));
+  const sinkConfigs = getSinkConfigs(config, getOutputDir(config));
+  const sinkTypes = sinkConfigs.map(sinkConfig => sinkConfig.type);
+  
+  console.log('Image sources:');
+  for (const [type, description] of Object.entries(SOURCE_DESCRIPTIONS)) {
+    const marker = type === sourceConfig.type ? '*' : ' ';
+    console.log(` ${marker} ${type.padEnd(14)} ${description}`);
+  }
+  console.log(`\nConfigured source: ${sourceConfig.type} (${sourceConfig.url || sourceConfig.path || 'no location'})`);
+  
+  console.log('\nOutput sinks:');
+  for (const [type, description] of Object.entries(SINK_DESCRIPTIONS)) {
+    const marker = sinkTypes.includes(type) ? '*' : ' ';
+    console.log(` ${marker} ${type.padEnd(14)} ${description}`);
+  }
+}
+
+// `validate-config`: the schema was checked while loading, so check that the
+// source, sinks and plate images can be set up as well
+async function validateConfigCommand(config, values, { configPath, profile }) {
+  try {
+    const replacer = createPlateReplacer({ config, source: getSourceOverride(values) });
+    await replacer.validatePlates();
+  } catch (error) {
+    console.error('❌ Configuration is invalid:');
+    console.error(`   - ${error.message}`);
+    process.exit(1);
+  }
+  
+  console.log('✅ Configuration is valid');
+  console.log(`   File: ${configPath || 'none (defaults and environment variables only)'}`);
+  console.log(`   Profile: ${profile || 'none'}`);
+}
+
+const COMMANDS = {
+  run: runCommand,
+  watch: watchCommand,
+  serve: serveCommand,
+  status: statusCommand,
+  'retry-failed': retryFailedCommand,
+  'list-sources': listSourcesCommand,
+  'validate-config': validateConfigCommand
+};
+
+// Tell the configured notification transports that a command failed
+async function notifyFatal(config, commandName, values, error) {
+  let source = null;
+  try {
+    const sourceConfig = getSourceConfig(config, getSourceOverride(values));
+    source = { type: sourceConfig.type, location: sourceConfig.url || sourceConfig.path };
+  } catch (sourceError) {
+    // The notification is sent without a source
+  }
+  try {
+    await createNotifier(config).notifyFatal({ command: commandName, source, error });
+  } catch (notifyError) {
+    logger.warn(`⚠️ Could not send the fatal error notification: ${notifyError.message}`);
+  }
+}
+
+// Set up the logger for a command, with a log file for this run when logging.directory is set
+function configureLogging({ level, format, directory, fileLevel }, commandName) {
+  const file = directory
+    ? path.resolve(directory, `plate-replacer-${commandName}-${new Date().toISOString().replace(/[:.]/g, '-')}.log`)
+    : null;
+  logger.configure({ level, format, fileLevel, file });
+  if (file) {
+    logger.info(`📝 Logging to ${file}`);
+  }
+}
+
+/**
+ * Command-line entry point
+ * @param {Array<string>} [argv] - Arguments without the node executable and script
+ */
+async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  
+  const { values, positionals } = parsed;
+  
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  
+  const commandName = positionals[0] || 'run';
+  const command = COMMANDS[commandName];
+  
+  if (!command || positionals.length > 1) {
+    console.error(`❌ Unknown command: ${positionals.join(' ')}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  
+  let loaded;
+  try {
+    loaded = loadConfig({
+      configPath: values.config,
+      profile: values.profile,
+      overrides: getCliOverrides(values)
+    });
+    configureLogging(loaded.config.logging, commandName);
+    await command(loaded.config, values, loaded);
+  } catch (error) {
+    // Without a configuration there is nowhere to send a notification
+    if (loaded) {
+      await notifyFatal(loaded.config, commandName, values, error);
+    }
+    if (error instanceof ConfigError) {
+      logger.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    if (error instanceof SourceError) {
+      logger.error(`❌ Image source failed (${error.reason}): ${error.message}\n   ${error.hint}`, { reason: error.reason });
+      process.exit(SOURCE_ERROR_EXIT_CODE);
+    }
+    logger.error(`❌ Fatal Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  main,
+  getCliOverrides
+};
+
+if (require.main === module) {
+  main();
+}
\ No newline at end of file
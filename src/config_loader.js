@@ -0,0 +1,655 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_TEMPLATE, COLLISION_POLICIES, checkTemplate } = require('./output_naming');
+const { OUTPUT_FORMATS, METADATA_POLICIES } = require('./post_processor');
+const { NOTIFICATION_EVENTS } = require('./notifier');
+const { LOG_LEVELS, LOG_FORMATS } = require('./logger');
+const { DEDUPE_MODES, checkPattern } = require('./input_filter');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'config.json');
+
+// Environment variables that override configuration settings
+const ENV_OVERRIDES = {
+  CARCUTTER_API_KEY: 'api.apiKey',
+  CARCUTTER_API_URL: 'api.baseUrl',
+  PLATE_REPLACER_OUTPUT_DIR: 'output.directory',
+  PLATE_REPLACER_SERVER_TOKEN: 'server.token',
+  PLATE_REPLACER_SMTP_PASSWORD: 'notifications.smtp.password',
+  PLATE_REPLACER_LOG_LEVEL: 'logging.level'
+};
+
+// Environment variables that only complete a section the configuration sets up, since
+// a password alone does not make an SMTP server
+const SECTION_ENV_OVERRIDES = ['PLATE_REPLACER_SMTP_PASSWORD'];
+
+// Placeholder values such as "YOUR_API_KEY" from the examples
+const PLACEHOLDER_PATTERN = /^YOUR_[A-Z_]+$/i;
+
+// Credentials for the Google Drive API
+const DRIVE_AUTH_SCHEMA = {
+  type: 'object',
+  discriminator: 'type',
+  variants: {
+    serviceAccount: {
+      keyFile: { type: 'string', required: true }
+    },
+    oauth: {
+      clientSecretFile: { type: 'string', required: true },
+      tokenFile: { type: 'string', required: true }
+    }
+  }
+};
+
+// List of images used when the source fails, if explicitly enabled
+const FALLBACK_SCHEMA = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean', default: false },
+    urls: { type: 'array', items: { type: 'string' }, default: [] }
+  }
+};
+
+const SOURCE_SCHEMA = {
+  type: 'object',
+  discriminator: 'type',
+  common: {
+    fallback: FALLBACK_SCHEMA
+  },
+  variants: {
+    googleDrive: {
+      url: { type: 'string', required: true },
+      auth: DRIVE_AUTH_SCHEMA,
+      recursive: { type: 'boolean' }
+    },
+    local: {
+      path: { type: 'string', required: true }
+    },
+    urlList: {
+      path: { type: 'string', required: true }
+    },
+    httpDirectory: {
+      url: { type: 'string', required: true }
+    }
+  }
+};
+
+const SINK_SCHEMA = {
+  type: 'object',
+  discriminator: 'type',
+  common: {
+    mirror: { type: 'boolean' }
+  },
+  variants: {
+    local: {
+      path: { type: 'string', required: true }
+    },
+    googleDrive: {
+      folderUrl: { type: 'string', required: true },
+      auth: DRIVE_AUTH_SCHEMA
+    },
+    s3: {
+      bucket: { type: 'string', required: true },
+      prefix: { type: 'string' },
+      endpoint: { type: 'string' },
+      region: { type: 'string' },
+      accessKeyId: { type: 'string' },
+      secretAccessKey: { type: 'string' },
+      forcePathStyle: { type: 'boolean' }
+    }
+  }
+};
+
+// Retry limits of one API operation
+function retryPolicySchema(maxAttempts) {
+  return {
+    type: 'object',
+    default: {},
+    properties: {
+      maxAttempts: { type: 'integer', min: 1, default: maxAttempts },
+      baseDelayMs: { type: 'integer', min: 0, default: 1000 },
+      maxDelayMs: { type: 'integer', min: 0, default: 30000 }
+    }
+  };
+}
+
+// Request budget of one kind of API call
+function rateBudgetSchema(requestsPerSecond, burst) {
+  return {
+    type: 'object',
+    default: {},
+    properties: {
+      requestsPerSecond: { type: 'number', exclusiveMin: 0, default: requestsPerSecond },
+      burst: { type: 'integer', min: 1, default: burst }
+    }
+  };
+}
+
+// Events a notification transport is sent, all of them when not set
+const NOTIFICATION_EVENTS_SCHEMA = {
+  type: 'array',
+  items: { type: 'string', enum: Object.keys(NOTIFICATION_EVENTS) }
+};
+
+// Schema of the configuration file, with defaults for optional settings
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    googleDrive: {
+      type: 'object',
+      default: {},
+      properties: {
+        folderUrl: { type: 'string' },
+        enabled: { type: 'boolean', default: true },
+        recursive: { type: 'boolean', default: false },
+        auth: DRIVE_AUTH_SCHEMA,
+        fallback: FALLBACK_SCHEMA
+      }
+    },
+    source: SOURCE_SCHEMA,
+    // Which listed images are submitted, and how they are grouped into vehicles
+    input: {
+      type: 'object',
+      default: {},
+      properties: {
+        include: { type: 'array', items: { type: 'string' }, default: [] },
+        exclude: { type: 'array', items: { type: 'string' }, default: [] },
+        includePattern: { type: 'string', check: checkPattern },
+        excludePattern: { type: 'string', check: checkPattern },
+        minFileSize: { type: 'integer', min: 0 },
+        maxFileSize: { type: 'integer', min: 1 },
+        minWidth: { type: 'integer', min: 1 },
+        minHeight: { type: 'integer', min: 1 },
+        maxWidth: { type: 'integer', min: 1 },
+        maxHeight: { type: 'integer', min: 1 },
+        dedupe: { type: 'string', default: 'none', enum: Object.keys(DEDUPE_MODES) },
+        maxHashDistance: { type: 'integer', min: 0, max: 64, default: 4 },
+        vehiclePattern: { type: 'string', check: checkPattern }
+      }
+    },
+    api: {
+      type: 'object',
+      default: {},
+      properties: {
+        baseUrl: { type: 'string', default: 'https://api.car-cutter.com/vehicle/image' },
+        apiKey: { type: 'string', required: true, rejectPlaceholder: true, env: 'CARCUTTER_API_KEY' },
+        timeoutMs: { type: 'integer', min: 1, default: 60000 }
+      }
+    },
+    processing: {
+      type: 'object',
+      default: {},
+      properties: {
+        cutType: { type: 'string', default: 'none' },
+        guidelineId: { type: 'string', default: 'default' },
+        parallelProcessing: { type: 'boolean', default: false },
+        maxConcurrent: { type: 'integer', min: 1, default: 3 },
+        shutdownTimeoutMs: { type: 'integer', min: 0, default: 30000 }
+      }
+    },
+    polling: {
+      type: 'object',
+      default: {},
+      properties: {
+        intervalMs: { type: 'integer', min: 0, default: 5000 },
+        maxIntervalMs: { type: 'integer', min: 0, default: 30000 },
+        backoffFactor: { type: 'number', min: 1, default: 1.5 },
+        batchSize: { type: 'integer', min: 1, default: 20 },
+        maxRetries: { type: 'integer', min: 1, default: 60 }
+      }
+    },
+    retry: {
+      type: 'object',
+      default: {},
+      properties: {
+        submission: retryPolicySchema(4),
+        status: retryPolicySchema(5),
+        result: retryPolicySchema(4),
+        notification: retryPolicySchema(3)
+      }
+    },
+    rateLimit: {
+      type: 'object',
+      default: {},
+      properties: {
+        submission: rateBudgetSchema(2, 4),
+        status: rateBudgetSchema(5, 10),
+        dailyImageQuota: { type: 'integer', min: 1 }
+      }
+    },
+    output: {
+      type: 'object',
+      default: {},
+      properties: {
+        suffix: { type: 'string', default: '_processed' },
+        template: { type: 'string', default: DEFAULT_TEMPLATE, check: checkTemplate },
+        onCollision: { type: 'string', default: 'number', enum: Object.keys(COLLISION_POLICIES) },
+        directory: { type: 'string' },
+        sinks: { type: 'array', items: SINK_SCHEMA }
+      }
+    },
+    plate: {
+      type: 'object',
+      properties: {
+        path: { type: 'string' },
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              folder: { type: 'string' },
+              pattern: { type: 'string' },
+              path: { type: 'string', required: true }
+            }
+          }
+        },
+        mappingFile: { type: 'string' }
+      }
+    },
+    watch: {
+      type: 'object',
+      default: {},
+      properties: {
+        intervalMs: { type: 'integer', min: 1000, default: 30000 },
+        settleMs: { type: 'integer', min: 0, default: 2000 }
+      }
+    },
+    server: {
+      type: 'object',
+      default: {},
+      properties: {
+        host: { type: 'string', default: '127.0.0.1' },
+        port: { type: 'integer', min: 0, max: 65535, default: 8080 },
+        token: { type: 'string', rejectPlaceholder: true, env: 'PLATE_REPLACER_SERVER_TOKEN' },
+        maxUploadBytes: { type: 'integer', min: 1, default: 100 * 1024 * 1024 },
+        allowSourcePaths: { type: 'boolean', default: false }
+      }
+    },
+    notifications: {
+      type: 'object',
+      default: {},
+      properties: {
+        onComplete: { type: 'boolean', default: true },
+        onFatal: { type: 'boolean', default: true },
+        failureThresholdPercent: { type: 'number', min: 0, max: 100 },
+        webhooks: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            properties: {
+              url: { type: 'string', required: true, rejectPlaceholder: true, check: value => (/^https?:\/\//i.test(value) ? null : 'must be an http(s) URL') },
+              headers: { type: 'object', values: { type: 'string' } },
+              events: NOTIFICATION_EVENTS_SCHEMA
+            }
+          }
+        },
+        smtp: {
+          type: 'object',
+          properties: {
+            host: { type: 'string', required: true },
+            port: { type: 'integer', min: 1, max: 65535, default: 587 },
+            secure: { type: 'boolean', default: false },
+            user: { type: 'string' },
+            password: { type: 'string', env: 'PLATE_REPLACER_SMTP_PASSWORD' },
+            from: { type: 'string', required: true },
+            to: { type: 'array', required: true, items: { type: 'string', required: true } },
+            events: NOTIFICATION_EVENTS_SCHEMA
+          }
+        }
+      }
+    },
+    logging: {
+      type: 'object',
+      default: {},
+      properties: {
+        level: { type: 'string', default: 'info', enum: LOG_LEVELS, env: 'PLATE_REPLACER_LOG_LEVEL' },
+        format: { type: 'string', default: 'text', enum: LOG_FORMATS },
+        // A JSON-lines log file is written here for every run when set
+        directory: { type: 'string' },
+        fileLevel: { type: 'string', default: 'debug', enum: LOG_LEVELS }
+      }
+    },
+    verification: {
+      type: 'object',
+      default: {},
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        checkDimensions: { type: 'boolean', default: true },
+        // Share of the pixels that must differ from the source, in percent
+        minChangedPercent: { type: 'number', min: 0, max: 100, default: 0.1 }
+      }
+    },
+    report: {
+      type: 'object',
+      default: {},
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        // Reports go to "reports" in the output directory when not set
+        directory: { type: 'string' },
+        thumbnails: { type: 'boolean', default: true },
+        thumbnailWidth: { type: 'integer', min: 16, default: 320 }
+      }
+    },
+    // Only applied when present
+    postProcessing: {
+      type: 'object',
+      properties: {
+        format: { type: 'string', default: 'auto', enum: ['auto', ...Object.keys(OUTPUT_FORMATS)] },
+        maxWidth: { type: 'integer', min: 1 },
+        maxHeight: { type: 'integer', min: 1 },
+        quality: { type: 'integer', min: 1, max: 100, default: 85 },
+        maxBytes: { type: 'integer', min: 1 },
+        metadata: { type: 'string', default: 'keep', enum: Object.keys(METADATA_POLICIES) },
+        thumbnails: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            properties: {
+              width: { type: 'integer', min: 1, required: true },
+              height: { type: 'integer', min: 1 },
+              suffix: { type: 'string', default: '_thumb' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Error raised when the configuration cannot be loaded or is invalid
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string} message - Summary of the problem
+   * @param {Array<string>} [problems] - Every invalid or missing setting, with its path
+   */
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n${problems.map(problem => `  - ${problem}`).join('\n')}` : message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Whether a value is a plain object (not an array or null)
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep merge `override` into `base`. Objects are merged, everything else is replaced.
+ * @param {Object} base - Base values
+ * @param {Object} override - Values that win
+ * @returns {Object} - New merged object
+ */
+function deepMerge(base, override) {
+  const merged = { ...base };
+  
+  for (const [key, value] of Object.entries(override)) {
+    if (value === undefined) {
+      continue;
+    }
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? deepMerge(merged[key], value) : value;
+  }
+  
+  return merged;
+}
+
+// Value at a dotted path such as "notifications.smtp", or undefined
+function getField(source, fieldPath) {
+  return fieldPath.split('.').reduce((current, key) => (isPlainObject(current) ? current[key] : undefined), source);
+}
+
+// Set a value at a dotted path such as "api.apiKey", creating objects on the way
+function setField(target, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  let current = target;
+  
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(current[key])) {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+  
+  current[keys[keys.length - 1]] = value;
+}
+
+// Human-readable type of a value for error messages
+function describeType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema node, filling in defaults.
+ * Every problem is appended to `problems` with the path of the setting.
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} fieldPath - Dotted path of the value
+ * @param {Array<string>} problems - Collected problems
+ * @returns {*} - The value with defaults applied
+ */
+function validateValue(value, schema, fieldPath, problems) {
+  if (value === undefined) {
+    if (schema.default !== undefined) {
+      value = structuredClone(schema.default);
+    } else {
+      if (schema.required) {
+        const envHint = schema.env ? ` (or set the ${schema.env} environment variable)` : '';
+        problems.push(`${fieldPath}: is required${envHint}`);
+      }
+      return undefined;
+    }
+  }
+  
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        problems.push(`${fieldPath}: must be a string, got ${describeType(value)}`);
+      } else if (schema.required && value.trim() === '') {
+        problems.push(`${fieldPath}: must not be empty`);
+      } else if (schema.rejectPlaceholder && PLACEHOLDER_PATTERN.test(value)) {
+        problems.push(`${fieldPath}: is still set to the placeholder "${value}"`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${fieldPath}: must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+      } else if (schema.check && schema.check(value)) {
+        problems.push(`${fieldPath}: ${schema.check(value)}`);
+      }
+      return value;
+    
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        problems.push(`${fieldPath}: must be true or false, got ${describeType(value)}`);
+      }
+      return value;
+    
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        problems.push(`${fieldPath}: must be a number, got ${JSON.stringify(value)}`);
+      } else if (schema.exclusiveMin !== undefined && value <= schema.exclusiveMin) {
+        problems.push(`${fieldPath}: must be greater than ${schema.exclusiveMin}, got ${value}`);
+      } else if (schema.min !== undefined && value < schema.min) {
+        problems.push(`${fieldPath}: must be at least ${schema.min}, got ${value}`);
+      } else if (schema.max !== undefined && value > schema.max) {
+        problems.push(`${fieldPath}: must be at most ${schema.max}, got ${value}`);
+      }
+      return value;
+    
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        problems.push(`${fieldPath}: must be an integer, got ${JSON.stringify(value)}`);
+      } else if (schema.min !== undefined && value < schema.min) {
+        problems.push(`${fieldPath}: must be at least ${schema.min}, got ${value}`);
+      } else if (schema.max !== undefined && value > schema.max) {
+        problems.push(`${fieldPath}: must be at most ${schema.max}, got ${value}`);
+      }
+      return value;
+    
+    case 'array':
+      if (!Array.isArray(value)) {
+        problems.push(`${fieldPath}: must be an array, got ${describeType(value)}`);
+        return value;
+      }
+      return value.map((item, index) => validateValue(item, schema.items, `${fieldPath}[${index}]`, problems));
+    
+    case 'object':
+      if (!isPlainObject(value)) {
+        problems.push(`${fieldPath}: must be an object, got ${describeType(value)}`);
+        return value;
+      }
+      return validateObject(value, schema, fieldPath, problems);
+    
+    default:
+      throw new Error(`Unknown schema type "${schema.type}" at ${fieldPath}`);
+  }
+}
+
+// Check the properties of an object node, including discriminated variants
+function validateObject(value, schema, fieldPath, problems) {
+  // Maps with free-form keys, such as HTTP headers
+  if (schema.values) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, validateValue(item, schema.values, `${fieldPath}.${key}`, problems)]));
+  }
+  
+  let properties = schema.properties || {};
+  
+  if (schema.discriminator) {
+    const variantName = value[schema.discriminator];
+    const variantPath = `${fieldPath}.${schema.discriminator}`;
+    
+    if (variantName === undefined) {
+      problems.push(`${variantPath}: is required (one of ${Object.keys(schema.variants).join(', ')})`);
+      return value;
+    }
+    if (!schema.variants[variantName]) {
+      problems.push(`${variantPath}: must be one of ${Object.keys(schema.variants).join(', ')}, got ${JSON.stringify(variantName)}`);
+      return value;
+    }
+    
+    properties = {
+      [schema.discriminator]: { type: 'string' },
+      ...schema.common,
+      ...schema.variants[variantName]
+    };
+  }
+  
+  const result = {};
+  
+  for (const key of Object.keys(value)) {
+    if (!properties[key]) {
+      problems.push(`${fieldPath}.${key}: is not a known setting`);
+      result[key] = value[key];
+    }
+  }
+  
+  for (const [key, propertySchema] of Object.entries(properties)) {
+    const propertyValue = validateValue(value[key], propertySchema, `${fieldPath}.${key}`, problems);
+    if (propertyValue !== undefined) {
+      result[key] = propertyValue;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Validate a configuration object and fill in defaults
+ * @param {Object} config - Configuration to check
+ * @returns {Object} - The configuration with defaults applied
+ * @throws {ConfigError} - Listing every invalid or missing setting
+ */
+function validateConfig(config) {
+  const problems = [];
+  const validated = validateValue(config, CONFIG_SCHEMA, 'config', problems);
+  
+  if (problems.length > 0) {
+    throw new ConfigError('Configuration is invalid', problems.map(problem => problem.replace(/^config\./, '')));
+  }
+  
+  return validated;
+}
+
+// Read and parse a JSON configuration file
+function readConfigFile(configPath) {
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new ConfigError(`Configuration file not found: ${configPath}`);
+    }
+    throw new ConfigError(`Invalid JSON in ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Load the configuration: file, then the selected profile, then environment
+ * variables, then explicit overrides (e.g. command-line flags), then defaults.
+ * @param {Object} [options] - Loading options
+ * @param {string} [options.configPath] - Configuration file. Defaults to $PLATE_REPLACER_CONFIG,
+ *   then src/config.json; the default file may be absent if everything comes from the environment.
+ * @param {string} [options.profile] - Profile to apply. Defaults to $PLATE_REPLACER_PROFILE.
+ * @param {Object} [options.overrides] - Partial configuration applied last
+ * @param {Object} [options.env] - Environment variables (defaults to process.env)
+ * @returns {Object} - { config, configPath, profile } with the validated configuration, the file
+ *   it was read from (null if none) and the applied profile (null if none)
+ * @throws {ConfigError} - When the file cannot be read, the profile does not exist or settings are invalid
+ */
+function loadConfig({ configPath, profile, overrides = {}, env = process.env } = {}) {
+  const explicitPath = configPath || env.PLATE_REPLACER_CONFIG;
+  const resolvedPath = path.resolve(explicitPath || DEFAULT_CONFIG_PATH);
+  
+  let config = {};
+  if (explicitPath || fs.existsSync(resolvedPath)) {
+    config = readConfigFile(resolvedPath);
+  }
+  
+  if (!isPlainObject(config)) {
+    throw new ConfigError(`Configuration in ${resolvedPath} must be a JSON object`);
+  }
+  
+  // Apply the named profile on top of the base settings
+  const profileName = profile || env.PLATE_REPLACER_PROFILE;
+  const { profiles = {}, ...baseConfig } = config;
+  
+  if (profileName) {
+    if (!isPlainObject(profiles[profileName])) {
+      const available = Object.keys(profiles);
+      throw new ConfigError(`Unknown profile "${profileName}". ${available.length > 0 ? `Available profiles: ${available.join(', ')}` : 'No profiles are defined'}`);
+    }
+    config = deepMerge(baseConfig, profiles[profileName]);
+  } else {
+    config = baseConfig;
+  }
+  
+  // Environment variables win over the file
+  const envConfig = {};
+  for (const [variable, fieldPath] of Object.entries(ENV_OVERRIDES)) {
+    if (!env[variable]) {
+      continue;
+    }
+    if (SECTION_ENV_OVERRIDES.includes(variable) && !isPlainObject(getField(config, fieldPath.replace(/\.[^.]+$/, '')))) {
+      continue;
+    }
+    setField(envConfig, fieldPath, env[variable]);
+  }
+  
+  config = deepMerge(deepMerge(config, envConfig), overrides);
+  
+  return {
+    config: validateConfig(config),
+    configPath: fs.existsSync(resolvedPath) ? resolvedPath : null,
+    profile: profileName || null
+  };
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  ENV_OVERRIDES,
+  ConfigError,
+  deepMerge,
+  validateConfig,
+  loadConfig
+};
\ No newline at end of file
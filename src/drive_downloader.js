@@ -1,118 +1,368 @@
 const fs = require('fs');
+const http = require('http');
 const path = require('path');
 const { google } = require('googleapis');
+const { logger } = require('./logger');
+
+// Read-only access is enough to list and download source images
+const DRIVE_READONLY_SCOPE = 'https://www.googleapis.com/auth/drive.readonly';
+
+// Uploading results into an existing shared folder needs full Drive access
+const DRIVE_SCOPE = 'https://www.googleapis.com/auth/drive';
+
+// Mime type Google Drive uses for folders
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// How long the OAuth consent flow may take before the run gives up on it
+const OAUTH_CONSENT_TIMEOUT_MS = 5 * 60 * 1000;
 
 /**
- * Downloads all files from a Google Drive folder
- * @param {string} folderId - The Google Drive folder ID
- * @param {string} destPath - Destination path to save downloaded files
- * @returns {Promise<Array<string>>} - Array of downloaded file paths
+ * Build an authenticated client for the Google Drive API
+ * @param {Object} [authConfig] - Credentials configuration
+ * @param {string} authConfig.type - "serviceAccount" or "oauth"
+ * @param {string} [authConfig.keyFile] - Service account JSON key file
+ * @param {string} [authConfig.clientSecretFile] - OAuth client secret JSON file
+ * @param {string} [authConfig.tokenFile] - File where the OAuth token is cached
+ * @param {Array<string>} [scopes] - OAuth scopes to request
+ * @returns {Promise<Object>} - Google Drive v3 client
  */
-async function downloadDriveFolder(folderId, destPath) {
-  console.log(`Downloading files from Google Drive folder: ${folderId}`);
+async function createDriveClient(authConfig, scopes = [DRIVE_READONLY_SCOPE]) {
+  if (!authConfig) {
+    // Unauthenticated client, only works for public files
+    return google.drive({ version: 'v3' });
+  }
   
-  // Make sure destination directory exists
-  fs.mkdirSync(destPath, { recursive: true });
+  let auth;
+  
+  if (authConfig.type === 'serviceAccount') {
+    logger.debug(`Authenticating with service account key: ${authConfig.keyFile}`);
+    auth = new google.auth.GoogleAuth({
+      keyFile: authConfig.keyFile,
+      scopes
+    });
+  } else if (authConfig.type === 'oauth') {
+    auth = await authorizeOAuth(authConfig, scopes);
+  } else {
+    throw new Error(`Unknown Google Drive auth type "${authConfig.type}". Use "serviceAccount" or "oauth"`);
+  }
+  
+  return google.drive({ version: 'v3', auth });
+}
+
+/**
+ * Authorize with an OAuth client, reusing a cached token when available.
+ * Without a cached token the consent page is opened in the browser and the
+ * authorization code is captured on a temporary localhost redirect, which gives up
+ * after OAUTH_CONSENT_TIMEOUT_MS.
+ * @param {Object} authConfig - OAuth configuration
+ * @param {string} authConfig.clientSecretFile - OAuth client secret JSON file
+ * @param {string} authConfig.tokenFile - File where the token is cached
+ * @param {Array<string>} scopes - OAuth scopes to request
+ * @returns {Promise<Object>} - Authorized OAuth2 client
+ */
+async function authorizeOAuth({ clientSecretFile, tokenFile }, scopes) {
+  const secrets = JSON.parse(fs.readFileSync(clientSecretFile, 'utf8'));
+  const keys = secrets.installed || secrets.web || secrets;
+  
+  // Persist refreshed tokens so the consent flow only runs once
+  const saveToken = (tokens) => {
+    const existing = fs.existsSync(tokenFile) ? JSON.parse(fs.readFileSync(tokenFile, 'utf8')) : {};
+    fs.mkdirSync(path.dirname(tokenFile), { recursive: true });
+    fs.writeFileSync(tokenFile, JSON.stringify({ ...existing, ...tokens }, null, 2));
+  };
+  
+  if (fs.existsSync(tokenFile)) {
+    logger.debug(`Using cached OAuth token: ${tokenFile}`);
+    const client = new google.auth.OAuth2(keys.client_id, keys.client_secret);
+    client.setCredentials(JSON.parse(fs.readFileSync(tokenFile, 'utf8')));
+    client.on('tokens', saveToken);
+    return client;
+  }
   
+  // Listen on a random localhost port for the OAuth redirect
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const redirectUri = `http://127.0.0.1:${server.address().port}`;
+  
+  const client = new google.auth.OAuth2(keys.client_id, keys.client_secret, redirectUri);
+  const authUrl = client.generateAuthUrl({ access_type: 'offline', prompt: 'consent', scope: scopes });
+  
+  let consentTimer;
   try {
-    // Initialize Drive API (for public files only)
-    const drive = google.drive({ version: 'v3' });
+    const codePromise = new Promise((resolve, reject) => {
+      consentTimer = setTimeout(() => {
+        reject(new Error(`OAuth authorization was not completed within ${OAUTH_CONSENT_TIMEOUT_MS / 60000} minutes`));
+      }, OAUTH_CONSENT_TIMEOUT_MS);
+      
+      server.on('request', (req, res) => {
+        const params = new URL(req.url, redirectUri).searchParams;
+        // The browser would otherwise keep the connection, and the server, open
+        res.setHeader('Connection', 'close');
+        
+        if (params.get('code')) {
+          res.end('Authorization complete. You can close this window.');
+          resolve(params.get('code'));
+        } else {
+          res.end('Authorization failed. You can close this window.');
+          reject(new Error(`OAuth authorization failed: ${params.get('error') || 'no code received'}`));
+        }
+      });
+    });
+    // Awaited once the browser is open; an early failure must not go unhandled until then
+    codePromise.catch(() => {});
     
-    // List files in the folder
-    console.log('Listing files in the Drive folder...');
+    // A warning, so the link shows up however quiet the output is
+    logger.warn(`🔑 Authorize access to Google Drive by visiting:\n${authUrl}`);
     
     try {
-      console.log('\n==== GOOGLE DRIVE API REQUEST ====');
-      console.log('Requesting file list with parameters:');
-      console.log(` - Folder ID: ${folderId}`);
-      console.log(` - Query: '${folderId}' in parents and trashed = false`);
-      console.log('==================================\n');
+      // "open" is an ES module, so it has to be imported dynamically
+      const { default: open } = await import('open');
+      await open(authUrl);
+    } catch (error) {
+      logger.warn('Could not open the browser automatically, please open the URL above manually.');
+    }
+    
+    const code = await codePromise;
+    const { tokens } = await client.getToken(code);
+    client.setCredentials(tokens);
+    saveToken(tokens);
+    client.on('tokens', saveToken);
+    logger.info(`OAuth token saved to: ${tokenFile}`);
+    
+    return client;
+  } finally {
+    clearTimeout(consentTimer);
+    server.close();
+    server.closeAllConnections();
+  }
+}
+
+/**
+ * List image files in a Google Drive folder, following every result page
+ * @param {Object} drive - Google Drive v3 client
+ * @param {string} folderId - The Google Drive folder ID
+ * @param {Object} [options] - Listing options
+ * @param {boolean} [options.recursive=false] - Also list images in subfolders
+ * @returns {Promise<Array<Object>>} - Image files as { driveFileId, name, mimeType, size, md5Checksum, folder }
+ */
+async function listDriveImages(drive, folderId, { recursive = false } = {}) {
+  const images = [];
+  
+  // Listing a folder that does not exist (or is not shared) returns no files,
+  // so look the folder up first to get a proper 404
+  const folder = await drive.files.get({
+    fileId: folderId,
+    fields: 'id, name, mimeType',
+    supportsAllDrives: true
+  });
+  
+  if (folder.data.mimeType !== FOLDER_MIME_TYPE) {
+    throw new Error(`Drive item ${folderId} (${folder.data.name}) is not a folder`);
+  }
+  
+  const listFolder = async (currentFolderId, folderPath) => {
+    let pageToken;
+    let page = 0;
+    
+    do {
+      page++;
+      logger.debug(`Listing Drive folder ${folderPath || folderId} (page ${page})...`);
       
       const response = await drive.files.list({
-        q: `'${folderId}' in parents and trashed = false`,
-        fields: 'files(id, name, mimeType)',
+        q: `'${currentFolderId}' in parents and trashed = false`,
+        fields: 'nextPageToken, files(id, name, mimeType, size, md5Checksum)',
+        pageSize: 1000,
+        pageToken,
         supportsAllDrives: true,
         includeItemsFromAllDrives: true
       });
       
-      console.log('\n==== GOOGLE DRIVE API RESPONSE ====');
-      console.log('Response data:', JSON.stringify(response.data, null, 2));
-      console.log('====================================\n');
-      
-      if (!response.data.files || response.data.files.length === 0) {
-        console.log('No files found in the Drive folder.');
-        return [];
-      }
-      
-      // Filter image files
-      const imageFiles = response.data.files.filter(file => 
-        file.mimeType.startsWith('image/') || 
-        file.mimeType === 'application/octet-stream'
-      );
-      
-      console.log(`Found ${imageFiles.length} image files to download.`);
-      
-      if (imageFiles.length === 0) {
-        return [];
-      }
-      
-      // Direct download link for Google Drive
-      const getDownloadLink = (fileId) => 
-        `https://drive.google.com/uc?export=download&id=${fileId}`;
-      
-      // Download each file
-      const downloadedFiles = [];
-      
-      for (const file of imageFiles) {
-        const filePath = path.join(destPath, file.name);
-        console.log(`Downloading: ${file.name}`);
-        
-        try {
-          // Download the file using google drive API
-          const dest = fs.createWriteStream(filePath);
-          
-          const response = await drive.files.get(
-            { fileId: file.id, alt: 'media' },
-            { responseType: 'stream' }
-          );
-          
-          response.data
-            .on('end', () => {
-              console.log(`Downloaded: ${file.name}`);
-            })
-            .on('error', (err) => {
-              console.error(`Error downloading ${file.name}: ${err}`);
-              fs.unlinkSync(filePath);
-            })
-            .pipe(dest);
-          
-          // Wait for download to complete
-          await new Promise((resolve, reject) => {
-            dest.on('finish', resolve);
-            dest.on('error', reject);
-          });
-          
-          downloadedFiles.push(filePath);
-          
-        } catch (err) {
-          console.error(`Error downloading file ${file.name}: ${err.message}`);
-          // Clean up partial download if it exists
-          if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
+      for (const file of response.data.files || []) {
+        if (file.mimeType === FOLDER_MIME_TYPE) {
+          if (recursive) {
+            await listFolder(file.id, folderPath ? `${folderPath}/${file.name}` : file.name);
           }
+        } else if (file.mimeType.startsWith('image/')) {
+          images.push({
+            driveFileId: file.id,
+            name: file.name,
+            mimeType: file.mimeType,
+            size: file.size ? Number(file.size) : undefined,
+            md5Checksum: file.md5Checksum,
+            folder: folderPath
+          });
         }
       }
       
-      return downloadedFiles;
-      
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+  };
+  
+  await listFolder(folderId, '');
+  return images;
+}
+
+/**
+ * Download the content of a Google Drive file
+ * @param {Object} drive - Google Drive v3 client
+ * @param {string} fileId - The Google Drive file ID
+ * @returns {Promise<Buffer>} - File content
+ */
+async function downloadDriveFile(drive, fileId) {
+  const response = await drive.files.get(
+    { fileId, alt: 'media', supportsAllDrives: true },
+    { responseType: 'arraybuffer' }
+  );
+  
+  return Buffer.from(response.data);
+}
+
+// Quote a value for use inside a Drive search query
+function escapeQueryValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/**
+ * Find a file or folder by name directly inside a Drive folder
+ * @param {Object} drive - Google Drive v3 client
+ * @param {string} parentId - The parent folder ID
+ * @param {string} name - Name to look for
+ * @param {string} [mimeType] - Only match items with this mime type
+ * @returns {Promise<Object|null>} - The matching { id, name } or null
+ */
+async function findDriveItem(drive, parentId, name, mimeType) {
+  let q = `'${parentId}' in parents and name = '${escapeQueryValue(name)}' and trashed = false`;
+  if (mimeType) {
+    q += ` and mimeType = '${mimeType}'`;
+  }
+  
+  const response = await drive.files.list({
+    q,
+    fields: 'files(id, name)',
+    pageSize: 1,
+    supportsAllDrives: true,
+    includeItemsFromAllDrives: true
+  });
+  
+  return response.data.files?.[0] || null;
+}
+
+/**
+ * Find or create a folder path (e.g. "dealer/exterior") below a Drive folder
+ * @param {Object} drive - Google Drive v3 client
+ * @param {string} parentId - The folder to start from
+ * @param {string} folderPath - Slash separated subfolder path, empty for the parent itself
+ * @returns {Promise<string>} - ID of the innermost folder
+ */
+async function ensureDriveFolder(drive, parentId, folderPath) {
+  let currentId = parentId;
+  
+  for (const name of folderPath.split('/').filter(Boolean)) {
+    const existing = await findDriveItem(drive, currentId, name, FOLDER_MIME_TYPE);
+    
+    if (existing) {
+      currentId = existing.id;
+    } else {
+      logger.info(`Creating Drive folder: ${name}`);
+      const created = await drive.files.create({
+        requestBody: { name, mimeType: FOLDER_MIME_TYPE, parents: [currentId] },
+        fields: 'id',
+        supportsAllDrives: true
+      });
+      currentId = created.data.id;
+    }
+  }
+  
+  return currentId;
+}
+
+/**
+ * Upload a local file into a Drive folder, replacing a file of the same name
+ * @param {Object} drive - Google Drive v3 client
+ * @param {string} folderId - Target folder ID
+ * @param {string} filePath - Local file to upload
+ * @param {Object} [options] - Upload options
+ * @param {string} [options.name] - Name in Drive (defaults to the local file name)
+ * @param {string} [options.mimeType] - Content type of the file
+ * @returns {Promise<Object>} - The uploaded file as { id, name, webViewLink }
+ */
+async function uploadDriveFile(drive, folderId, filePath, { name = path.basename(filePath), mimeType } = {}) {
+  const existing = await findDriveItem(drive, folderId, name);
+  const media = { mimeType, body: fs.createReadStream(filePath) };
+  const fields = 'id, name, webViewLink';
+  
+  let response;
+  if (existing) {
+    response = await drive.files.update({ fileId: existing.id, media, fields, supportsAllDrives: true });
+  } else {
+    response = await drive.files.create({
+      requestBody: { name, parents: [folderId] },
+      media,
+      fields,
+      supportsAllDrives: true
+    });
+  }
+  
+  return response.data;
+}
+
+/**
+ * Downloads all files from a Google Drive folder
+ * @param {string} folderId - The Google Drive folder ID
+ * @param {string} destPath - Destination path to save downloaded files
+ * @param {Object} [options] - Download options
+ * @param {Object} [options.auth] - Credentials configuration (see createDriveClient)
+ * @param {boolean} [options.recursive=false] - Also download images in subfolders
+ * @returns {Promise<Array<string>>} - Array of downloaded file paths
+ */
+async function downloadDriveFolder(folderId, destPath, { auth, recursive = false } = {}) {
+  logger.info(`Downloading files from Google Drive folder: ${folderId}`);
+  
+  // Make sure destination directory exists
+  fs.mkdirSync(destPath, { recursive: true });
+  
+  try {
+    const drive = await createDriveClient(auth);
+    
+    // List files in the folder
+    logger.debug('Listing files in the Drive folder...');
+    
+    let imageFiles;
+    try {
+      imageFiles = await listDriveImages(drive, folderId, { recursive });
     } catch (err) {
-      console.error(`Error listing files: ${err.message}`);
-      console.log('Note: Google Drive access may be restricted. Make sure the folder is publicly accessible.');
+      logger.error(`Error listing files: ${err.message}`);
+      logger.info('Note: Google Drive access may be restricted. Configure credentials or make sure the folder is publicly accessible.');
       return [];
     }
     
+    logger.info(`Found ${imageFiles.length} image files to download.`);
+    
+    // Download each file
+    const downloadedFiles = [];
+    
+    for (const file of imageFiles) {
+      const filePath = path.join(destPath, file.folder, file.name);
+      logger.debug(`Downloading: ${path.join(file.folder, file.name)}`);
+      
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, await downloadDriveFile(drive, file.driveFileId));
+        logger.info(`Downloaded: ${file.name}`);
+        downloadedFiles.push(filePath);
+      } catch (err) {
+        logger.error(`Error downloading file ${file.name}: ${err.message}`);
+        // Clean up partial download if it exists
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      }
+    }
+    
+    return downloadedFiles;
+    
   } catch (error) {
-    console.error(`Error accessing Google Drive: ${error.message}`);
+    logger.error(`Error accessing Google Drive: ${error.message}`);
     return [];
   }
 }
@@ -137,6 +387,13 @@ function extractFolderId(url) {
 }
 
 module.exports = {
+  DRIVE_READONLY_SCOPE,
+  DRIVE_SCOPE,
+  createDriveClient,
+  listDriveImages,
+  downloadDriveFile,
+  ensureDriveFolder,
+  uploadDriveFile,
   downloadDriveFolder,
   extractFolderId
 };
\ No newline at end of file
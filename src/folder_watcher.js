@@ -0,0 +1,252 @@
+const fs = require('fs');
+const { getImageId, getContentHash } = require('./job_manifest');
+const { ImageQueue } = require('./image_queue');
+const { logger } = require('./logger');
+
+/**
+ * Fingerprint of an image that changes while the image is still being written or uploaded
+ * @param {Object} image - Image from a source
+ * @returns {string|null} - The fingerprint, or null when the image is not readable yet
+ */
+function getSignature(image) {
+  if (image.filePath) {
+    try {
+      const { size, mtimeMs } = fs.statSync(image.filePath);
+      // An empty file has only been created so far
+      return size > 0 ? `${size}:${mtimeMs}` : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  if (image.driveFileId) {
+    return `${image.md5Checksum || ''}:${image.size || ''}`;
+  }
+  return image.url || null;
+}
+
+// Short description of an image for progress messages
+function describeImage(image) {
+  return image.folder ? `${image.folder}/${image.name}` : image.name || image.url;
+}
+
+/**
+ * Watches the source of a replacer and processes images as they arrive. The source is
+ * listed on an interval, and for local directories whenever a file changes. An image is
+ * only processed once it has looked the same for `settleMs`, so files that are still
+ * being copied are not submitted half written.
+ */
+class FolderWatcher {
+  /**
+   * @param {PlateReplacer} replacer - Replacer whose source, settings and manifest are used
+   * @param {Object} [options] - Watch options, defaulting to the `watch` and `processing` config
+   * @param {number} [options.intervalMs] - Time between two listings of the source
+   * @param {number} [options.settleMs] - Time an image must stay unchanged before it is processed
+   * @param {boolean} [options.parallel] - Process several images at once
+   * @param {number} [options.maxConcurrent] - Maximum number of images processed at once
+   */
+  constructor(replacer, {
+    intervalMs = replacer.config.watch.intervalMs,
+    settleMs = replacer.config.watch.settleMs,
+    parallel = replacer.config.processing.parallelProcessing,
+    maxConcurrent = replacer.config.processing.maxConcurrent
+  } = {}) {
+    this.replacer = replacer;
+    this.intervalMs = intervalMs;
+    this.settleMs = settleMs;
+    this.queue = new ImageQueue(replacer, { parallel, maxConcurrent });
+    // Images waiting to settle, as { signature, since } by image ID
+    this.candidates = new Map();
+    // Signature of every image that was queued, so it is not queued again until it changes
+    this.handled = new Map();
+    this.results = [];
+    this.skipped = 0;
+    this.scanning = null;
+    this.rescan = false;
+    this.stopping = false;
+  }
+  
+  /**
+   * Validate the plates, list the source once and keep watching it
+   * @returns {Promise<void>}
+   * @throws {SourceError} - When the source cannot be listed at start
+   * @throws {ConfigError} - When a plate image is unusable
+   */
+  async start() {
+    this.startedAt = new Date().toISOString();
+    this.usageBefore = this.replacer.getUsage();
+    await this.replacer.validatePlates();
+    fs.mkdirSync(this.replacer.outputDir, { recursive: true });
+    
+    // A source that cannot be listed is reported right away; later listings only warn
+    await this.scan();
+    
+    this.timer = setInterval(() => this.requestScan(), this.intervalMs);
+    if (this.replacer.source.type === 'local') {
+      // File events only trigger an early listing, the interval still catches anything missed
+      this.watcher = fs.watch(this.replacer.source.location, { recursive: true }, () => this.scheduleScan(this.settleMs));
+      this.watcher.on('error', error => logger.warn(`⚠️ File events unavailable, relying on the interval: ${error.message}`));
+    }
+    logger.info(`👀 Watching ${this.replacer.source.type} (${this.replacer.source.location}) every ${this.intervalMs / 1000}s`);
+  }
+  
+  /**
+   * Stop watching, let the images already started finish and summarize the session.
+   * Images that were queued but not started are left for the next run. Cancel the
+   * replacer first to stop polling as well; the images cut short count as cancelled.
+   * @returns {Promise<Object>} - Batch summary (see PlateReplacer.processBatch)
+   */
+  async stop() {
+    this.stopping = true;
+    clearInterval(this.timer);
+    clearTimeout(this.pendingScan);
+    this.watcher?.close();
+    
+    await this.scanning;
+    await this.queue.drain();
+    return this.getSummary();
+  }
+  
+  // Summary of every image handled since start(), including those earlier runs had processed
+  getSummary() {
+    const summary = this.replacer.summarize(this.results, this.usageBefore);
+    return { ...summary, total: summary.total + this.skipped, skipped: summary.skipped + this.skipped };
+  }
+  
+  // List the source after a delay, pushing the listing back while events keep coming
+  scheduleScan(delay) {
+    clearTimeout(this.pendingScan);
+    this.pendingScan = setTimeout(() => this.requestScan(), delay);
+  }
+  
+  // List the source now, or right after the listing that is running
+  requestScan() {
+    if (this.stopping) {
+      return this.scanning;
+    }
+    if (this.scanning) {
+      this.rescan = true;
+      return this.scanning;
+    }
+    
+    this.scanning = this.scan()
+      .catch(error => logger.warn(`⚠️ Could not list ${this.replacer.source.location}: ${error.message}`))
+      .finally(() => {
+        this.scanning = null;
+        if (this.rescan) {
+          this.rescan = false;
+          this.requestScan();
+        }
+      });
+    return this.scanning;
+  }
+  
+  // List the source and queue every image that is new or changed and has settled
+  async scan() {
+    const images = await this.replacer.source.listImages({ quiet: true });
+    const now = Date.now();
+    const listed = new Set();
+    const ready = [];
+    
+    for (const image of images) {
+      const id = getImageId(image);
+      const signature = getSignature(image);
+      listed.add(id);
+      if (signature === null || this.handled.get(id) === signature) {
+        continue;
+      }
+      
+      // New or still changing: the settle time starts over
+      if (this.candidates.get(id)?.signature !== signature) {
+        this.candidates.set(id, { signature, since: now });
+      }
+      if (now - this.candidates.get(id).since >= this.settleMs) {
+        this.candidates.delete(id);
+        ready.push({ image, signature });
+      }
+    }
+    
+    // Files removed before they settled are forgotten
+    for (const id of this.candidates.keys()) {
+      if (!listed.has(id)) {
+        this.candidates.delete(id);
+      }
+    }
+    if (this.candidates.size > 0 && !this.stopping) {
+      this.scheduleScan(this.settleMs);
+    }
+    
+    await this.enqueue(ready);
+  }
+  
+  // Queue settled images, leaving out those earlier runs already processed
+  async enqueue(ready) {
+    const { replacer } = this;
+    
+    // Once the daily quota is used up, new images wait until it renews
+    if (replacer.quotaReached) {
+      if (replacer.quota.used >= replacer.config.rateLimit.dailyImageQuota) {
+        return;
+      }
+      replacer.quotaReached = false;
+    }
+    
+    const images = [];
+    let skipped = 0;
+    for (const { image, signature } of ready) {
+      const id = getImageId(image);
+      let action;
+      try {
+        ({ action } = replacer.manifest.plan(id, await getContentHash(image)));
+      } catch (error) {
+        // Removed or unreadable since it was listed; it is looked at again next time
+        continue;
+      }
+      this.handled.set(id, signature);
+      
+      if (action === 'skip') {
+        skipped++;
+      } else {
+        images.push(image);
+      }
+    }
+    
+    if (skipped > 0) {
+      logger.info(`⏭️ ${skipped} image(s) already processed`);
+      this.skipped += skipped;
+    }
+    if (images.length === 0) {
+      return;
+    }
+    
+    // Images the input filters leave out stay handled, so they are looked at again only once they change
+    const { images: selected } = await replacer.inputFilter.select(images);
+    if (selected.length === 0) {
+      return;
+    }
+    
+    logger.info(`🆕 ${selected.length} new image(s): ${selected.map(describeImage).join(', ')}`);
+    // Name outputs in arrival order, whatever order the images finish in
+    replacer.namer.assign(selected);
+    selected.forEach(image => this.track(image));
+  }
+  
+  // Process an image in the background and collect its result
+  track(image) {
+    this.queue.add(image, { shouldStart: () => !this.stopping }).then(result => {
+      if (!result || result.status === 'deferred') {
+        // Not processed: picked up again by a later listing
+        this.handled.delete(getImageId(image));
+        return;
+      }
+      this.results.push(result);
+    }).catch(error => {
+      // Not recorded as a result: the image is looked at again by a later listing
+      logger.error(`❌ ${describeImage(image)} could not be processed: ${error.message}`);
+      this.handled.delete(getImageId(image));
+    });
+  }
+}
+
+module.exports = {
+  FolderWatcher
+};
\ No newline at end of file
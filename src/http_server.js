@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { FINAL_IMAGE_STATES } = require('./batch_store');
+const { RequestError } = require('./batch_service');
+const { logger } = require('./logger');
+
+// Content types of result files
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+
+// Batch IDs as created by BatchService.createBatch (crypto.randomUUID)
+const BATCH_ID = '([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})';
+
+// Route pattern for a path below /batches/:id
+const batchRoute = (suffix = '') => new RegExp(`^/batches/${BATCH_ID}${suffix}$`);
+
+// Send a JSON body
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data, null, 2));
+}
+
+// Read a request body, refusing bodies larger than `maxBytes`
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // The rest of the body is read and dropped, so the answer still reaches the client
+        req.removeAllListeners('data');
+        req.resume();
+        reject(new RequestError(413, `Request body is larger than server.maxUploadBytes (${maxBytes} bytes)`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Split a multipart/form-data body into its parts
+ * @param {Buffer} body - Request body
+ * @param {string} contentType - Content-Type header with the boundary
+ * @returns {Array<Object>} - Parts as { name, filename, data }
+ * @throws {RequestError} - When the header has no boundary
+ */
+function parseMultipart(body, contentType) {
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!match) {
+    throw new RequestError(400, 'multipart/form-data body without a boundary');
+  }
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const parts = [];
+  
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) {
+      break;
+    }
+    // Each part sits between the CRLF after one delimiter and the CRLF before the next
+    const part = body.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const disposition = part.subarray(0, headerEnd).toString('utf8').match(/content-disposition:[^\r\n]*/i)?.[0] || '';
+      parts.push({
+        name: disposition.match(/\bname="([^"]*)"/i)?.[1],
+        filename: disposition.match(/\bfilename="([^"]*)"/i)?.[1],
+        data: part.subarray(headerEnd + 4)
+      });
+    }
+    start = next;
+  }
+  return parts;
+}
+
+// Read a batch request from a JSON or multipart body
+async function readBatchRequest(req, maxBytes) {
+  const contentType = req.headers['content-type'] || '';
+  const body = await readBody(req, maxBytes);
+  
+  if (contentType.startsWith('multipart/form-data')) {
+    const uploads = parseMultipart(body, contentType).filter(part => part.filename !== undefined);
+    return { uploads };
+  }
+  
+  let request;
+  try {
+    request = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    throw new RequestError(400, `Body must be JSON or multipart/form-data: ${error.message}`);
+  }
+  if (request === null || typeof request !== 'object' || Array.isArray(request)) {
+    throw new RequestError(400, 'Body must be a JSON object with "urls" or "source"');
+  }
+  return { urls: request.urls, source: request.source };
+}
+
+// Public view of an image of a batch
+function describeImage(batch, entry, outputDir) {
+  return {
+    index: entry.index,
+    name: entry.name,
+    source: entry.image.url || entry.image.driveFileId || entry.image.name,
+    status: entry.status,
+    output: entry.outputPath ? path.relative(outputDir, entry.outputPath).split(path.sep).join('/') : null,
+    resultUrl: entry.outputPath ? `/batches/${batch.id}/images/${entry.index}/result` : null,
+    error: entry.error,
+    errorCategory: entry.errorCategory,
+    completedAt: entry.completedAt
+  };
+}
+
+// Public view of a batch, with image counts per status
+function describeBatch(batch, outputDir, { withImages = true } = {}) {
+  const counts = {};
+  for (const entry of batch.images) {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+  }
+  const view = {
+    id: batch.id,
+    status: batch.status,
+    source: batch.source,
+    createdAt: batch.createdAt,
+    updatedAt: batch.updatedAt,
+    total: batch.images.length,
+    done: batch.images.filter(entry => FINAL_IMAGE_STATES.includes(entry.status)).length,
+    counts
+  };
+  if (withImages) {
+    view.images = batch.images.map(entry => describeImage(batch, entry, outputDir));
+  }
+  return view;
+}
+
+// Compare a bearer token without leaking its length or content through timing
+function hasToken(req, token) {
+  const expected = crypto.createHash('sha256').update(`Bearer ${token}`).digest();
+  const actual = crypto.createHash('sha256').update(req.headers.authorization || '').digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Create the HTTP server of the batch service. Endpoints:
+ * - `GET /health` - Service status
+ * - `POST /batches` - Create a batch from JSON { urls } or { source }, or from files
+ *   uploaded as multipart/form-data; answers 202 with the batch
+ * - `GET /batches` - Every batch, without its images
+ * - `GET /batches/:id` - A batch with the status of each image
+ * - `GET /batches/:id/images/:index` - Status of one image
+ * - `GET /batches/:id/images/:index/result` - The result file
+ * - `POST /batches/:id/cancel` - Cancel the images of a batch that have not started
+ * @param {BatchService} service - Service running the batches
+ * @param {Object} options - The server settings
+ * @param {string} [options.token] - Bearer token every request must carry
+ * @param {number} options.maxUploadBytes - Largest accepted request body
+ * @returns {http.Server} - Server, not listening yet
+ */
+function createHttpServer(service, { token, maxUploadBytes }) {
+  const outputDir = service.replacer.outputDir;
+  
+  const routes = [
+    ['GET', /^\/health$/, async () => {
+      const counts = {};
+      for (const batch of service.listBatches()) {
+        counts[batch.status] = (counts[batch.status] || 0) + 1;
+      }
+      return [200, { status: service.stopping ? 'stopping' : 'ok', batches: counts }];
+    }],
+    ['POST', /^\/batches$/, async (req) => {
+      const batch = await service.createBatch(await readBatchRequest(req, maxUploadBytes));
+      return [202, describeBatch(batch, outputDir)];
+    }],
+    ['GET', /^\/batches$/, async () => [200, { batches: service.listBatches().map(batch => describeBatch(batch, outputDir, { withImages: false })) }]],
+    ['GET', batchRoute(), async (req, res, [id]) => [200, describeBatch(service.getBatch(id), outputDir)]],
+    ['GET', batchRoute('/images/(\\d+)'), async (req, res, [id, index]) => {
+      return [200, describeImage(service.getBatch(id), service.getImage(id, Number(index)), outputDir)];
+    }],
+    ['GET', batchRoute('/images/(\\d+)/result'), async (req, res, [id, index]) => {
+      const filePath = service.getResultPath(id, Number(index));
+      res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': fs.statSync(filePath).size,
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(path.basename(filePath))}`
+      });
+      fs.createReadStream(filePath).pipe(res);
+      return null;
+    }],
+    ['POST', batchRoute('/cancel'), async (req, res, [id]) => [200, describeBatch(service.cancelBatch(id), outputDir)]]
+  ];
+  
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    
+    try {
+      if (token && !hasToken(req, token)) {
+        throw new RequestError(401, 'Missing or wrong bearer token');
+      }
+      
+      const matching = routes.filter(([, pattern]) => pattern.test(pathname));
+      const route = matching.find(([method]) => method === req.method);
+      if (!route) {
+        throw new RequestError(matching.length > 0 ? 405 : 404, matching.length > 0 ? `${req.method} is not supported for ${pathname}` : `Not found: ${pathname}`);
+      }
+      
+      const params = pathname.match(route[1]).slice(1).map(decodeURIComponent);
+      const answer = await route[2](req, res, params);
+      if (answer) {
+        sendJson(res, ...answer);
+      }
+    } catch (error) {
+      if (!(error instanceof RequestError)) {
+        logger.error(`❌ ${req.method} ${pathname} failed: ${error.message}`);
+      }
+      if (!res.headersSent) {
+        sendJson(res, error.statusCode || 500, { error: error.message });
+      }
+    }
+  });
+}
+
+module.exports = {
+  parseMultipart,
+  createHttpServer
+};
\ No newline at end of file
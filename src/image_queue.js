@@ -0,0 +1,76 @@
+const { Semaphore } = require('./work_pool');
+
+/**
+ * Processes images handed to it over time with the concurrency of a batch: in parallel
+ * mode up to `maxConcurrent` submissions run at once and results are downloaded as soon as
+ * they are ready (like processInParallel); in sequential mode one image runs at a time.
+ */
+class ImageQueue {
+  /**
+   * @param {PlateReplacer} replacer - Replacer whose submit and download stages are used
+   * @param {Object} [options] - Queue options, defaulting to the `processing` config
+   * @param {boolean} [options.parallel] - Process several images at once
+   * @param {number} [options.maxConcurrent] - Maximum number of images processed at once
+   */
+  constructor(replacer, {
+    parallel = replacer.config.processing.parallelProcessing,
+    maxConcurrent = replacer.config.processing.maxConcurrent
+  } = {}) {
+    this.replacer = replacer;
+    this.parallel = parallel;
+    this.slots = new Semaphore(parallel ? maxConcurrent : 1);
+    this.downloads = new Semaphore(maxConcurrent);
+    this.inFlight = new Set();
+  }
+  
+  /**
+   * Process an image once a slot is free
+   * @param {Object} image - Image from a source
+   * @param {Object} [options] - Queue options for this image
+   * @param {Function} [options.shouldStart] - Asked when the slot is free; returning false
+   *   leaves the image unprocessed
+   * @param {Function} [options.onStart] - Called when the image is started
+   * @param {boolean} [options.force=false] - Submit the image even if the manifest has it
+   * @returns {Promise<Object|null>} - The processImage() result, or null when the image was
+   *   not started because `shouldStart` refused or the daily quota is used up
+   */
+  add(image, { shouldStart = () => true, onStart = () => {}, force = false } = {}) {
+    const task = this.process(image, { shouldStart, onStart, force });
+    this.inFlight.add(task);
+    task.finally(() => this.inFlight.delete(task)).catch(() => {});
+    return task;
+  }
+  
+  // Run an image through the replacer while holding a slot
+  async process(image, { shouldStart, onStart, force }) {
+    const { replacer } = this;
+    const start = () => {
+      // Once the run is cancelled or the daily quota is used up the remaining images are left alone
+      if (replacer.cancelled || replacer.quotaReached || !shouldStart()) {
+        return false;
+      }
+      onStart();
+      return true;
+    };
+    
+    if (!this.parallel) {
+      return this.slots.use(() => (start() ? replacer.processImage(image, { force }) : null));
+    }
+    
+    const job = await this.slots.use(() => (start() ? replacer.startImage(image, { force }) : null));
+    if (!job) {
+      return null;
+    }
+    return job.pending ? replacer.finishImage(job, this.downloads) : job.result;
+  }
+  
+  // Wait until every image added so far has finished or was left alone; failures are
+  // reported through the promises add() returned
+  async drain() {
+    await Promise.allSettled(this.inFlight);
+  }
+}
+
+module.exports = {
+  ImageQueue
+};
\ No newline at end of file
@@ -0,0 +1,390 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { createDriveClient, listDriveImages, downloadDriveFile, extractFolderId } = require('./drive_downloader');
+const { SourceError } = require('./source_resolver');
+const { logger } = require('./logger');
+
+// Image file extensions accepted from every source
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+// Log listing progress, at debug level for the repeated quiet listings of watch mode
+function getListingLog(quiet) {
+  return message => (quiet ? logger.debug(message) : logger.info(message));
+}
+
+// Decode a percent-encoded URL path, keeping it as is when it holds a literal "%"
+// (e.g. "50%off.jpg") that is not valid encoding
+function decodeUrlPath(urlPath) {
+  try {
+    return decodeURIComponent(urlPath);
+  } catch (error) {
+    return urlPath;
+  }
+}
+
+// Check whether a file name or URL path points to a supported image
+function hasImageExtension(name) {
+  return IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+/**
+ * Google Drive folder source. With `auth` configured the folder is listed through the
+ * Drive API (all pages, optionally subfolders) and files are uploaded to the processor;
+ * otherwise the public folder page is scraped for file links.
+ * @param {Object} options - Source options
+ * @param {string} options.url - Google Drive folder URL
+ * @param {Object} [options.auth] - Credentials configuration (see createDriveClient)
+ * @param {boolean} [options.recursive=false] - Also list images in subfolders (API only)
+ * @returns {Object} - Image source adapter
+ */
+function createGoogleDriveSource({ url, auth, recursive = false }) {
+  let drive;
+  
+  // Authenticated listing through the Drive API
+  const listImagesWithApi = async (quiet) => {
+    const log = getListingLog(quiet);
+    const folderId = extractFolderId(url);
+    if (!folderId) {
+      throw new SourceError('invalid', 'Invalid Google Drive folder URL. Must contain "/folders/" segment');
+    }
+    
+    logger.debug(`Google Drive folder ID: ${folderId}${recursive ? ' (including subfolders)' : ''}`);
+    
+    // One client for every listing, so watch mode does not authenticate on each poll
+    drive = drive || await createDriveClient(auth);
+    const images = await listDriveImages(drive, folderId, { recursive });
+    
+    log(`Found ${images.length} images in Drive folder`);
+    images.forEach(image => logger.debug(`- ${image.folder ? `${image.folder}/` : ''}${image.name} (${image.mimeType})`));
+    return images;
+  };
+  
+  return {
+    type: 'googleDrive',
+    location: url,
+    async listImages({ quiet = false } = {}) {
+      const log = getListingLog(quiet);
+      log(`Getting images from: ${url}`);
+      
+      if (auth) {
+        return listImagesWithApi(quiet);
+      }
+      
+      // Extract folder ID from the Google Drive URL
+      let folderId;
+      if (url.includes('/folders/')) {
+        folderId = url.split('/folders/')[1].split('/')[0].split('?')[0];
+      } else {
+        throw new SourceError('invalid', 'Invalid Google Drive folder URL. Must contain "/folders/" segment');
+      }
+      
+      logger.debug(`Google Drive folder ID: ${folderId}`);
+      
+      // Get folder content using Google Drive API (public folder listing)
+      const response = await axios.get(`https://drive.google.com/drive/folders/${folderId}`, {
+        headers: {
+          'Accept': 'text/html,application/xhtml+xml,application/xml'
+        }
+      });
+      
+      // Private folders redirect to the Google sign-in page instead of failing
+      const finalUrl = response.request?.res?.responseUrl || '';
+      if (finalUrl.includes('accounts.google.com') || /ServiceLogin/.test(response.data)) {
+        throw new SourceError('private', `Google Drive folder ${folderId} requires sign-in`);
+      }
+      
+      // Look for file IDs in the HTML response
+      const fileIdsSet = new Set();
+      const html = response.data;
+      
+      // Pattern to match file IDs in the HTML
+      const pattern = /\/file\/d\/([a-zA-Z0-9_-]+)/g;
+      let match;
+      
+      while ((match = pattern.exec(html)) !== null) {
+        const fileId = match[1];
+        if (fileId && !fileId.includes('\\') && !fileId.includes('&') && fileId.length > 10) {
+          fileIdsSet.add(fileId);
+        }
+      }
+      
+      // Convert file IDs to direct download URLs
+      const imageUrls = Array.from(fileIdsSet).map(fileId =>
+        `https://drive.google.com/uc?export=download&id=${fileId}`
+      );
+      
+      log(`Found ${imageUrls.length} images in remote folder`);
+      imageUrls.forEach(imageUrl => logger.debug(`- ${imageUrl}`));
+      return imageUrls.map(imageUrl => ({ url: imageUrl }));
+    },
+    async openImage(image) {
+      return downloadDriveFile(drive, image.driveFileId);
+    }
+  };
+}
+
+/**
+ * Local directory source: walks a directory (including subfolders) for image files
+ * @param {Object} options - Source options
+ * @param {string} options.path - Directory to scan
+ * @returns {Object} - Image source adapter
+ */
+function createLocalDirectorySource({ path: inputDir }) {
+  return {
+    type: 'local',
+    location: inputDir,
+    async listImages({ quiet = false } = {}) {
+      const log = getListingLog(quiet);
+      log(`Getting images from: ${inputDir}`);
+      
+      if (!fs.existsSync(inputDir)) {
+        throw new SourceError('not_found', `Input directory does not exist: ${inputDir}`);
+      }
+      
+      const images = [];
+      
+      const walk = (dir) => {
+        const entries = fs.readdirSync(dir, { withFileTypes: true })
+          .sort((a, b) => a.name.localeCompare(b.name));
+        
+        for (const entry of entries) {
+          const entryPath = path.join(dir, entry.name);
+          
+          if (entry.isDirectory()) {
+            walk(entryPath);
+          } else if (entry.isFile() && hasImageExtension(entry.name)) {
+            images.push({
+              filePath: entryPath,
+              name: entry.name,
+              folder: path.relative(inputDir, dir).split(path.sep).join('/')
+            });
+          }
+        }
+      };
+      
+      walk(inputDir);
+      
+      log(`Found ${images.length} images in local folder`);
+      images.forEach(image => logger.debug(`- ${path.relative(inputDir, image.filePath)}`));
+      return images;
+    },
+    async openImage(image) {
+      return fs.createReadStream(image.filePath);
+    }
+  };
+}
+
+/**
+ * Read the whole content of an image, e.g. to compare a result with it
+ * @param {Object} image - Image from a source
+ * @param {Object} source - Source adapter the image came from, for images without a URL or path
+ * @returns {Promise<Buffer>} - The image data
+ */
+async function readImage(image, source) {
+  if (image.url) {
+    const response = await axios.get(image.url, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data);
+  }
+  if (image.filePath) {
+    return fs.promises.readFile(image.filePath);
+  }
+  // openImage() returns a Buffer or a stream, depending on the source
+  const content = await source.openImage(image);
+  if (Buffer.isBuffer(content)) {
+    return content;
+  }
+  const chunks = [];
+  for await (const chunk of content) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Split a single CSV line into cells, honouring double-quoted values
+function parseCsvLine(line) {
+  const cells = [];
+  let current = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',' || char === ';' || char === '\t') {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  
+  cells.push(current.trim());
+  return cells;
+}
+
+/**
+ * URL list source: reads image URLs from a plain text file (one per line) or a CSV export.
+ * CSV files may have a header row naming a `url`/`image_url`/`image`/`link` column and
+ * an optional `name`/`filename` column; otherwise the first http(s) cell of each row is used.
+ * @param {Object} options - Source options
+ * @param {string} options.path - Path to the text or CSV file
+ * @returns {Object} - Image source adapter
+ */
+function createUrlListSource({ path: listPath }) {
+  return {
+    type: 'urlList',
+    location: listPath,
+    async listImages({ quiet = false } = {}) {
+      const log = getListingLog(quiet);
+      log(`Getting images from: ${listPath}`);
+      
+      const lines = fs.readFileSync(listPath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+      
+      if (lines.length === 0) {
+        return [];
+      }
+      
+      // Detect a header row with named columns
+      const header = parseCsvLine(lines[0]).map(cell => cell.toLowerCase());
+      const urlColumn = header.findIndex(cell => ['url', 'image_url', 'image', 'link'].includes(cell));
+      const nameColumn = header.findIndex(cell => ['name', 'filename', 'file_name'].includes(cell));
+      const rows = urlColumn >= 0 ? lines.slice(1) : lines;
+      
+      const images = [];
+      
+      for (const row of rows) {
+        const cells = parseCsvLine(row);
+        const imageUrl = urlColumn >= 0
+          ? cells[urlColumn]
+          : cells.find(cell => /^https?:\/\//i.test(cell));
+        
+        if (!imageUrl || !/^https?:\/\//i.test(imageUrl)) {
+          logger.warn(`⚠️ Skipping row without an image URL: ${row}`);
+          continue;
+        }
+        
+        const image = { url: imageUrl };
+        if (nameColumn >= 0 && cells[nameColumn]) {
+          image.name = cells[nameColumn];
+        }
+        images.push(image);
+      }
+      
+      log(`Found ${images.length} images in URL list`);
+      images.forEach(image => logger.debug(`- ${image.url}`));
+      return images;
+    }
+  };
+}
+
+/**
+ * HTTP directory source: parses an HTML directory listing (Apache, nginx autoindex, etc.)
+ * and collects links to image files.
+ * @param {Object} options - Source options
+ * @param {string} options.url - URL of the directory listing
+ * @returns {Object} - Image source adapter
+ */
+function createHttpDirectorySource({ url }) {
+  return {
+    type: 'httpDirectory',
+    location: url,
+    async listImages({ quiet = false } = {}) {
+      const log = getListingLog(quiet);
+      log(`Getting images from: ${url}`);
+      
+      // Directory listings link relative to the directory itself
+      const baseUrl = url.endsWith('/') ? url : `${url}/`;
+      
+      const response = await axios.get(baseUrl, {
+        headers: {
+          'Accept': 'text/html,application/xhtml+xml'
+        },
+        responseType: 'text'
+      });
+      
+      const imageUrls = new Set();
+      const pattern = /href\s*=\s*["']([^"'#]+)["']/gi;
+      let match;
+      
+      while ((match = pattern.exec(response.data)) !== null) {
+        const href = match[1];
+        const resolvedUrl = new URL(href, baseUrl);
+        
+        if (hasImageExtension(decodeUrlPath(resolvedUrl.pathname))) {
+          imageUrls.add(resolvedUrl.toString());
+        }
+      }
+      
+      const images = Array.from(imageUrls).map(imageUrl => ({
+        url: imageUrl,
+        name: decodeUrlPath(path.posix.basename(new URL(imageUrl).pathname))
+      }));
+      
+      log(`Found ${images.length} images in directory listing`);
+      images.forEach(image => logger.debug(`- ${image.url}`));
+      return images;
+    }
+  };
+}
+
+// Built-in source adapters, keyed by the `source.type` config value
+const SOURCE_ADAPTERS = {
+  googleDrive: createGoogleDriveSource,
+  local: createLocalDirectorySource,
+  urlList: createUrlListSource,
+  httpDirectory: createHttpDirectorySource
+};
+
+// One-line descriptions of the built-in source adapters
+const SOURCE_DESCRIPTIONS = {
+  googleDrive: 'Google Drive folder (public page, or Drive API with credentials)',
+  local: 'Local directory, including subfolders',
+  urlList: 'Text or CSV file with image URLs',
+  httpDirectory: 'HTML directory listing over HTTP'
+};
+
+/**
+ * Create an image source adapter from its configuration
+ * @param {Object} sourceConfig - Source configuration
+ * @param {string} sourceConfig.type - One of the keys of SOURCE_ADAPTERS
+ * @param {string} [sourceConfig.url] - Location for URL based sources
+ * @param {string} [sourceConfig.path] - Location for file based sources
+ * @returns {Object} - Adapter with `type`, `location`, `listImages({ quiet })` and, for sources
+ *   whose images have no public URL, `openImage(image)` returning the content to upload
+ */
+function createImageSource(sourceConfig) {
+  const factory = SOURCE_ADAPTERS[sourceConfig.type];
+  
+  if (!factory) {
+    throw new SourceError('invalid', `Unknown image source type "${sourceConfig.type}". Available: ${Object.keys(SOURCE_ADAPTERS).join(', ')}`);
+  }
+  
+  return factory(sourceConfig);
+}
+
+module.exports = {
+  IMAGE_EXTENSIONS,
+  SOURCE_ADAPTERS,
+  SOURCE_DESCRIPTIONS,
+  createImageSource,
+  createGoogleDriveSource,
+  createLocalDirectorySource,
+  createUrlListSource,
+  createHttpDirectorySource,
+  parseCsvLine,
+  readImage
+};
\ No newline at end of file
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getImageId, getContentHash } = require('./job_manifest');
+const { readImage } = require('./image_sources');
+const { getOriginalFilename } = require('./output_naming');
+const { logger } = require('./logger');
+
+// How duplicates are found among the listed images
+const DEDUPE_MODES = {
+  none: 'Submit every image',
+  exact: 'Leave out images with the same content as an earlier image',
+  perceptual: 'Also leave out images that look like an earlier image, e.g. a resized or re-encoded copy'
+};
+
+// Why an image was left out, with the label used in the log
+const EXCLUSION_REASONS = {
+  name: 'by name',
+  size: 'by file size',
+  dimensions: 'by dimensions',
+  duplicate: 'as duplicates'
+};
+
+// Turn a glob such as "BMW_*.jpg" into a case-insensitive regular expression
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '[^/]*';
+      if (char === '?') return '[^/]';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Check a regular expression setting
+function checkPattern(pattern) {
+  try {
+    new RegExp(pattern);
+    return null;
+  } catch (error) {
+    return `is not a valid regular expression (${error.message})`;
+  }
+}
+
+// Path of an image below its source root, e.g. "dealerA/VIN1.jpg", or the file name of a URL
+function getMatchPath(image) {
+  const filename = getOriginalFilename(image) || '';
+  return image.folder ? `${image.folder}/${filename}` : filename;
+}
+
+// Patterns containing "/" are matched against the path below the source root, others
+// against the file name
+function createMatcher(regExp, source) {
+  const matchesPath = source.includes('/');
+  return image => {
+    const matchPath = getMatchPath(image);
+    return regExp.exec(matchesPath ? matchPath : matchPath.split('/').pop());
+  };
+}
+
+/**
+ * Difference hash of an image: for each pixel of a 9x8 grey thumbnail, whether it is
+ * brighter than its right neighbour. Resized or re-encoded copies get the same or a
+ * close hash.
+ * @param {Buffer|string} input - Image data or file path
+ * @returns {Promise<bigint>} - 64-bit hash
+ */
+async function getPerceptualHash(input) {
+  const pixels = await sharp(input).greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return hash;
+}
+
+// Number of bits two perceptual hashes differ in
+function getHashDistance(a, b) {
+  let difference = a ^ b;
+  let distance = 0;
+  while (difference > 0n) {
+    distance += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return distance;
+}
+
+// Put the images of each vehicle next to each other, vehicles in the order of their first image
+function groupByVehicle(images) {
+  const groups = new Map();
+  for (const image of images) {
+    const key = image.vehicle ?? null;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(image);
+  }
+  return [...groups.values()].flat();
+}
+
+/**
+ * Decides which listed images are submitted: images can be left out by name, file size
+ * and dimensions, and duplicates of an earlier image are left out. Kept images can be
+ * grouped into vehicles by a pattern on their name.
+ *
+ * Images seen by earlier calls of select() count for duplicates, so a watched folder
+ * leaves out copies of images it processed before.
+ */
+class InputFilter {
+  /**
+   * @param {Object} [options] - The `input` config section
+   * @param {Array<string>} [options.include] - Globs; when set, only matching images are kept
+   * @param {Array<string>} [options.exclude] - Globs of images to leave out
+   * @param {string} [options.includePattern] - Regular expression images must match
+   * @param {string} [options.excludePattern] - Regular expression of images to leave out
+   * @param {number} [options.minFileSize] - Smallest file size in bytes
+   * @param {number} [options.maxFileSize] - Largest file size in bytes
+   * @param {number} [options.minWidth] - Smallest width in pixels
+   * @param {number} [options.minHeight] - Smallest height in pixels
+   * @param {number} [options.maxWidth] - Largest width in pixels
+   * @param {number} [options.maxHeight] - Largest height in pixels
+   * @param {string} [options.dedupe='none'] - One of DEDUPE_MODES
+   * @param {number} [options.maxHashDistance=4] - Perceptual hashes differing in at most
+   *   this many of their 64 bits count as duplicates
+   * @param {string} [options.vehiclePattern] - Regular expression whose first group (or
+   *   whole match) is the vehicle an image belongs to
+   * @param {Object} [source] - Source adapter, to read images that are not local files
+   */
+  constructor({
+    include = [],
+    exclude = [],
+    includePattern,
+    excludePattern,
+    minFileSize,
+    maxFileSize,
+    minWidth,
+    minHeight,
+    maxWidth,
+    maxHeight,
+    dedupe = 'none',
+    maxHashDistance = 4,
+    vehiclePattern
+  } = {}, source) {
+    const toMatcher = pattern => createMatcher(globToRegExp(pattern), pattern);
+    const toRegExpMatcher = pattern => createMatcher(new RegExp(pattern, 'i'), pattern);
+    this.include = [...include.map(toMatcher), ...(includePattern ? [toRegExpMatcher(includePattern)] : [])];
+    this.exclude = [...exclude.map(toMatcher), ...(excludePattern ? [toRegExpMatcher(excludePattern)] : [])];
+    this.fileSize = { min: minFileSize, max: maxFileSize };
+    this.width = { min: minWidth, max: maxWidth };
+    this.height = { min: minHeight, max: maxHeight };
+    this.dedupe = dedupe;
+    this.maxHashDistance = maxHashDistance;
+    this.getVehicleMatch = vehiclePattern ? toRegExpMatcher(vehiclePattern) : null;
+    this.source = source;
+    // Fingerprints of the images kept so far, by image ID
+    this.seen = new Map();
+  }
+  
+  // Whether a file size limit is set
+  get checksSize() {
+    return this.fileSize.min !== undefined || this.fileSize.max !== undefined;
+  }
+  
+  // Whether a width or height limit is set
+  get checksDimensions() {
+    return [this.width.min, this.width.max, this.height.min, this.height.max].some(limit => limit !== undefined);
+  }
+  
+  /**
+   * Vehicle an image belongs to according to the vehicle pattern
+   * @param {Object} image - Image from a source
+   * @returns {string|null} - Vehicle, or null when grouping is off or the name does not match
+   */
+  getVehicle(image) {
+    const match = this.getVehicleMatch?.(image);
+    return match ? match[1] ?? match[0] : null;
+  }
+  
+  /**
+   * Apply the filters to listed images
+   * @param {Array<Object>} images - Images from a source, in listing order
+   * @returns {Promise<Object>} - { images, excluded } where `images` are the kept images,
+   *   with a `vehicle` field and the images of each vehicle next to each other when a
+   *   vehicle pattern is set, and `excluded` holds { image, reason, message } per image
+   *   left out, `reason` being one of EXCLUSION_REASONS
+   */
+  async select(images) {
+    const kept = [];
+    const excluded = [];
+    
+    for (const image of images) {
+      let exclusion = null;
+      try {
+        exclusion = await this.check(image);
+      } catch (error) {
+        // The image fails with a proper error when it is processed
+        logger.warn(`⚠️ Could not check ${getMatchPath(image) || getImageId(image)} against the input filters, keeping it: ${error.message}`);
+      }
+      if (exclusion) {
+        logger.debug(`Left out ${getMatchPath(image) || getImageId(image)}: ${exclusion.message}`, { image: getImageId(image), reason: exclusion.reason });
+        excluded.push({ image, ...exclusion });
+      } else {
+        kept.push(image);
+      }
+    }
+    
+    if (excluded.length > 0) {
+      const counts = {};
+      for (const { reason } of excluded) {
+        counts[reason] = (counts[reason] || 0) + 1;
+      }
+      const details = Object.entries(counts).map(([reason, count]) => `${count} ${EXCLUSION_REASONS[reason]}`).join(', ');
+      logger.info(`🔎 Input filters left out ${excluded.length} of ${images.length} images (${details})`, { excluded: counts });
+    }
+    
+    if (!this.getVehicleMatch) {
+      return { images: kept, excluded };
+    }
+    const grouped = groupByVehicle(kept.map(image => ({ ...image, vehicle: this.getVehicle(image) })));
+    return { images: grouped, excluded };
+  }
+  
+  /**
+   * Check one image against the filters, and remember it for duplicate checks when kept
+   * @param {Object} image - Image from a source
+   * @returns {Promise<Object|null>} - { reason, message } when the image is left out
+   */
+  async check(image) {
+    const matchPath = getMatchPath(image);
+    if (this.include.length > 0 && !this.include.some(matches => matches(image))) {
+      return { reason: 'name', message: `${matchPath} does not match input.include or input.includePattern` };
+    }
+    if (this.exclude.some(matches => matches(image))) {
+      return { reason: 'name', message: `${matchPath} matches input.exclude or input.excludePattern` };
+    }
+    
+    // Images without a local file are read at most once
+    let data = null;
+    const read = async () => {
+      data = data || await readImage(image, this.source);
+      return data;
+    };
+    
+    if (this.checksSize) {
+      const size = image.filePath ? (await fs.promises.stat(image.filePath)).size : image.size ?? (await read()).length;
+      if (size < (this.fileSize.min ?? 0) || size > (this.fileSize.max ?? Infinity)) {
+        return { reason: 'size', message: `${size} bytes, outside input.minFileSize/maxFileSize` };
+      }
+    }
+    if (this.checksDimensions) {
+      const { width, height } = await sharp(image.filePath || await read()).metadata();
+      if (width < (this.width.min ?? 0) || width > (this.width.max ?? Infinity) ||
+          height < (this.height.min ?? 0) || height > (this.height.max ?? Infinity)) {
+        return { reason: 'dimensions', message: `${width}x${height}, outside input.minWidth/maxWidth/minHeight/maxHeight` };
+      }
+    }
+    if (this.dedupe === 'none') {
+      return null;
+    }
+    
+    const id = getImageId(image);
+    const fingerprint = {
+      name: matchPath || id,
+      contentHash: await getContentHash(image) || `sha256:${crypto.createHash('sha256').update(await read()).digest('hex')}`,
+      perceptualHash: this.dedupe === 'perceptual' ? await getPerceptualHash(image.filePath || await read()) : null
+    };
+    for (const [seenId, seen] of this.seen) {
+      // A source listed again is not a duplicate of itself
+      if (seenId === id) {
+        continue;
+      }
+      if (seen.contentHash === fingerprint.contentHash) {
+        return { reason: 'duplicate', message: `same content as ${seen.name}` };
+      }
+      if (fingerprint.perceptualHash !== null && seen.perceptualHash !== null) {
+        const distance = getHashDistance(fingerprint.perceptualHash, seen.perceptualHash);
+        if (distance <= this.maxHashDistance) {
+          return { reason: 'duplicate', message: `looks like ${seen.name} (perceptual hash distance ${distance})` };
+        }
+      }
+    }
+    this.seen.set(id, fingerprint);
+    return null;
+  }
+}
+
+module.exports = {
+  DEDUPE_MODES,
+  EXCLUSION_REASONS,
+  globToRegExp,
+  checkPattern,
+  getPerceptualHash,
+  getHashDistance,
+  InputFilter
+};
\ No newline at end of file
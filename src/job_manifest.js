@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomic_write');
+
+const MANIFEST_FILE = '.plate-replacer-manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Phases after which an image does not need to be processed again
+const COMPLETED_PHASE = 'completed';
+const FAILED_PHASE = 'failed';
+// Results that failed verification and wait in the needs_review folder
+const NEEDS_REVIEW_PHASE = 'needs_review';
+
+/**
+ * Stable identifier of an image across runs
+ * @param {Object} image - Image from a source
+ * @returns {string} - The image URL, `drive:<file ID>` or the absolute file path
+ */
+function getImageId(image) {
+  if (image.url) {
+    return image.url;
+  }
+  if (image.driveFileId) {
+    return `drive:${image.driveFileId}`;
+  }
+  return path.resolve(image.filePath);
+}
+
+/**
+ * Hash of the image content, used to notice when a source file changed between runs
+ * @param {Object} image - Image from a source
+ * @returns {Promise<string|null>} - `sha256:<hex>` for local files, `md5:<hex>` for Drive
+ *   files, or null when the content is not known without downloading it
+ */
+async function getContentHash(image) {
+  if (image.filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(image.filePath)) {
+      hash.update(chunk);
+    }
+    return `sha256:${hash.digest('hex')}`;
+  }
+  if (image.md5Checksum) {
+    return `md5:${image.md5Checksum}`;
+  }
+  return null;
+}
+
+/**
+ * Record of every image processed into an output directory, saved after each change
+ * so an interrupted run can be picked up where it stopped.
+ *
+ * Entries look like { id, name, hash, imageUrl, plate, submittedAt, phase, outputPath, error,
+ * resumable, updatedAt, image } where `phase` is "submitted", the last phase reported by the
+ * API, "completed", "needs_review" or "failed", and `resumable` marks failed images whose
+ * job the API still has.
+ */
+class JobManifest {
+  /**
+   * @param {string} outputDir - Output directory holding the manifest file
+   */
+  constructor(outputDir) {
+    this.filePath = path.join(outputDir, MANIFEST_FILE);
+    this.entries = {};
+    
+    if (fs.existsSync(this.filePath)) {
+      try {
+        this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).images || {};
+      } catch (error) {
+        throw new Error(`Job manifest ${this.filePath} is corrupt (${error.message}). Delete it to start over.`);
+      }
+    }
+  }
+  
+  // Entry of an image, or undefined if it was never processed
+  get(id) {
+    return this.entries[id];
+  }
+  
+  // Every entry, in the order images were first seen
+  list() {
+    return Object.values(this.entries);
+  }
+  
+  /**
+   * Merge fields into the entry of an image and save the manifest
+   * @param {string} id - Image ID (see getImageId)
+   * @param {Object} fields - Fields to set
+   * @returns {Object} - The updated entry
+   */
+  update(id, fields) {
+    this.entries[id] = {
+      ...this.entries[id],
+      id,
+      ...fields,
+      updatedAt: new Date().toISOString()
+    };
+    this.save();
+    return this.entries[id];
+  }
+  
+  // Write the manifest to disk; an interrupted write leaves the previous version in place
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    writeFileAtomic(this.filePath, JSON.stringify({ version: MANIFEST_VERSION, images: this.entries }, null, 2));
+  }
+  
+  /**
+   * Decide what a run should do with an image, based on its entry
+   * @param {string} id - Image ID
+   * @param {string|null} hash - Current content hash of the image
+   * @returns {Object} - { action: 'skip' | 'resume' | 'submit', entry }
+   */
+  plan(id, hash) {
+    const entry = this.get(id);
+    
+    // New images and images whose content changed start over
+    if (!entry || entry.hash !== hash) {
+      return { action: 'submit', entry };
+    }
+    if ([COMPLETED_PHASE, NEEDS_REVIEW_PHASE].includes(entry.phase) && entry.outputPath && fs.existsSync(entry.outputPath)) {
+      return { action: 'skip', entry };
+    }
+    // Submitted but not downloaded yet, or failed after the submission in a way that
+    // leaves the job usable: the API still has the job. A result removed from the
+    // needs_review folder was rejected, so the image is submitted again.
+    if (entry.imageUrl && ![COMPLETED_PHASE, FAILED_PHASE, NEEDS_REVIEW_PHASE].includes(entry.phase)) {
+      return { action: 'resume', entry };
+    }
+    if (entry.imageUrl && entry.phase === FAILED_PHASE && entry.resumable) {
+      return { action: 'resume', entry };
+    }
+    return { action: 'submit', entry };
+  }
+  
+  // Number of entries per phase
+  countByPhase() {
+    const counts = {};
+    for (const entry of this.list()) {
+      counts[entry.phase] = (counts[entry.phase] || 0) + 1;
+    }
+    return counts;
+  }
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  COMPLETED_PHASE,
+  FAILED_PHASE,
+  NEEDS_REVIEW_PHASE,
+  JobManifest,
+  getImageId,
+  getContentHash
+};
\ No newline at end of file
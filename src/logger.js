@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+// Levels from most to least important; a logger prints its level and the ones before it
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_FORMATS = ['text', 'json'];
+
+const REDACTED = '[REDACTED]';
+// Fields whose value is a credential, whatever it looks like
+const SENSITIVE_KEYS = /^(authorization|proxy-authorization|x-api-key|api[-_]?key|password|pass|token|access_token|refresh_token|client_secret)$/i;
+const BEARER_PATTERN = /\b(Bearer\s+)[^\s"',;]+/gi;
+
+// Console method of each level; warnings and errors go to stderr
+const CONSOLE_METHODS = { error: 'error', warn: 'warn', info: 'log', debug: 'log' };
+
+// Rank of a level, lower is more important
+function rank(level) {
+  return LOG_LEVELS.indexOf(level);
+}
+
+// JSON.stringify replacer hiding credential fields
+function hideSensitiveKeys(key, value) {
+  return SENSITIVE_KEYS.test(key) && typeof value === 'string' ? REDACTED : value;
+}
+
+/**
+ * Levelled logger shared by every module. Lines are printed as text or as JSON lines,
+ * and can be copied to a log file as JSON lines. Bearer tokens and registered secrets
+ * are replaced by "[REDACTED]" in everything that is written.
+ *
+ * Child loggers add fields to their lines, e.g. `logger.child({ imageId, image })` for
+ * the lines of one image, and share the settings of the logger they came from.
+ */
+class Logger {
+  /**
+   * @param {Object} [fields] - Fields added to every line
+   * @param {Object} [state] - Settings shared with the parent logger
+   */
+  constructor(fields = {}, state = { level: 'info', format: 'text', file: null, fileLevel: 'debug', fd: null, secrets: new Set() }) {
+    this.fields = fields;
+    this.state = state;
+  }
+  
+  /**
+   * Change the settings of this logger and every logger sharing them
+   * @param {Object} [settings] - The logging settings
+   * @param {string} [settings.level] - Console level, one of LOG_LEVELS
+   * @param {string} [settings.format] - Console format: "text" or "json"
+   * @param {string|null} [settings.file] - File to append JSON lines to, null for none
+   * @param {string} [settings.fileLevel] - Level of the log file
+   */
+  configure({ level, format, file, fileLevel } = {}) {
+    if (level !== undefined) this.state.level = level;
+    if (format !== undefined) this.state.format = format;
+    if (fileLevel !== undefined) this.state.fileLevel = fileLevel;
+    if (file !== undefined && file !== this.state.file) {
+      this.close();
+      if (file) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        this.state.fd = fs.openSync(file, 'a');
+      }
+      this.state.file = file;
+    }
+  }
+  
+  // Replace a value with "[REDACTED]" wherever it appears in the output
+  addSecret(secret) {
+    // Very short values would hide ordinary words
+    if (typeof secret === 'string' && secret.length >= 4) {
+      this.state.secrets.add(secret);
+    }
+  }
+  
+  // Logger adding fields to every line
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields }, this.state);
+  }
+  
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+  
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+  
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+  
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+  
+  // Hide bearer tokens and registered secrets in a text
+  redact(text) {
+    let redacted = text.replace(BEARER_PATTERN, `$1${REDACTED}`);
+    for (const secret of this.state.secrets) {
+      redacted = redacted.split(secret).join(REDACTED);
+    }
+    return redacted;
+  }
+  
+  /**
+   * Write a line to the console and the log file, as far as their levels allow
+   * @param {string} level - One of LOG_LEVELS
+   * @param {string} message - Human-readable message; text output shows only this
+   * @param {Object} [fields] - Structured details for JSON lines
+   */
+  write(level, message, fields = {}) {
+    const toConsole = rank(level) <= rank(this.state.level);
+    const toFile = this.state.fd !== null && rank(level) <= rank(this.state.fileLevel);
+    if (!toConsole && !toFile) {
+      return;
+    }
+    
+    const entry = { time: new Date().toISOString(), level, ...this.fields, message: String(message).trim(), ...fields };
+    const json = this.redact(JSON.stringify(entry, hideSensitiveKeys));
+    
+    if (toFile) {
+      fs.writeSync(this.state.fd, `${json}\n`);
+    }
+    if (toConsole) {
+      // Lines of an image are labelled so parallel output stays readable
+      const text = this.fields.image ? `[${this.fields.image}] ${message}` : String(message);
+      console[CONSOLE_METHODS[level]](this.state.format === 'json' ? json : this.redact(text));
+    }
+  }
+  
+  // Close the log file
+  close() {
+    if (this.state.fd !== null) {
+      fs.closeSync(this.state.fd);
+      this.state.fd = null;
+      this.state.file = null;
+    }
+  }
+}
+
+// The logger every module writes to
+const logger = new Logger();
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  Logger,
+  logger
+};
\ No newline at end of file
@@ -0,0 +1,285 @@
+const os = require('os');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { withRetry } = require('./retry_policy');
+const { logger } = require('./logger');
+
+// Events notifications are sent for
+const NOTIFICATION_EVENTS = {
+  completed: 'A batch finished',
+  failureThreshold: 'More than notifications.failureThresholdPercent of the processed images failed',
+  fatal: 'A command stopped with a fatal error'
+};
+
+// Failed images listed in an email before the rest is summarized
+const MAX_EMAIL_FAILURES = 50;
+
+// Where an image came from, for people reading a notification
+function describeSource(image) {
+  return image.url || image.filePath || (image.driveFileId ? `drive:${image.driveFileId}` : image.name);
+}
+
+// Notification entry of one image
+function describeResult(result) {
+  return {
+    name: result.name,
+    source: describeSource(result.image),
+    status: result.status,
+    output: result.outputPath || null,
+    deliveries: (result.deliveries || []).filter(delivery => !delivery.error).map(delivery => delivery.destination),
+    error: result.error || null,
+    errorCategory: result.errorCategory || null,
+    reviewIssues: result.reviewIssues || []
+  };
+}
+
+/**
+ * Build the report of a finished batch that notifications are made from
+ * @param {Object} batch - Finished batch
+ * @param {Object} batch.source - { type, location } the images came from
+ * @param {string} batch.startedAt - When the batch started (ISO timestamp)
+ * @param {string} [batch.batchId] - ID of a service batch
+ * @param {Array<Object>} batch.results - processImage() results
+ * @param {Object} [batch.summary] - Batch summary (see PlateReplacer.processBatch), counted
+ *   from the results when not given
+ * @returns {Object} - Report with the counts, the failure rate in percent, and the
+ *   succeeded, needs-review and failed images
+ */
+function buildBatchReport({ source, startedAt, batchId, results, summary }) {
+  const countStatus = status => results.filter(result => result.status === status).length;
+  const failures = {};
+  for (const result of results.filter(result => result.status === 'failed')) {
+    failures[result.errorCategory] = (failures[result.errorCategory] || 0) + 1;
+  }
+  const counts = summary || {
+    total: results.length,
+    succeeded: countStatus('succeeded'),
+    needsReview: countStatus('needs_review'),
+    skipped: countStatus('skipped'),
+    deferred: countStatus('deferred'),
+    cancelled: countStatus('cancelled'),
+    failed: countStatus('failed'),
+    failures
+  };
+  const processed = counts.succeeded + counts.failed;
+  
+  return {
+    source,
+    ...(batchId ? { batchId } : {}),
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    total: counts.total,
+    succeeded: counts.succeeded,
+    needsReview: counts.needsReview,
+    skipped: counts.skipped,
+    deferred: counts.deferred,
+    cancelled: counts.cancelled,
+    failed: counts.failed,
+    failures: counts.failures,
+    ...(summary ? { creditsUsed: summary.creditsUsed } : {}),
+    failureRate: processed > 0 ? Math.round((counts.failed / processed) * 1000) / 10 : 0,
+    images: {
+      succeeded: results.filter(result => result.status === 'succeeded' || result.status === 'skipped').map(describeResult),
+      needsReview: results.filter(result => result.status === 'needs_review').map(describeResult),
+      failed: results.filter(result => result.status === 'failed').map(describeResult)
+    }
+  };
+}
+
+// One-line description of a notification
+function describeEvent(event, details) {
+  const source = details.source ? `${details.source.type} (${details.source.location})` : 'unknown source';
+  switch (event) {
+    case 'completed':
+      return `${details.succeeded + details.skipped} of ${details.total} images ready from ${source}${details.needsReview > 0 ? `, ${details.needsReview} need review` : ''}${details.failed > 0 ? `, ${details.failed} failed` : ''}`;
+    case 'failureThreshold':
+      return `${details.failureRate}% of the images from ${source} failed (${details.failed} of ${details.succeeded + details.failed})`;
+    default:
+      return `${details.command || 'plate-replacer'} stopped with an error: ${details.error}`;
+  }
+}
+
+// Plain text body of a notification email
+function formatEmail(payload) {
+  const lines = [payload.message, ''];
+  if (payload.source) {
+    lines.push(`Source: ${payload.source.type} (${payload.source.location})`);
+  }
+  if (payload.batchId) {
+    lines.push(`Batch: ${payload.batchId}`);
+  }
+  if (payload.event === 'fatal') {
+    lines.push(`Command: ${payload.command}`, `Error: ${payload.error}`);
+  } else {
+    lines.push(
+      `Started: ${payload.startedAt}`,
+      `Finished: ${payload.finishedAt}`,
+      `Succeeded: ${payload.succeeded}, needs review: ${payload.needsReview}, skipped (already processed): ${payload.skipped}, deferred: ${payload.deferred}, cancelled: ${payload.cancelled}, failed: ${payload.failed}`
+    );
+    if (payload.images.needsReview.length > 0) {
+      lines.push('', 'Results to review (not delivered):');
+      payload.images.needsReview.forEach(image => lines.push(`- ${image.name}: ${image.output} (${image.reviewIssues.join('; ')})`));
+    }
+    if (payload.images.failed.length > 0) {
+      lines.push('', 'Failed images:');
+      payload.images.failed.slice(0, MAX_EMAIL_FAILURES)
+        .forEach(image => lines.push(`- ${image.name} (${image.errorCategory}): ${image.error}`));
+      if (payload.images.failed.length > MAX_EMAIL_FAILURES) {
+        lines.push(`- ... and ${payload.images.failed.length - MAX_EMAIL_FAILURES} more`);
+      }
+    }
+    if (payload.images.succeeded.length > 0) {
+      lines.push('', 'Results:');
+      payload.images.succeeded
+        .forEach(image => lines.push(`- ${image.name}: ${[image.output, ...image.deliveries.filter(destination => destination !== image.output)].join(', ')}`));
+    }
+  }
+  lines.push('', `Sent by plate-replacer on ${payload.host} at ${payload.sentAt}`);
+  return lines.join('\n');
+}
+
+/**
+ * Webhook transport: POSTs the notification as JSON
+ * @param {Object} settings - A notifications.webhooks entry
+ * @param {Object} retry - Retry policy for failed requests
+ * @returns {Object} - Transport with `name`, `events` and `send(payload)`
+ */
+function createWebhookTransport({ url, headers = {}, events }, retry) {
+  // Credentials for the receiving service must not show up in the logs
+  Object.entries(headers)
+    .filter(([name]) => /auth|token|key|secret|signature/i.test(name))
+    .forEach(([, value]) => logger.addSecret(value));
+  return {
+    // The URL itself may contain a secret, so only its host is shown
+    name: `webhook ${new URL(url).host}`,
+    events,
+    async send(payload) {
+      await withRetry(() => axios.post(url, payload, { headers, timeout: 10000 }), { name: 'Webhook', ...retry });
+    }
+  };
+}
+
+/**
+ * SMTP transport: emails the notification as plain text
+ * @param {Object} settings - The notifications.smtp settings
+ * @returns {Object} - Transport with `name`, `events` and `send(payload)`
+ */
+function createSmtpTransport({ host, port, secure, user, password, from, to, events }) {
+  logger.addSecret(password);
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined
+  });
+  return {
+    name: `email to ${to.join(', ')}`,
+    events,
+    async send(payload) {
+      await transporter.sendMail({
+        from,
+        to,
+        subject: `[plate-replacer] ${payload.message}`,
+        text: formatEmail(payload)
+      });
+    }
+  };
+}
+
+/**
+ * Sends notifications when a batch finishes, when too many of its images failed, and
+ * when a command stops with a fatal error. A failed notification is reported but never
+ * fails the batch.
+ */
+class Notifier {
+  /**
+   * @param {Object} [settings] - The notifications settings
+   * @param {Object} [options] - Notifier options
+   * @param {Object} [options.retry] - Retry policy for webhook requests
+   */
+  constructor(settings = {}, { retry } = {}) {
+    this.settings = settings;
+    this.transports = [
+      ...(settings.webhooks || []).map(webhook => createWebhookTransport(webhook, retry)),
+      ...(settings.smtp ? [createSmtpTransport(settings.smtp)] : [])
+    ];
+  }
+  
+  /**
+   * Notify about a finished batch
+   * @param {Object} batch - See buildBatchReport
+   * @returns {Promise<Array<string>>} - The events that were sent
+   */
+  async notifyBatch(batch) {
+    if (this.transports.length === 0) {
+      return [];
+    }
+    const report = buildBatchReport(batch);
+    const events = [];
+    if (this.settings.onComplete !== false) {
+      events.push('completed');
+    }
+    const threshold = this.settings.failureThresholdPercent;
+    if (threshold !== undefined && report.failed > 0 && report.failureRate > threshold) {
+      events.push('failureThreshold');
+    }
+    
+    for (const event of events) {
+      await this.send(event, report);
+    }
+    return events;
+  }
+  
+  /**
+   * Notify about a command that stopped with an error
+   * @param {Object} details - What failed
+   * @param {string} details.command - CLI command
+   * @param {Object} [details.source] - { type, location } of the configured source
+   * @param {Error} details.error - The error
+   * @returns {Promise<Array<string>>} - The events that were sent
+   */
+  async notifyFatal({ command, source, error }) {
+    if (this.transports.length === 0 || this.settings.onFatal === false) {
+      return [];
+    }
+    await this.send('fatal', { command, source: source || null, error: error.message, failedAt: new Date().toISOString() });
+    return ['fatal'];
+  }
+  
+  // Send an event to every transport that wants it
+  async send(event, details) {
+    const payload = {
+      event,
+      message: describeEvent(event, details),
+      host: os.hostname(),
+      sentAt: new Date().toISOString(),
+      ...details
+    };
+    
+    const transports = this.transports.filter(transport => !transport.events || transport.events.includes(event));
+    await Promise.all(transports.map(async (transport) => {
+      try {
+        await transport.send(payload);
+        logger.info(`🔔 Sent ${event} notification (${transport.name})`);
+      } catch (error) {
+        logger.warn(`⚠️ Could not send ${event} notification (${transport.name}): ${error.message}`);
+      }
+    }));
+  }
+}
+
+/**
+ * Create the notifier for a configuration
+ * @param {Object} config - Validated configuration
+ * @returns {Notifier} - Notifier for the `notifications` settings
+ */
+function createNotifier(config) {
+  return new Notifier(config.notifications, { retry: config.retry.notification });
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  buildBatchReport,
+  Notifier,
+  createNotifier
+};
\ No newline at end of file
@@ -0,0 +1,246 @@
+const path = require('path');
+const crypto = require('crypto');
+const { getImageId } = require('./job_manifest');
+const { ProcessingError } = require('./retry_policy');
+const { logger } = require('./logger');
+
+// Tokens an output name template can use
+const TEMPLATE_TOKENS = {
+  name: 'Original file name without extension',
+  ext: 'Original extension without the dot ("png" when the source has none), or the extension of postProcessing.format',
+  id: 'Drive file ID, or a short hash of the image URL or path',
+  folder: 'Source subfolder, empty for images at the source root',
+  date: 'Date the run started (YYYY-MM-DD, UTC)',
+  suffix: 'The output.suffix setting'
+};
+
+const DEFAULT_TEMPLATE = '{folder}/{name}{suffix}.{ext}';
+
+// What to do when two images map to the same output name
+const COLLISION_POLICIES = {
+  number: 'Add -2, -3, ... to later images, in source listing order',
+  id: 'Add the image {id} to later images',
+  fail: 'Fail later images with a delivery error',
+  overwrite: 'Let later images replace earlier ones'
+};
+
+const TOKEN_PATTERN = /\{([a-z]+)\}/g;
+
+/**
+ * Check an output name template
+ * @param {string} template - Template such as "{folder}/{name}{suffix}.{ext}"
+ * @returns {string|null} - What is wrong with it, or null when it is valid
+ */
+function checkTemplate(template) {
+  const unknown = [...template.matchAll(TOKEN_PATTERN)]
+    .map(match => match[1])
+    .filter(token => !TEMPLATE_TOKENS[token]);
+  if (unknown.length > 0) {
+    return `unknown token ${unknown.map(token => `{${token}}`).join(', ')} (use ${Object.keys(TEMPLATE_TOKENS).map(token => `{${token}}`).join(', ')})`;
+  }
+  if (!template.includes('{name}') && !template.includes('{id}')) {
+    return 'must contain {name} or {id}, otherwise every image gets the same name';
+  }
+  return null;
+}
+
+// File name from the tail of an image URL, or a Drive file ID from a Drive link
+function getUrlFilename(imageUrl) {
+  try {
+    const url = new URL(imageUrl);
+    if (url.hostname === 'drive.google.com') {
+      // Format: https://drive.google.com/uc?export=download&id=FILE_ID
+      // Format: https://drive.google.com/file/d/FILE_ID/view
+      return url.searchParams.get('id') || url.pathname.split('/d/')[1]?.split('/')[0] || null;
+    }
+    return decodeURIComponent(path.posix.basename(url.pathname)) || null;
+  } catch (error) {
+    logger.warn(`⚠️ Error extracting filename from URL: ${error.message}`);
+    return null;
+  }
+}
+
+// Original file name of an image, including its extension when it has one
+function getOriginalFilename(image) {
+  return image.name || (image.url && getUrlFilename(image.url)) || null;
+}
+
+// Derive the output filename (without extension) for an image
+function getImageFilename(image) {
+  const filename = getOriginalFilename(image);
+  if (!filename) {
+    return `image_${getShortId(image)}`;
+  }
+  return path.basename(filename, path.extname(filename));
+}
+
+// Extension of the original file without the dot, "png" when there is none
+function getImageExtension(image) {
+  const extension = path.extname(getOriginalFilename(image) || '').slice(1);
+  return extension || 'png';
+}
+
+// Drive file ID, or a short stable hash of the image ID
+function getShortId(image) {
+  if (image.driveFileId) {
+    return image.driveFileId;
+  }
+  return crypto.createHash('sha1').update(getImageId(image)).digest('hex').slice(0, 10);
+}
+
+// Keep a token from adding path segments or leaving the output directory
+function sanitizeSegment(value) {
+  return String(value).replace(/[\\/:*?"<>|]/g, '_').replace(/^\.+$/, '_');
+}
+
+/**
+ * Fill in an output name template for an image
+ * @param {string} template - Output name template
+ * @param {Object} image - Image from a source
+ * @param {Object} options - Values that do not come from the image
+ * @param {string} options.suffix - The output.suffix setting
+ * @param {string} [options.extension] - Extension replacing the original one
+ * @param {string} options.date - Run date (YYYY-MM-DD)
+ * @returns {string} - Relative output path using "/" separators
+ */
+function renderTemplate(template, image, { suffix, extension, date }) {
+  const values = {
+    name: sanitizeSegment(getImageFilename(image)),
+    ext: sanitizeSegment(extension || getImageExtension(image)),
+    id: sanitizeSegment(getShortId(image)),
+    // Subfolders are kept, but never ".." or absolute paths
+    folder: (image.folder || '').split('/').filter(Boolean).map(sanitizeSegment).join('/'),
+    date,
+    suffix: sanitizeSegment(suffix)
+  };
+  const rendered = template.replace(TOKEN_PATTERN, (match, token) => values[token]);
+  
+  // An empty {folder} leaves leading or doubled slashes behind
+  return rendered.split(/[\\/]+/)
+    .filter(segment => segment && segment !== '.')
+    .map(segment => (segment === '..' ? '_' : segment))
+    .join('/');
+}
+
+// Insert a marker before the extension of a relative path
+function addMarker(relativePath, marker) {
+  const extension = path.posix.extname(relativePath);
+  return `${relativePath.slice(0, relativePath.length - extension.length)}-${marker}${extension}`;
+}
+
+/**
+ * Assigns every image of an output directory its output path. Names come from a template,
+ * and images mapping to a name that another image already holds are handled by the
+ * collision policy. Names held by images of earlier runs are taken from the job manifest,
+ * so a rerun resolves collisions the same way and never overwrites another image's result.
+ */
+class OutputNamer {
+  /**
+   * @param {Object} options - Naming options
+   * @param {string} options.outputDir - Output directory
+   * @param {string} [options.template] - Output name template (see TEMPLATE_TOKENS)
+   * @param {string} [options.suffix=''] - Value of the {suffix} token
+   * @param {string} [options.extension] - Value of the {ext} token for every image, when
+   *   results are converted to one format
+   * @param {string} [options.onCollision='number'] - One of COLLISION_POLICIES
+   * @param {JobManifest} [options.manifest] - Manifest with the outputs of earlier runs
+   */
+  constructor({ outputDir, template = DEFAULT_TEMPLATE, suffix = '', extension, onCollision = 'number', manifest }) {
+    this.outputDir = outputDir;
+    this.template = template;
+    this.suffix = suffix;
+    this.extension = extension;
+    this.onCollision = onCollision;
+    this.date = new Date().toISOString().slice(0, 10);
+    // Output path by image ID, and the image ID holding each output path
+    this.assigned = new Map();
+    this.holders = new Map();
+    
+    // Results of earlier runs keep their names
+    for (const entry of manifest ? manifest.list() : []) {
+      if (entry.outputPath) {
+        this.holders.set(path.resolve(entry.outputPath), entry.id);
+      }
+    }
+  }
+  
+  /**
+   * Output path of an image, assigning one on first use
+   * @param {Object} image - Image from a source
+   * @returns {string} - Absolute output path
+   * @throws {ProcessingError} - With the "fail" policy, when the name is already taken
+   */
+  getOutputPath(image) {
+    const id = getImageId(image);
+    if (this.assigned.has(id)) {
+      return this.assigned.get(id);
+    }
+    
+    const relativePath = renderTemplate(this.template, image, { suffix: this.suffix, extension: this.extension, date: this.date });
+    const outputPath = this.claim(image, id, relativePath);
+    this.assigned.set(id, outputPath);
+    return outputPath;
+  }
+  
+  /**
+   * Assign output paths to a batch in listing order, so collisions resolve the same way on
+   * every run. Images whose name cannot be assigned are left to fail when they are processed.
+   * @param {Array<Object>} images - Images from a source
+   */
+  assign(images) {
+    for (const image of images) {
+      try {
+        this.getOutputPath(image);
+      } catch (error) {
+        // Reported when the image itself is processed
+      }
+    }
+  }
+  
+  // Take a free output path for an image, following the collision policy
+  claim(image, id, relativePath) {
+    const toPath = candidate => path.resolve(this.outputDir, ...candidate.split('/'));
+    const isFree = candidate => {
+      const holder = this.holders.get(toPath(candidate));
+      return holder === undefined || holder === id;
+    };
+    
+    let candidate = relativePath;
+    if (!isFree(candidate)) {
+      const holder = this.holders.get(toPath(candidate));
+      switch (this.onCollision) {
+        case 'overwrite':
+          logger.warn(`⚠️ Output name ${relativePath} is also used by ${holder}, the later result replaces it`);
+          return toPath(candidate);
+        case 'fail':
+          throw new ProcessingError('delivery', `Output name ${relativePath} is already used by ${holder}`);
+        case 'id':
+          candidate = addMarker(relativePath, sanitizeSegment(getShortId(image)));
+          break;
+        default: {
+          let counter = 2;
+          while (!isFree(addMarker(relativePath, counter))) {
+            counter++;
+          }
+          candidate = addMarker(relativePath, counter);
+        }
+      }
+      logger.warn(`⚠️ Output name ${relativePath} is already used by ${holder}, saving as ${candidate}`);
+    }
+    
+    this.holders.set(toPath(candidate), id);
+    return toPath(candidate);
+  }
+}
+
+module.exports = {
+  TEMPLATE_TOKENS,
+  DEFAULT_TEMPLATE,
+  COLLISION_POLICIES,
+  checkTemplate,
+  getOriginalFilename,
+  getImageFilename,
+  getImageExtension,
+  renderTemplate,
+  OutputNamer
+};
\ No newline at end of file
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { DRIVE_SCOPE, createDriveClient, ensureDriveFolder, uploadDriveFile, extractFolderId } = require('./drive_downloader');
+const { writeFileAtomic } = require('./atomic_write');
+
+// Content types for the image formats the processor returns
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp'
+};
+
+// Content type of a result file, based on its extension
+function getContentType(filePath) {
+  return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Path of a result below a sink's target, using "/" separators
+ * @param {string} filePath - Processed file in the working output directory
+ * @param {Object} image - The source image the file was produced from
+ * @param {string} [relativePath] - Path of the file below the output directory, as named
+ *   by the output template (defaults to the source subfolder and the file name)
+ * @param {boolean} mirror - Keep subfolders; otherwise only the file name is used
+ * @returns {string} - The relative target path
+ */
+function getTargetPath(filePath, image, relativePath, mirror) {
+  const targetPath = relativePath || path.posix.join(image.folder || '', path.basename(filePath));
+  return mirror ? targetPath : path.posix.basename(targetPath);
+}
+
+/**
+ * Local directory sink: copies results to a directory, optionally mirroring the
+ * folder structure of the output directory
+ * @param {Object} options - Sink options
+ * @param {string} options.path - Target directory
+ * @param {boolean} [options.mirror=true] - Recreate output subfolders below the target
+ * @returns {Object} - Output sink adapter
+ */
+function createLocalSink({ path: targetDir, mirror = true }) {
+  return {
+    type: 'local',
+    location: targetDir,
+    async write(filePath, image, relativePath) {
+      const destination = path.join(targetDir, ...getTargetPath(filePath, image, relativePath, mirror).split('/'));
+      
+      // The working copy may already be where this sink points
+      if (path.resolve(destination) !== path.resolve(filePath)) {
+        fs.mkdirSync(path.dirname(destination), { recursive: true });
+        writeFileAtomic(destination, fs.readFileSync(filePath));
+      }
+      
+      return destination;
+    }
+  };
+}
+
+/**
+ * Google Drive sink: uploads results into a Drive folder, replacing files of the same name
+ * @param {Object} options - Sink options
+ * @param {string} options.folderUrl - Target Google Drive folder URL
+ * @param {Object} options.auth - Credentials configuration (see createDriveClient)
+ * @param {boolean} [options.mirror=true] - Recreate output subfolders below the target folder
+ * @returns {Object} - Output sink adapter
+ */
+function createGoogleDriveSink({ folderUrl, auth, mirror = true }) {
+  const rootFolderId = extractFolderId(folderUrl);
+  if (!rootFolderId) {
+    throw new Error(`Invalid Google Drive folder URL for output: ${folderUrl}`);
+  }
+  if (!auth) {
+    throw new Error('The googleDrive output sink needs auth credentials with write access');
+  }
+  
+  let drivePromise;
+  // Folder lookups are shared so parallel uploads don't create duplicate folders
+  const folderIds = new Map();
+  
+  // Failed lookups are forgotten, so the next upload tries again
+  const getDrive = () => {
+    if (!drivePromise) {
+      const promise = createDriveClient(auth, [DRIVE_SCOPE]);
+      drivePromise = promise;
+      promise.catch(() => {
+        if (drivePromise === promise) {
+          drivePromise = null;
+        }
+      });
+    }
+    return drivePromise;
+  };
+  
+  const getFolderId = (drive, folderPath) => {
+    if (!folderIds.has(folderPath)) {
+      const promise = ensureDriveFolder(drive, rootFolderId, folderPath);
+      folderIds.set(folderPath, promise);
+      promise.catch(() => {
+        if (folderIds.get(folderPath) === promise) {
+          folderIds.delete(folderPath);
+        }
+      });
+    }
+    return folderIds.get(folderPath);
+  };
+  
+  return {
+    type: 'googleDrive',
+    location: folderUrl,
+    async write(filePath, image, relativePath) {
+      const drive = await getDrive();
+      
+      const targetPath = getTargetPath(filePath, image, relativePath, mirror);
+      const folderPath = path.posix.dirname(targetPath).replace(/^\.$/, '');
+      const folderId = await getFolderId(drive, folderPath);
+      const uploaded = await uploadDriveFile(drive, folderId, filePath, {
+        name: path.posix.basename(targetPath),
+        mimeType: getContentType(filePath)
+      });
+      
+      return uploaded.webViewLink || `drive:${uploaded.id}`;
+    }
+  };
+}
+
+/**
+ * S3-compatible sink (AWS S3, MinIO, ...): uploads results as objects below a key prefix
+ * @param {Object} options - Sink options
+ * @param {string} options.bucket - Target bucket
+ * @param {string} [options.prefix=''] - Key prefix for uploaded objects
+ * @param {string} [options.endpoint] - Endpoint URL for non-AWS services, e.g. http://localhost:9000
+ * @param {string} [options.region='us-east-1'] - Bucket region
+ * @param {string} [options.accessKeyId] - Access key (defaults to the AWS credential chain)
+ * @param {string} [options.secretAccessKey] - Secret key
+ * @param {boolean} [options.forcePathStyle] - Use path-style URLs (defaults to true with a custom endpoint)
+ * @param {boolean} [options.mirror=true] - Include output subfolders in the object key
+ * @returns {Object} - Output sink adapter
+ */
+function createS3Sink({
+  bucket,
+  prefix = '',
+  endpoint,
+  region = 'us-east-1',
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = Boolean(endpoint),
+  mirror = true
+}) {
+  if (!bucket) {
+    throw new Error('The s3 output sink needs a bucket');
+  }
+  
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+  
+  return {
+    type: 's3',
+    location: `s3://${bucket}/${prefix}`,
+    async write(filePath, image, relativePath) {
+      const key = path.posix.join(prefix, getTargetPath(filePath, image, relativePath, mirror));
+      
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fs.readFileSync(filePath),
+        ContentType: getContentType(filePath)
+      }));
+      
+      return `s3://${bucket}/${key}`;
+    }
+  };
+}
+
+// Built-in output sinks, keyed by the `type` of each `output.sinks` entry
+const SINK_ADAPTERS = {
+  local: createLocalSink,
+  googleDrive: createGoogleDriveSink,
+  s3: createS3Sink
+};
+
+// One-line descriptions of the built-in output sinks
+const SINK_DESCRIPTIONS = {
+  local: 'Local directory, optionally mirroring output subfolders',
+  googleDrive: 'Upload to a Google Drive folder',
+  s3: 'Upload to an S3-compatible bucket'
+};
+
+/**
+ * Create an output sink from its configuration
+ * @param {Object} sinkConfig - Sink configuration
+ * @param {string} sinkConfig.type - One of the keys of SINK_ADAPTERS
+ * @returns {Object} - Adapter with `type`, `location` and `write(filePath, image, relativePath)`
+ *   resolving to where the file was delivered
+ */
+function createOutputSink(sinkConfig) {
+  const factory = SINK_ADAPTERS[sinkConfig.type];
+  
+  if (!factory) {
+    throw new Error(`Unknown output sink type "${sinkConfig.type}". Available: ${Object.keys(SINK_ADAPTERS).join(', ')}`);
+  }
+  
+  return factory(sinkConfig);
+}
+
+/**
+ * Deliver a processed file to every sink. All sinks are attempted even if one fails.
+ * @param {Array<Object>} sinks - Output sink adapters
+ * @param {string} filePath - Processed file in the working output directory
+ * @param {Object} image - The source image the file was produced from
+ * @param {string} [relativePath] - Path of the file below the output directory
+ * @returns {Promise<Array<Object>>} - One { type, destination } or { type, error } per sink
+ */
+async function writeToSinks(sinks, filePath, image, relativePath) {
+  return Promise.all(sinks.map(async (sink) => {
+    try {
+      const destination = await sink.write(filePath, image, relativePath);
+      return { type: sink.type, destination };
+    } catch (error) {
+      return { type: sink.type, error };
+    }
+  }));
+}
+
+module.exports = {
+  SINK_ADAPTERS,
+  SINK_DESCRIPTIONS,
+  createOutputSink,
+  createLocalSink,
+  createGoogleDriveSink,
+  createS3Sink,
+  writeToSinks
+};
\ No newline at end of file
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const { ProcessingError } = require('./retry_policy');
+
+// Formats the API returns; anything else is not a usable result
+const VERIFIED_FORMATS = ['png', 'jpeg'];
+
+// Results and sources are compared on a grid of this many pixels per side
+const COMPARE_SIZE = 128;
+// Difference in any color channel (0-255) below which a pixel counts as unchanged,
+// so JPEG re-encoding alone does not count as a change
+const PIXEL_TOLERANCE = 24;
+
+/**
+ * Decode an image completely, so truncated and corrupted files are caught
+ * @param {string|Buffer} input - File path or image data
+ * @returns {Promise<Object>} - { format, width, height } with the width and height as
+ *   displayed, after EXIF rotation
+ * @throws {ProcessingError} - "invalid_response" when the data is not a PNG or JPEG image
+ */
+async function decodeImage(input) {
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+    await sharp(input).raw().toBuffer();
+  } catch (error) {
+    throw new ProcessingError('invalid_response', `Result is not a valid image: ${error.message}`);
+  }
+  if (!VERIFIED_FORMATS.includes(metadata.format)) {
+    throw new ProcessingError('invalid_response', `Result is a ${metadata.format} image, expected PNG or JPEG`);
+  }
+  // EXIF orientations 5 to 8 turn the image by 90 degrees
+  const turned = metadata.orientation >= 5;
+  return {
+    format: metadata.format,
+    width: turned ? metadata.height : metadata.width,
+    height: turned ? metadata.width : metadata.height
+  };
+}
+
+// RGB pixels of an image on the comparison grid, transparency shown on white
+function getComparisonPixels(input) {
+  return sharp(input)
+    .rotate()
+    .resize(COMPARE_SIZE, COMPARE_SIZE, { fit: 'fill' })
+    .flatten({ background: '#ffffff' })
+    .removeAlpha()
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Share of the pixels that differ between two images, compared at the same scale
+ * @param {string|Buffer} first - File path or image data
+ * @param {string|Buffer} second - File path or image data
+ * @returns {Promise<number>} - Percentage of changed pixels, 0 to 100
+ */
+async function getChangedPercent(first, second) {
+  const [a, b] = await Promise.all([getComparisonPixels(first), getComparisonPixels(second)]);
+  let changed = 0;
+  for (let offset = 0; offset < a.length; offset += 3) {
+    const difference = Math.max(
+      Math.abs(a[offset] - b[offset]),
+      Math.abs(a[offset + 1] - b[offset + 1]),
+      Math.abs(a[offset + 2] - b[offset + 2])
+    );
+    if (difference > PIXEL_TOLERANCE) {
+      changed++;
+    }
+  }
+  return (changed / (a.length / 3)) * 100;
+}
+
+/**
+ * Check a downloaded result: it must decode as a PNG or JPEG image, and when the source
+ * image is given, have its dimensions and differ from it visibly. A result that is
+ * (nearly) the same as its source most likely still shows the original plate.
+ * @param {string} outputPath - The downloaded result
+ * @param {Buffer|null} sourceData - The source image, or null to only check the result itself
+ * @param {Object} [options] - Verification options (the `verification` config)
+ * @param {boolean} [options.checkDimensions=true] - Require the dimensions of the source
+ * @param {number} [options.minChangedPercent=0.1] - Share of pixels that must differ from the source
+ * @returns {Promise<Object>} - { format, width, height, changedPercent, issues } where
+ *   `issues` lists why the result needs a human review, empty when it looks fine
+ * @throws {ProcessingError} - "invalid_response" when the result is not a usable image
+ */
+async function verifyOutput(outputPath, sourceData, { checkDimensions = true, minChangedPercent = 0.1 } = {}) {
+  const output = await decodeImage(outputPath);
+  const verification = { ...output, changedPercent: null, issues: [] };
+  if (!sourceData) {
+    return verification;
+  }
+  
+  let source;
+  try {
+    source = await decodeImage(sourceData);
+  } catch (error) {
+    // Nothing to compare with; the API accepted the source, so the result still counts
+    return verification;
+  }
+  
+  if (checkDimensions && (source.width !== output.width || source.height !== output.height)) {
+    verification.issues.push(`Dimensions ${output.width}x${output.height} differ from the source (${source.width}x${source.height})`);
+  }
+  
+  const outputData = await fs.promises.readFile(outputPath);
+  if (outputData.equals(sourceData)) {
+    verification.changedPercent = 0;
+    verification.issues.push('Identical to the source image');
+    return verification;
+  }
+  
+  verification.changedPercent = Math.round(await getChangedPercent(sourceData, outputData) * 1000) / 1000;
+  if (verification.changedPercent < minChangedPercent) {
+    verification.issues.push(`Only ${verification.changedPercent}% of the image differs from the source (at least ${minChangedPercent}% expected), the plate was probably not replaced`);
+  }
+  return verification;
+}
+
+module.exports = {
+  VERIFIED_FORMATS,
+  decodeImage,
+  getChangedPercent,
+  verifyOutput
+};
\ No newline at end of file
@@ -2,353 +2,388 @@
 
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
 const axios = require('axios');
 const FormData = require('form-data');
+const { createImageSource, readImage } = require('./image_sources');
+const { SourceError, resolveSource } = require('./source_resolver');
+const { createOutputSink, writeToSinks } = require('./output_sinks');
+const { ConfigError, validateConfig } = require('./config_loader');
+const { COMPLETED_PHASE, FAILED_PHASE, NEEDS_REVIEW_PHASE, JobManifest, getImageId, getContentHash } = require('./job_manifest');
+const { FAILURE_CATEGORIES, SUBMISSION_RETRYABLE_CATEGORIES, ProcessingError, classifyError, withRetry } = require('./retry_policy');
+const { RateLimiter, DailyQuota, QuotaExceededError } = require('./rate_limiter');
+const { CancelledError, StatusScheduler } = require('./status_scheduler');
+const { Semaphore, runPool } = require('./work_pool');
+const { OutputNamer, getImageFilename } = require('./output_naming');
+const { postProcess, getOutputExtension } = require('./post_processor');
+const { PlateSelector, getPlateImagePath } = require('./plate_selector');
+const { createNotifier } = require('./notifier');
+const { writeRunReport } = require('./run_report');
+const { verifyOutput } = require('./output_verifier');
+const { InputFilter } = require('./input_filter');
+const { getTypicalProcessingSeconds, estimateRun, formatDuration } = require('./run_estimate');
+const { writeFileAtomic } = require('./atomic_write');
+const { logger } = require('./logger');
 
-// Load configuration
-const CONFIG = require('./config.json');
+// Default locations, relative to the repository
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '../output_images');
+const DEFAULT_INPUT_DIR = path.join(__dirname, '../input_images');
+const URL_SOURCE_TYPES = ['googleDrive', 'httpDirectory'];
+const LAST_RUN_FILE = '.plate-replacer-last-run.json';
+const REPORTS_DIR = 'reports';
+// Results that failed verification are moved here instead of being delivered
+const NEEDS_REVIEW_DIR = 'needs_review';
+// Image reference of the status request that checks the API key; no job has it
+const API_KEY_CHECK_IMAGE = 'plate-replacer-api-key-check';
+// Failures after a submission that leave the job usable at the API; the next run resumes
+// the job instead of paying for a new submission. A rejected job or an unusable result
+// is submitted again.
+const RESUMABLE_CATEGORIES = ['network', 'rate_limited', 'server_error', 'auth', 'timeout', 'delivery', 'post_processing', 'unknown'];
+// Complete, correctly padded base64
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+// Counts kept per vehicle, and the image status they count
+const VEHICLE_COUNTS = {
+  succeeded: 'succeeded',
+  needsReview: 'needs_review',
+  skipped: 'skipped',
+  deferred: 'deferred',
+  cancelled: 'cancelled',
+  failed: 'failed'
+};
 
-// Configuration settings
-const OUTPUT_DIR = path.join(__dirname, '../output_images');
-const POLLING_INTERVAL = CONFIG.polling.intervalMs;
-const MAX_RETRIES = CONFIG.polling.maxRetries;
-const OUTPUT_SUFFIX = CONFIG.output.suffix;
-const API_KEY = CONFIG.api.apiKey;
-const PLATE_DIR = path.join(__dirname, '../plate');
-const REMOTE_URL = CONFIG.googleDrive.folderUrl;
-const PARALLEL_PROCESSING = CONFIG.processing.parallelProcessing || false;
-const MAX_CONCURRENT = CONFIG.processing.maxConcurrent || 3;
+// Working output directory: the configured one or output_images in the repository
+function getOutputDir(config) {
+  return config.output.directory ? path.resolve(config.output.directory) : DEFAULT_OUTPUT_DIR;
+}
 
-// Find the first PNG file in the plate directory
-function findPlateImage() {
-  try {
-    const files = fs.readdirSync(PLATE_DIR);
-    const pngFile = files.find(file => file.toLowerCase().endsWith('.png'));
-    
-    if (pngFile) {
-      return path.join(PLATE_DIR, pngFile);
-    } else {
-      console.error('❌ No PNG file found in the plate directory. Please add a PNG logo file.');
-      process.exit(1);
+// Resolve credential file paths in a Google Drive auth config against the working directory
+function resolveAuthPaths(auth) {
+  const resolved = { ...auth };
+  for (const key of ['keyFile', 'clientSecretFile', 'tokenFile']) {
+    if (resolved[key]) {
+      resolved[key] = path.resolve(resolved[key]);
     }
-  } catch (error) {
-    console.error(`❌ Error reading plate directory: ${error.message}`);
-    process.exit(1);
   }
+  return resolved;
 }
 
-const PLATE_IMAGE_PATH = findPlateImage();
-
-// Ensure output directory exists
-fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-
-// Get image URLs from the remote source
-async function getImageUrls(remoteUrl) {
-  console.log(`Getting images from: ${remoteUrl}`);
+/**
+ * Resolve the image source configuration from the `source` config section or the
+ * legacy `googleDrive.enabled` switch, then apply a command-line override
+ * @param {Object} config - Parsed configuration
+ * @param {Object} [override] - Command-line override as { type, location }
+ * @returns {Object} - Source configuration for createImageSource
+ */
+function getSourceConfig(config, override = {}) {
+  let sourceConfig;
   
-  try {
-    // Extract folder ID from the Google Drive URL
-    let folderId;
-    if (remoteUrl.includes('/folders/')) {
-      folderId = remoteUrl.split('/folders/')[1].split('/')[0].split('?')[0];
+  if (config.source) {
+    sourceConfig = { ...config.source };
+  } else if (config.googleDrive.enabled !== false) {
+    sourceConfig = { type: 'googleDrive', url: config.googleDrive.folderUrl };
+  } else {
+    sourceConfig = { type: 'local', path: DEFAULT_INPUT_DIR };
+  }
+  
+  if (override.type && override.type !== sourceConfig.type) {
+    sourceConfig = { type: override.type };
+    if (override.type === 'googleDrive') sourceConfig.url = config.googleDrive.folderUrl;
+    if (override.type === 'local') sourceConfig.path = DEFAULT_INPUT_DIR;
+  }
+  
+  if (override.location) {
+    if (URL_SOURCE_TYPES.includes(sourceConfig.type)) {
+      sourceConfig.url = override.location;
     } else {
-      throw new Error('Invalid Google Drive folder URL. Must contain "/folders/" segment');
-    }
-    
-    console.log(`Google Drive folder ID: ${folderId}`);
-    
-    // Get folder content using Google Drive API (public folder listing)
-    const response = await axios.get(`https://drive.google.com/drive/folders/${folderId}`, {
-      headers: {
-        'Accept': 'text/html,application/xhtml+xml,application/xml'
-      }
-    });
-    
-    // Look for file IDs in the HTML response
-    const fileIdsSet = new Set();
-    const html = response.data;
-    
-    // Pattern to match file IDs in the HTML
-    const pattern = /\/file\/d\/([a-zA-Z0-9_-]+)/g;
-    let match;
-    
-    while ((match = pattern.exec(html)) !== null) {
-      const fileId = match[1];
-      if (fileId && !fileId.includes('\\') && !fileId.includes('&') && fileId.length > 10) {
-        fileIdsSet.add(fileId);
-      }
-    }
-    
-    // Convert file IDs to direct download URLs
-    const imageUrls = Array.from(fileIdsSet).map(fileId => 
-      `https://drive.google.com/uc?export=download&id=${fileId}`
-    );
-    
-    if (imageUrls.length === 0) {
-      console.warn('⚠️ No files found in the remote folder or folder might be private');
-      // Fallback to hardcoded URLs if configured folder is empty or inaccessible
-      console.log('Using sample images as fallback:');
-      return [
-        "https://drive.google.com/uc?export=download&id=1siW1i8uEthjkZKvUnNCkr0lS9tGvHf5m",
-        "https://drive.google.com/uc?export=download&id=1_LUKh35xzw5li7QgFhlb-QHjBNvea7y5"
-      ];
+      sourceConfig.path = override.location;
     }
-    
-    console.log(`Found ${imageUrls.length} images in remote folder:`);
-    imageUrls.forEach(url => console.log(`- ${url}`));
-    return imageUrls;
-    
-  } catch (error) {
-    console.error(`❌ Error fetching files from Google Drive: ${error.message}`);
-    
-    // Fallback to hardcoded URLs if there's an error
-    console.log('Using sample images as fallback:');
-    return [
-      "https://drive.google.com/uc?export=download&id=1siW1i8uEthjkZKvUnNCkr0lS9tGvHf5m",
-      "https://drive.google.com/uc?export=download&id=1_LUKh35xzw5li7QgFhlb-QHjBNvea7y5"
-    ];
   }
-}
-
-// Process a single image URL
-async function processImage(imageUrl) {
-  // Generate filename from URL
-  let filename;
   
-  try {
-    // Check if it's a Google Drive URL and extract file ID
-    if (imageUrl.includes('drive.google.com')) {
-      // Handle different Google Drive URL formats
-      if (imageUrl.includes('id=')) {
-        // Format: https://drive.google.com/uc?export=download&id=FILE_ID
-        const idParam = imageUrl.split('id=')[1];
-        filename = idParam ? idParam.split('&')[0] : `image_${Date.now()}`;
-      } else if (imageUrl.includes('/d/')) {
-        // Format: https://drive.google.com/file/d/FILE_ID/view
-        const urlParts = imageUrl.split('/d/');
-        if (urlParts[1]) {
-          filename = urlParts[1].split('/')[0];
-        } else {
-          filename = `image_${Date.now()}`;
-        }
-      } else {
-        // Fallback for other formats
-        filename = `image_${Date.now()}`;
-      }
-    } else {
-      // For non-Google Drive URLs
-      const urlParts = imageUrl.split('/');
-      filename = urlParts[urlParts.length - 1].split('?')[0];
-      
-      // If filename is still empty or has invalid characters
-      if (!filename || filename.includes('=') || filename.includes('&')) {
-        filename = `image_${Date.now()}`;
-      }
+  if (sourceConfig.path) {
+    sourceConfig.path = path.resolve(sourceConfig.path);
+  }
+  
+  // Drive credentials and recursion default to the `googleDrive` config section
+  if (sourceConfig.type === 'googleDrive') {
+    sourceConfig.auth = sourceConfig.auth || config.googleDrive.auth;
+    if (sourceConfig.recursive === undefined) {
+      sourceConfig.recursive = config.googleDrive.recursive || false;
+    }
+    if (sourceConfig.auth) {
+      sourceConfig.auth = resolveAuthPaths(sourceConfig.auth);
     }
-  } catch (error) {
-    console.warn(`⚠️ Error extracting filename from URL: ${error.message}`);
-    // Fallback to timestamp-based filename
-    filename = `image_${Date.now()}`;
   }
   
-  const outputPath = path.join(OUTPUT_DIR, `${filename}${OUTPUT_SUFFIX}.png`);
+  if (!sourceConfig.url && !sourceConfig.path) {
+    throw new Error(`Image source "${sourceConfig.type}" needs a location (set it in config or pass --input)`);
+  }
   
-  console.log(`\n=========================================`);
-  console.log(`Processing: ${filename}`);
-  console.log(`Image URL: ${imageUrl}`);
-  console.log(`=========================================\n`);
+  return sourceConfig;
+}
+
+// Resolve the configured output sinks. Without any configuration results stay in
+// the working output directory only.
+function getSinkConfigs(config, outputDir) {
+  // Without sinks, results stay where they were written, subfolders included
+  const sinkConfigs = config.output.sinks || [{ type: 'local', path: outputDir, mirror: true }];
   
-  try {
-    // Create form data for API request
-    const formData = new FormData();
-    formData.append('image_url', imageUrl);
-    formData.append('cut_type', CONFIG.processing.cutType);
-    formData.append('guideline_id', CONFIG.processing.guidelineId);
-    formData.append('license_plate', fs.createReadStream(PLATE_IMAGE_PATH));
-    
-    console.log('📤 Sending request to Car-Cutter API...');
-    console.log(`API Endpoint: ${CONFIG.api.baseUrl}/submission`);
-    console.log('Request Parameters:');
-    console.log(`- image_url: ${imageUrl}`);
-    console.log(`- cut_type: ${CONFIG.processing.cutType}`);
-    console.log(`- guideline_id: ${CONFIG.processing.guidelineId}`);
-    console.log(`- license_plate: ${PLATE_IMAGE_PATH}`);
-    
-    // Send request to the API
-    const response = await axios.post(
-      `${CONFIG.api.baseUrl}/submission`, 
-      formData, 
-      {
-        headers: {
-          ...formData.getHeaders(),
-          'Authorization': `Bearer ${API_KEY}`
-        }
+  return sinkConfigs.map(sinkConfig => {
+    const resolved = { ...sinkConfig };
+    if (resolved.type === 'local') {
+      resolved.path = path.resolve(resolved.path);
+    }
+    if (resolved.type === 'googleDrive') {
+      resolved.auth = resolved.auth || config.googleDrive.auth;
+      if (resolved.auth) {
+        resolved.auth = resolveAuthPaths(resolved.auth);
       }
-    );
-    
-    console.log('\n📥 API Response:');
-    console.log(`Status Code: ${response.status}`);
-    console.log('Response Body:');
-    console.log(JSON.stringify(response.data, null, 2));
-    console.log('Submission successful');
-    
-    // Poll for status until complete
-    const processedImageUrl = await pollForCompletion(imageUrl);
-    
-    // Download the result
-    console.log('📥 Downloading processed image...');
-    await downloadResult(processedImageUrl, outputPath);
-    console.log(`✅ Saved to: ${path.basename(outputPath)}`);
-    return true;
-    
-  } catch (error) {
-    console.error(`❌ Error: ${error.message}`);
-    if (error.response) {
-      console.error('Response Status:', error.response.status);
-      console.error('Response Headers:', JSON.stringify(error.response.headers, null, 2));
-      console.error('Response Data:', JSON.stringify(error.response.data, null, 2));
     }
-    return false;
+    return resolved;
+  });
+}
+
+// Human-readable location of an image that has no public URL
+function describeImage(image) {
+  if (image.filePath) {
+    return image.filePath;
   }
+  const drivePath = image.folder ? `${image.folder}/${image.name}` : image.name;
+  return `${drivePath} (Drive file ${image.driveFileId})`;
 }
 
-// Poll until processing is complete
-async function pollForCompletion(imageUrl) {
-  let retries = 0;
-  
-  while (retries < MAX_RETRIES) {
-    console.log(`\n🔍 Checking status (attempt ${retries + 1}/${MAX_RETRIES})...`);
-    const statusUrl = `${CONFIG.api.baseUrl}/status?image_url=${encodeURIComponent(imageUrl)}`;
-    console.log(`Status URL: ${statusUrl}`);
-    
-    try {
-      const statusResponse = await axios.get(
-        statusUrl,
-        {
-          headers: {
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${API_KEY}`
-          }
-        }
-      );
-      
-      console.log(`Status Code: ${statusResponse.status}`);
-      console.log(`Response Body:\n${JSON.stringify(statusResponse.data, null, 2)}`);
-      
-      if (statusResponse.data?.data?.images?.[0]) {
-        const imageData = statusResponse.data.data.images[0];
-        console.log(`Status: ${imageData.status} | Phase: ${imageData.phase}`);
-        
-        if (imageData.phase === 'ready') {
-          console.log('✅ Processing complete');
-          const resultUrl = `${CONFIG.api.baseUrl}/result?image_url=${encodeURIComponent(imageUrl)}`;
-          console.log(`Result URL: ${resultUrl}`);
-          return resultUrl;
-        }
-      } else {
-        console.log('⚠️ Unexpected response format');
-        console.log(JSON.stringify(statusResponse.data, null, 2));
-      }
-      
-      console.log(`⏳ Waiting ${POLLING_INTERVAL/1000} seconds before next check...`);
-      await new Promise(resolve => setTimeout(resolve, POLLING_INTERVAL));
-      retries++;
-    } catch (error) {
-      console.log(`❌ Status check failed: ${error.message}`);
-      if (error.response) {
-        console.log('Response Status:', error.response.status);
-        console.log('Response Data:', JSON.stringify(error.response.data, null, 2));
-      }
-      await new Promise(resolve => setTimeout(resolve, POLLING_INTERVAL));
-      retries++;
+// Extract the image reference the API assigned to an uploaded file
+function getSubmittedImageUrl(responseData) {
+  const imageData = responseData?.data?.images?.[0];
+  return imageData?.image_url || responseData?.data?.image_url || responseData?.image_url || null;
+}
+
+// Empty processImage() result for an image
+function createResult(image, status = 'failed') {
+  return {
+    image,
+    id: getImageId(image),
+    name: getImageFilename(image),
+    vehicle: image.vehicle || null,
+    status,
+    imageUrl: image.url || null,
+    plate: null,
+    phase: null,
+    polls: 0,
+    outputPath: null,
+    reviewIssues: [],
+    thumbnails: [],
+    deliveries: [],
+    error: null,
+    errorCategory: null,
+    submittedAt: null,
+    readyAt: null,
+    completedAt: null
+  };
+}
+
+// Logger labelling its lines with an image
+function getImageLogger(result) {
+  return logger.child({ imageId: result.id, image: result.name });
+}
+
+// Print the number of failed images per failure category
+function printFailures(failures = {}, print = console.log) {
+  for (const [category, count] of Object.entries(failures)) {
+    print(`   - ${category}: ${count} (${FAILURE_CATEGORIES[category] || FAILURE_CATEGORIES.unknown})`);
+  }
+}
+
+/**
+ * Outcome of every vehicle of a batch whose images were grouped into vehicles
+ * @param {Array<Object>} results - processImage() results
+ * @returns {Array<Object>} - { vehicle, total, complete, ... } per vehicle in the order of
+ *   its first image, with a count per key of VEHICLE_COUNTS; `complete` is true when every
+ *   image of the vehicle succeeded now or in an earlier run
+ */
+function summarizeVehicles(results) {
+  const vehicles = new Map();
+  for (const result of results.filter(result => result.vehicle)) {
+    if (!vehicles.has(result.vehicle)) {
+      const counts = Object.fromEntries(Object.keys(VEHICLE_COUNTS).map(key => [key, 0]));
+      vehicles.set(result.vehicle, { vehicle: result.vehicle, total: 0, complete: false, ...counts });
+    }
+    const vehicle = vehicles.get(result.vehicle);
+    vehicle.total++;
+    const key = Object.keys(VEHICLE_COUNTS).find(key => VEHICLE_COUNTS[key] === result.status);
+    if (key) {
+      vehicle[key]++;
     }
   }
   
-  throw new Error('Processing timed out after maximum retries');
+  for (const vehicle of vehicles.values()) {
+    vehicle.complete = vehicle.succeeded + vehicle.skipped === vehicle.total;
+  }
+  return [...vehicles.values()];
+}
+
+// Print how many vehicles are complete, and what the others are missing
+function printVehicles(vehicles = [], print = console.log) {
+  if (vehicles.length === 0) {
+    return;
+  }
+  const incomplete = vehicles.filter(vehicle => !vehicle.complete);
+  print(`🚗 Vehicles complete: ${vehicles.length - incomplete.length} of ${vehicles.length}`);
+  for (const vehicle of incomplete) {
+    const missing = Object.entries(VEHICLE_COUNTS)
+      .filter(([key, status]) => !['succeeded', 'skipped'].includes(status) && vehicle[key] > 0)
+      .map(([key, status]) => `${vehicle[key]} ${status.replace('_', ' ')}`);
+    print(`   - ${vehicle.vehicle}: ${missing.join(', ')}`);
+  }
+}
+
+// Print the images the input filters left out
+function printExcluded(excluded, print = console.log) {
+  if (excluded.length > 0) {
+    print(`🔎 Left out by the input filters: ${excluded.length}`);
+    excluded.forEach(({ image, message }) => print(`   - ${image.url || describeImage(image)}: ${message}`));
+  }
+}
+
+/**
+ * Read the record of the most recent run in an output directory
+ * @param {string} outputDir - Output directory
+ * @returns {Object|null} - The run record, or null if nothing has run yet
+ */
+function readLastRun(outputDir) {
+  const lastRunPath = path.join(outputDir, LAST_RUN_FILE);
+  if (!fs.existsSync(lastRunPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(lastRunPath, 'utf8'));
 }
 
-// Download the result
-async function downloadResult(url, outputPath) {
-  console.log(`Downloading from: ${url}`);
+// Format of image data from its first bytes: "png", "jpeg", "webp" or null
+function detectImageFormat(data) {
+  if (data.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]))) {
+    return 'png';
+  }
+  if (data.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))) {
+    return 'jpeg';
+  }
+  if (data.subarray(0, 4).toString('latin1') === 'RIFF' && data.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+}
+
+// Whether data starts like a PNG, JPEG or WebP file
+function hasImageSignature(data) {
+  return detectImageFormat(data) !== null;
+}
+
+// Whether a file's extension names the format of the data in it
+function matchesExtension(filePath) {
+  const format = detectImageFormat(fs.readFileSync(filePath).subarray(0, 12));
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  return !format || extension === format || (format === 'jpeg' && extension === 'jpg');
+}
+
+// Start of a response body for debug output, so large bodies and base64 images stay short
+function sampleBody(data, length = 200) {
+  const text = typeof data === 'string' ? data
+    : data instanceof ArrayBuffer || Buffer.isBuffer(data) ? `<${data.byteLength} bytes>`
+      : String(JSON.stringify(data));
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+}
+
+/**
+ * Download a processed image, handling binary, JSON-with-base64 and data URL responses
+ * @param {string} url - Result URL
+ * @param {string} outputPath - File to write
+ * @param {string} apiKey - Car-Cutter API key
+ * @param {Logger} [log] - Logger for the details of the download, e.g. the logger of an image
+ * @param {number} [timeoutMs] - Timeout of each request, none by default
+ * @returns {Promise<boolean>} - True once the file is written
+ * @throws {ProcessingError} - "invalid_response" when JSON responses hold malformed base64 data
+ */
+async function downloadResult(url, outputPath, apiKey, log = logger, timeoutMs = 0) {
+  log.debug(`Downloading from: ${url}`);
   
   try {
     // Try binary download first (most direct approach)
-    console.log('First attempting direct binary download...');
+    log.debug('First attempting direct binary download...');
     try {
       const binaryResponse = await axios({
         method: 'GET',
         url: url,
+        timeout: timeoutMs,
         responseType: 'arraybuffer',
         headers: {
-          'Authorization': `Bearer ${API_KEY}`,
+          'Authorization': `Bearer ${apiKey}`,
           'Accept': 'image/png,image/jpeg,image/*'
         }
       });
       
-      console.log(`Binary download status: ${binaryResponse.status}`);
-      console.log(`Content type: ${binaryResponse.headers['content-type']}`);
-      console.log(`Content length: ${binaryResponse.headers['content-length']} bytes`);
+      log.debug(`Binary download status: ${binaryResponse.status}`);
+      log.debug(`Content type: ${binaryResponse.headers['content-type']}`);
+      log.debug(`Content length: ${binaryResponse.headers['content-length']} bytes`);
       
-      // If we got an image directly, save it
-      if (binaryResponse.headers['content-type']?.includes('image/')) {
-        console.log('Successfully got image data directly');
-        fs.writeFileSync(outputPath, Buffer.from(binaryResponse.data));
+      // If we got an image directly, save it, but only once it is big enough to keep
+      const data = Buffer.from(binaryResponse.data);
+      if (binaryResponse.headers['content-type']?.includes('image/') && hasImageSignature(data)) {
+        log.debug(`Successfully got image data directly: ${data.length} bytes`);
         
-        // Verify the file size
-        const fileStats = fs.statSync(outputPath);
-        console.log(`File size: ${fileStats.size} bytes`);
-        
-        if (fileStats.size > 1000) {  // Reasonable size for an image
-          console.log(`💾 Image data written to: ${outputPath}`);
+        if (data.length > 1000) {  // Reasonable size for an image
+          writeFileAtomic(outputPath, data);
+          log.debug(`💾 Image data written to: ${outputPath}`);
           return true;
         } else {
-          console.log('Image seems too small, trying other methods...');
+          log.debug('Image seems too small, trying other methods...');
         }
+      } else if (binaryResponse.headers['content-type']?.includes('image/')) {
+        log.debug('Response is labelled as an image but is not image data, trying other methods...');
       }
     } catch (binaryError) {
-      console.log(`Binary download failed: ${binaryError.message}`);
+      log.debug(`Binary download failed: ${binaryError.message}`);
     }
     
     // If binary download failed or returned something too small, try JSON
-    console.log('Attempting to get response as JSON (for base64 image data)');
+    log.debug('Attempting to get response as JSON (for base64 image data)');
     let response;
     
     try {
       response = await axios({
         method: 'GET',
         url: url,
+        timeout: timeoutMs,
         headers: {
-          'Authorization': `Bearer ${API_KEY}`,
+          'Authorization': `Bearer ${apiKey}`,
           'Accept': 'application/json'
         }
       });
     } catch (jsonError) {
-      console.log('JSON request failed, trying as binary image data...');
+      log.debug('JSON request failed, trying as binary image data...');
       // If JSON request fails, try as binary image data (again, with different settings)
       response = await axios({
         method: 'GET',
         url: url,
+        timeout: timeoutMs,
         responseType: 'arraybuffer',
         headers: {
-          'Authorization': `Bearer ${API_KEY}`,
+          'Authorization': `Bearer ${apiKey}`,
           'Accept': 'image/png,image/jpeg,image/*'
         }
       });
     }
     
-    console.log(`Download status: ${response.status}`);
-    console.log(`Content type: ${response.headers['content-type']}`);
+    log.debug(`Download status: ${response.status}`);
+    log.debug(`Content type: ${response.headers['content-type']}`);
     
     // Handle JSON response with base64 image data
     if (response.headers['content-type']?.includes('application/json')) {
-      console.log('Processing JSON response with base64 image data');
+      log.debug('Processing JSON response with base64 image data');
       
       // Log a sample of the response structure (without the full base64 data)
-      const responseSample = { ...response.data };
+      const responseSample = structuredClone(response.data);
       if (responseSample.data?.images?.[0]?.imageUrl) {
         responseSample.data.images[0].imageUrl = responseSample.data.images[0].imageUrl.substring(0, 50) + '...';
       }
-      console.log('Response structure:', JSON.stringify(responseSample, null, 2));
+      log.debug(`Response structure: ${JSON.stringify(responseSample)}`);
       
       // Extract base64 image data
       let base64Image = null;
@@ -357,274 +392,1163 @@ async function downloadResult(url, outputPath) {
       if (response.data.data?.images?.[0]?.imageUrl) {
         // If the API returns base64 image in imageUrl field
         base64Image = response.data.data.images[0].imageUrl;
-        console.log('Found base64 image in imageUrl field');
+        log.debug('Found base64 image in imageUrl field');
       } else if (response.data.data?.imageUrl) {
         // If the API returns base64 image directly in data.imageUrl
         base64Image = response.data.data.imageUrl;
-        console.log('Found base64 image in data.imageUrl field');
+        log.debug('Found base64 image in data.imageUrl field');
       } else if (response.data.imageUrl) {
         // If the API returns base64 image directly in imageUrl
         base64Image = response.data.imageUrl;
-        console.log('Found base64 image in root imageUrl field');
+        log.debug('Found base64 image in root imageUrl field');
       } else if (response.data.image) {
         // If the API returns base64 image in image field
         base64Image = response.data.image;
-        console.log('Found base64 image in image field');
+        log.debug('Found base64 image in image field');
       } else if (response.data.data?.image) {
         // If the API returns base64 image in data.image field
         base64Image = response.data.data.image;
-        console.log('Found base64 image in data.image field');
+        log.debug('Found base64 image in data.image field');
       } else {
-        console.error('❌ Could not find base64 image data in response');
-        console.log('Response data:', JSON.stringify(response.data, null, 2));
+        log.debug('Could not find base64 image data in response');
+        log.debug(`Response data: ${sampleBody(response.data)}`);
         throw new Error('No image data found in API response');
       }
       
       // Check if base64 string has a data URL prefix and remove it if present
       if (base64Image.includes(';base64,')) {
         base64Image = base64Image.split(';base64,')[1];
-        console.log('Extracted base64 data from data URL');
+        log.debug('Extracted base64 data from data URL');
       } else if (base64Image.includes('base64,')) {
         base64Image = base64Image.split('base64,')[1];
-        console.log('Extracted base64 data from data URL without semicolon');
+        log.debug('Extracted base64 data from data URL without semicolon');
       }
       
       // Remove any whitespace, newlines, or other characters that might corrupt the base64 data
       base64Image = base64Image.trim().replace(/\s/g, '');
       
       // Log a sample of the base64 string for debugging
-      console.log(`Base64 data sample (first 30 chars): ${base64Image.substring(0, 30)}...`);
-      
-      // Check if the base64 string looks valid
-      if (!/^[A-Za-z0-9+/=]+$/.test(base64Image)) {
-        console.warn('⚠️ Warning: Base64 string contains invalid characters');
-        
-        // Try to clean up the string by removing invalid characters
-        const cleanedBase64 = base64Image.replace(/[^A-Za-z0-9+/=]/g, '');
-        if (cleanedBase64.length < base64Image.length) {
-          console.log(`Cleaned up base64 string: removed ${base64Image.length - cleanedBase64.length} invalid characters`);
-          base64Image = cleanedBase64;
-        }
-      }
-      
-      // Make sure the length is valid for base64 (multiple of 4)
-      if (base64Image.length % 4 !== 0) {
-        console.log('Adding padding to base64 string');
-        while (base64Image.length % 4 !== 0) {
-          base64Image += '=';
-        }
-      }
+      log.debug(`Base64 data sample (first 30 chars): ${base64Image.substring(0, 30)}...`);
       
       try {
-        // Write the base64 image data to file
-        console.log(`Writing base64 image data (length: ${base64Image.length}) to file`);
-        fs.writeFileSync(outputPath, Buffer.from(base64Image, 'base64'));
-        console.log(`💾 Base64 image data written to: ${outputPath}`);
-        
-        // Verify the file was written
-        const fileStats = fs.statSync(outputPath);
-        console.log(`File size: ${fileStats.size} bytes`);
-        
-        if (fileStats.size === 0) {
-          throw new Error('File was created but is empty');
+        // Repairing malformed data (dropping characters, padding) writes a corrupted image
+        if (!BASE64_PATTERN.test(base64Image)) {
+          throw new ProcessingError('invalid_response', 'API response holds malformed base64 image data');
         }
-      } catch (error) {
-        console.error(`❌ Error writing file: ${error.message}`);
         
-        // If we failed with base64 decoding, try writing the raw JSON response to a debug file
-        const debugFilePath = `${outputPath}.debug.json`;
-        console.log(`Writing raw response to debug file: ${debugFilePath}`);
-        fs.writeFileSync(debugFilePath, JSON.stringify(response.data, null, 2));
+        const data = Buffer.from(base64Image, 'base64');
+        if (data.length === 0) {
+          throw new Error('API response holds empty image data');
+        }
         
+        // Write the base64 image data to file
+        log.debug(`Writing base64 image data (${data.length} bytes) to file`);
+        writeFileAtomic(outputPath, data);
+        log.debug(`💾 Base64 image data written to: ${outputPath}`);
+      } catch (error) {
+        log.debug(`Error writing file: ${error.message}`);
+        log.debug(`Raw response: ${sampleBody(response.data)}`);
         throw error;
       }
       return true;
     } else if (response.headers['content-type']?.includes('image/')) {
       // Handle direct image response
-      console.log(`Writing direct image data to file`);
+      log.debug(`Writing direct image data to file`);
       
       try {
         // For direct image data, we need to check the type of response.data
+        let data;
         if (typeof response.data === 'string') {
-          console.log('Response data is a string, logging first 100 chars:');
-          console.log(response.data.substring(0, 100));
+          log.debug(`Response data is a string: ${sampleBody(response.data, 100)}`);
           
           // Try to determine if this is a raw binary image
           const isPossiblyBinary = /^\xFF\xD8|\x89PNG/.test(response.data.substring(0, 4));
           
           if (isPossiblyBinary) {
-            console.log('String appears to be binary data, writing directly');
-            fs.writeFileSync(outputPath, response.data, 'binary');
+            log.debug('String appears to be binary data, using it as is');
+            data = Buffer.from(response.data, 'binary');
           } else {
             // Try to detect if it's base64
-            const base64Pattern = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
-            if (base64Pattern.test(response.data.trim())) {
-              console.log('String appears to be base64, decoding');
-              fs.writeFileSync(outputPath, Buffer.from(response.data.trim(), 'base64'));
+            if (BASE64_PATTERN.test(response.data.trim())) {
+              log.debug('String appears to be base64, decoding');
+              data = Buffer.from(response.data.trim(), 'base64');
             } else {
-              console.log('String does not appear to be base64, downloading directly');
+              log.debug('String does not appear to be base64, downloading directly');
               // Try a direct binary download as a fallback
-              console.log('Trying direct binary download');
+              log.debug('Trying direct binary download');
               const binaryResponse = await axios({
                 method: 'GET',
                 url: url,
+                timeout: timeoutMs,
                 responseType: 'arraybuffer',
                 headers: {
-                  'Authorization': `Bearer ${API_KEY}`,
+                  'Authorization': `Bearer ${apiKey}`,
                   'Accept': 'image/png,image/jpeg,image/*'
                 }
               });
               
-              fs.writeFileSync(outputPath, Buffer.from(binaryResponse.data));
+              data = Buffer.from(binaryResponse.data);
             }
           }
         } else if (response.data instanceof Buffer) {
           // If it's already a Buffer
-          console.log('Response data is a Buffer');
-          fs.writeFileSync(outputPath, response.data);
+          log.debug('Response data is a Buffer');
+          data = response.data;
         } else if (response.data instanceof ArrayBuffer || response.data instanceof Uint8Array) {
           // If it's an ArrayBuffer or Uint8Array
-          console.log('Response data is an ArrayBuffer/Uint8Array');
-          fs.writeFileSync(outputPath, Buffer.from(response.data));
+          log.debug('Response data is an ArrayBuffer/Uint8Array');
+          data = Buffer.from(response.data);
         } else {
           // Otherwise, convert to buffer
-          console.log('Converting response data to Buffer, type:', typeof response.data);
-          fs.writeFileSync(outputPath, Buffer.from(response.data));
+          log.debug(`Converting response data to Buffer, type: ${typeof response.data}`);
+          data = Buffer.from(response.data);
         }
         
-        // Verify the file was written correctly
-        const fileStats = fs.statSync(outputPath);
-        console.log(`File size: ${fileStats.size} bytes`);
-        
-        if (fileStats.size === 0) {
-          throw new Error('File was created but is empty');
+        log.debug(`Image data: ${data.length} bytes`);
+        if (data.length === 0) {
+          throw new Error('API response holds empty image data');
         }
         
-        console.log(`💾 Image data written to: ${outputPath}`);
+        writeFileAtomic(outputPath, data);
+        log.debug(`💾 Image data written to: ${outputPath}`);
         return true;
       } catch (error) {
-        console.error(`❌ Error writing image file: ${error.message}`);
+        log.debug(`Error writing image file: ${error.message}`);
         throw error;
       }
     } else {
       // Unknown response type
-      console.warn('⚠️ Warning: Response is not JSON or image. Content type:', response.headers['content-type']);
-      console.log('Response data sample:', typeof response.data === 'string' ? response.data.substring(0, 100) : JSON.stringify(response.data).substring(0, 100));
+      log.debug(`Response is not JSON or an image: ${sampleBody(response.data, 100)}`);
       throw new Error(`Unexpected response content type: ${response.headers['content-type']}`);
     }
   } catch (error) {
-    console.error(`❌ Download failed: ${error.message}`);
+    log.debug(`Download failed: ${error.message}`);
     if (error.response) {
-      console.error('Response Status:', error.response.status);
-      console.error('Response Headers:', JSON.stringify(error.response.headers, null, 2));
-      console.error('Response Data:', typeof error.response.data === 'string' 
-        ? error.response.data.substring(0, 200)
-        : JSON.stringify(error.response.data, null, 2).substring(0, 200));
+      log.debug(`Response status ${error.response.status}: ${sampleBody(error.response.data)}`);
     }
     throw error;
   }
 }
 
-// Process images sequentially
-async function processSequentially(imageUrls) {
-  let succeeded = 0;
-  let failed = 0;
+/**
+ * Replaces license plates through the Car-Cutter API and delivers the results to
+ * the output sinks. Progress is reported with events:
+ * - `submitted` { image, imageUrl } once the API accepted an image
+ * - `status` { image, imageUrl, attempt, status, phase } after every status check
+ * - `downloaded` (result) once an image is processed and delivered
+ * - `needsReview` (result) when a result failed verification and was moved to needs_review
+ * - `skipped` (result) when the job manifest shows an image was already processed
+ * - `deferred` (result) when the daily image quota is used up
+ * - `cancelled` (result) when the run was cancelled before the image was done
+ * - `failed` (result) when an image could not be processed
+ */
+class PlateReplacer extends EventEmitter {
+  /**
+   * @param {Object} [options] - Replacer options
+   * @param {Object} [options.config] - Configuration (see config.example.json), validated and
+   *   completed with defaults
+   * @param {Object} [options.source] - Image source adapter with `listImages()` and
+   *   `openImage(image)`, or a { type, location } override of the configured source
+   * @param {Array<Object>} [options.sinks] - Output sink adapters with `write(filePath, image)`,
+   *   used instead of the configured sinks
+   * @throws {ConfigError} - When the configuration is invalid
+   */
+  constructor({ config = {}, source, sinks } = {}) {
+    super();
+    this.config = validateConfig(config);
+    logger.addSecret(this.config.api.apiKey);
+    this.outputDir = getOutputDir(this.config);
+    this.plateImagePath = getPlateImagePath(this.config);
+    this.plates = new PlateSelector({
+      defaultPath: this.plateImagePath,
+      rules: this.config.plate?.rules,
+      mappingFile: this.config.plate?.mappingFile
+    });
+    this.platesValidated = null;
+    this.source = typeof source?.listImages === 'function'
+      ? source
+      : createImageSource(getSourceConfig(this.config, source));
+    this.sinks = sinks || getSinkConfigs(this.config, this.outputDir).map(createOutputSink);
+    this.inputFilter = new InputFilter(this.config.input, this.source);
+    this.manifest = new JobManifest(this.outputDir);
+    this.namer = new OutputNamer({
+      outputDir: this.outputDir,
+      template: this.config.output.template,
+      suffix: this.config.output.suffix,
+      extension: getOutputExtension(this.config.postProcessing),
+      onCollision: this.config.output.onCollision,
+      manifest: this.manifest
+    });
+    // One limiter for every request of this replacer, however many images run in parallel
+    this.rateLimiter = new RateLimiter(this.config.rateLimit);
+    this.quota = new DailyQuota(this.outputDir, this.config.rateLimit.dailyImageQuota);
+    this.quotaReached = false;
+    this.cancelled = false;
+    this.creditsUsed = 0;
+    this.formatMismatchReported = false;
+    this.notifier = createNotifier(this.config);
+    this.statusScheduler = new StatusScheduler({
+      checkStatus: imageUrls => this.checkStatus(imageUrls),
+      polling: this.config.polling,
+      onStatus: (job, imageData, result) => this.handleStatus(job, imageData, result)
+    });
+  }
   
-  for (const imageUrl of imageUrls) {
-    const success = await processImage(imageUrl);
-    if (success) succeeded++;
-    else failed++;
+  /**
+   * Submit an image to the API
+   * @param {Object} image - Image from a source
+   * @param {Logger} [log] - Logger of the image
+   * @returns {Promise<string>} - Image reference to poll: the image URL, or the
+   *   reference the API assigned to an uploaded file
+   */
+  async submitImage(image, log = logger) {
+    // Create form data for API request
+    const formData = new FormData();
+    if (image.url) {
+      formData.append('image_url', image.url);
+    } else {
+      // Images without a public URL are uploaded as a file
+      formData.append('image', await this.source.openImage(image), {
+        filename: image.name,
+        contentType: image.mimeType
+      });
+    }
+    formData.append('cut_type', this.config.processing.cutType);
+    formData.append('guideline_id', this.config.processing.guidelineId);
+    const platePath = this.plates.select(image);
+    formData.append('license_plate', fs.createReadStream(platePath));
+    
+    const { cutType, guidelineId } = this.config.processing;
+    log.debug(`Submitting to ${this.config.api.baseUrl}/submission: ${image.url ? `image_url=${image.url}` : `image=${describeImage(image)}`}, cut_type=${cutType}, guideline_id=${guidelineId}, license_plate=${platePath}`, {
+      cutType,
+      guidelineId,
+      plate: platePath
+    });
+    
+    // Send request to the API
+    await this.rateLimiter.acquire('submission');
+    const response = await axios.post(
+      `${this.config.api.baseUrl}/submission`, 
+      formData, 
+      {
+        timeout: this.config.api.timeoutMs,
+        headers: {
+          ...formData.getHeaders(),
+          'Authorization': `Bearer ${this.config.api.apiKey}`
+        }
+      }
+    );
+    
+    log.debug(`Submission response ${response.status}: ${sampleBody(response.data)}`);
+    
+    // Uploaded files are tracked by the reference the API assigns to them
+    let imageUrl = image.url;
+    if (!image.url) {
+      imageUrl = getSubmittedImageUrl(response.data);
+      if (!imageUrl) {
+        throw new ProcessingError('invalid_response', 'API response did not include an image reference for the uploaded file');
+      }
+      log.debug(`Assigned image reference: ${imageUrl}`);
+    }
+    
+    return imageUrl;
   }
   
-  return { succeeded, failed };
-}
-
-// Process images in parallel
-async function processInParallel(imageUrls, maxConcurrent) {
-  let succeeded = 0;
-  let failed = 0;
-  let activePromises = 0;
-  let index = 0;
+  /**
+   * Process a single image, either from a URL or from a local file. Images the job
+   * manifest records as done are skipped, and jobs an earlier run submitted are resumed.
+   * @param {Object} image - Image from a source: { url } or { filePath | driveFileId, name, ... }
+   * @param {Object} [options] - Processing options
+   * @param {boolean} [options.force=false] - Submit the image even if the manifest has it
+   * @returns {Promise<Object>} - Result with `status` ("succeeded", "needs_review", "skipped",
+   *   "deferred", "cancelled" or "failed"), `outputPath`, `reviewIssues` (why the result needs a review),
+   *   `deliveries`, `vehicle` (see input.vehiclePattern), `imageUrl` (the API reference), `plate` (the plate image used), `phase` and `polls` (last phase reported by the API and the status
+   *   checks it took), `error` and `errorCategory` (see FAILURE_CATEGORIES), `submittedAt`,
+   *   `readyAt` and `completedAt`
+   */
+  async processImage(image, { force = false } = {}) {
+    const job = await this.startImage(image, { force });
+    return job.pending ? this.finishImage(job) : job.result;
+  }
+  
+  /**
+   * First stage of processing: check the manifest and submit the image
+   * @param {Object} image - Image from a source
+   * @param {Object} [options] - { force } (see processImage)
+   * @returns {Promise<Object>} - { result, pending } where `pending` is true when the image
+   *   was submitted (or resumed) and still has to be passed to finishImage()
+   */
+  async startImage(image, { force = false } = {}) {
+    const result = createResult(image);
+    const { id, name: filename } = result;
+    const log = getImageLogger(result);
+    log.info(`🚗 Processing ${image.url || describeImage(image)}`);
+    
+    try {
+      const hash = await getContentHash(image);
+      const { action, entry } = force ? { action: 'submit' } : this.manifest.plan(id, hash);
+      
+      if (action === 'skip') {
+        log.info(`⏭️ Already processed on ${entry.updatedAt}${entry.phase === NEEDS_REVIEW_PHASE ? ', waiting for review' : ''}: ${entry.outputPath}`);
+        Object.assign(result, {
+          status: 'skipped',
+          imageUrl: entry.imageUrl,
+          plate: entry.plate || null,
+          phase: entry.phase,
+          outputPath: entry.outputPath,
+          submittedAt: entry.submittedAt,
+          completedAt: entry.updatedAt
+        });
+        this.emit('skipped', result);
+        return { result, pending: false };
+      }
+      
+      if (action === 'resume') {
+        // The job was submitted by an earlier run that stopped before downloading it
+        result.imageUrl = entry.imageUrl;
+        result.plate = entry.plate || null;
+        result.submittedAt = entry.submittedAt;
+        log.info(`⏩ Resuming job submitted on ${entry.submittedAt}: ${entry.imageUrl}`);
+        return { result, pending: true };
+      }
+      
+      if (this.cancelled) {
+        throw new CancelledError('Run cancelled before the image was submitted');
+      }
+      result.plate = this.plates.select(image);
+      // Every accepted submission costs a credit, so it counts against the daily quota
+      this.quota.reserve();
+      let imageUrl;
+      try {
+        imageUrl = await withRetry(() => this.submitImage(image, log), {
+          name: 'Submission',
+          ...this.config.retry.submission,
+          log,
+          retryOn: SUBMISSION_RETRYABLE_CATEGORIES
+        });
+      } catch (error) {
+        this.quota.release();
+        throw error;
+      }
+      this.creditsUsed++;
+      log.info('📤 Submitted to the API', { imageUrl });
+      
+      result.imageUrl = imageUrl;
+      result.submittedAt = new Date().toISOString();
+      this.manifest.update(id, {
+        name: filename,
+        hash,
+        image,
+        imageUrl,
+        plate: result.plate,
+        submittedAt: result.submittedAt,
+        phase: 'submitted',
+        outputPath: null,
+        error: null
+      });
+      this.emit('submitted', { image, imageUrl });
+      return { result, pending: true };
+      
+    } catch (error) {
+      return { result: this.failImage(result, error), pending: false };
+    }
+  }
   
-  // Function to process next image
-  const processNext = async () => {
-    if (index >= imageUrls.length) return;
+  /**
+   * Second stage of processing: wait until the image is ready, download the result and
+   * deliver it to the output sinks
+   * @param {Object} job - What startImage() returned
+   * @param {Semaphore} [downloads] - Limits how many results are downloaded at once
+   * @returns {Promise<Object>} - The processImage() result
+   */
+  async finishImage({ result }, downloads) {
+    const { image, id, imageUrl } = result;
+    const log = getImageLogger(result);
     
-    const currentIndex = index++;
-    activePromises++;
+    try {
+      const outputPath = this.namer.getOutputPath(image);
+      // Status checks of every outstanding image are made by one scheduler
+      await this.statusScheduler.waitForReady(imageUrl, result);
+      result.readyAt = new Date().toISOString();
+      const processedImageUrl = `${this.config.api.baseUrl}/result?image_url=${encodeURIComponent(imageUrl)}`;
+      
+      const deliver = async () => {
+        // Downloads already running when the run is cancelled are finished, later ones are not
+        if (this.cancelled) {
+          throw new CancelledError();
+        }
+        // Download the result
+        log.debug('📥 Downloading the processed image');
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        // Result downloads share the status budget
+        await withRetry(async () => {
+          await this.rateLimiter.acquire('status');
+          return downloadResult(processedImageUrl, outputPath, this.config.api.apiKey, log, this.config.api.timeoutMs);
+        }, { name: 'Result download', ...this.config.retry.result, log });
+        log.info(`✅ Saved to: ${this.getRelativePath(outputPath)}`, { outputPath });
+        
+        const issues = await this.verifyResult(result, outputPath, log);
+        if (issues.length > 0) {
+          // Suspicious results are kept for a person to look at, but not delivered
+          const reviewPath = path.join(this.outputDir, NEEDS_REVIEW_DIR, this.getRelativePath(outputPath));
+          fs.mkdirSync(path.dirname(reviewPath), { recursive: true });
+          fs.renameSync(outputPath, reviewPath);
+          result.outputPath = reviewPath;
+          result.reviewIssues = issues;
+          return null;
+        }
+        
+        if (this.config.postProcessing) {
+          try {
+            const processed = await postProcess(outputPath, this.config.postProcessing);
+            log.info(`🖼️ Post-processed: ${processed.width}x${processed.height}, ${Math.round(processed.bytes / 1024)} KB${processed.thumbnails.length > 0 ? `, ${processed.thumbnails.length} thumbnail(s)` : ''}`);
+            result.thumbnails = processed.thumbnails;
+          } catch (error) {
+            // Never leave a result behind that does not meet the post-processing settings
+            fs.rmSync(outputPath, { force: true });
+            throw error;
+          }
+        } else if (!this.formatMismatchReported && !matchesExtension(outputPath)) {
+          // Kept under the original extension so the name still matches the source
+          log.warn(`⚠️ The API returned a different image format than ${path.extname(outputPath)}; configure postProcessing to convert results, or use another extension in output.template`);
+          this.formatMismatchReported = true;
+        }
+        result.outputPath = outputPath;
+        
+        // Deliver the result and its thumbnails to the configured output sinks
+        const deliveries = [];
+        for (const filePath of [outputPath, ...result.thumbnails]) {
+          deliveries.push(...await writeToSinks(this.sinks, filePath, image, this.getRelativePath(filePath)));
+        }
+        return deliveries;
+      };
+      const deliveries = downloads ? await downloads.use(deliver) : await deliver();
+      
+      if (deliveries === null) {
+        log.warn(`🔍 Needs review (${result.reviewIssues.join('; ')}), moved to ${this.getRelativePath(result.outputPath)}`, { reviewIssues: result.reviewIssues });
+        result.status = 'needs_review';
+        result.completedAt = new Date().toISOString();
+        this.manifest.update(id, { phase: NEEDS_REVIEW_PHASE, outputPath: result.outputPath, reviewIssues: result.reviewIssues, error: null, errorCategory: null });
+        this.emit('needsReview', result);
+        return result;
+      }
+      
+      result.deliveries = deliveries.map(delivery => ({
+        type: delivery.type,
+        destination: delivery.destination || null,
+        error: delivery.error ? delivery.error.message : null
+      }));
+      let deliveryFailed = false;
+      
+      for (const delivery of deliveries) {
+        if (delivery.error) {
+          deliveryFailed = true;
+          log.error(`❌ Output ${delivery.type} failed: ${delivery.error.message}`);
+        } else if (delivery.destination !== outputPath && !result.thumbnails.includes(delivery.destination)) {
+          log.info(`📤 Output ${delivery.type}: ${delivery.destination}`);
+        }
+      }
+      
+      if (deliveryFailed) {
+        throw new ProcessingError('delivery', 'Processed image could not be delivered to every output');
+      }
+      
+      result.status = 'succeeded';
+      result.completedAt = new Date().toISOString();
+      this.manifest.update(id, { phase: COMPLETED_PHASE, outputPath, readyAt: result.readyAt, error: null, errorCategory: null });
+      this.emit('downloaded', result);
+      return result;
+      
+    } catch (error) {
+      return this.failImage(result, error);
+    }
+  }
+  
+  /**
+   * Check a downloaded result against its source image (see verifyOutput). Results that
+   * do not decode are removed and fail the image.
+   * @param {Object} result - processImage() result of the image
+   * @param {string} outputPath - The downloaded result
+   * @param {Logger} log - Logger of the image
+   * @returns {Promise<Array<string>>} - Why the result needs a review, empty when it looks fine
+   * @throws {ProcessingError} - "invalid_response" when the result is not a PNG or JPEG image
+   */
+  async verifyResult(result, outputPath, log) {
+    const { enabled, ...options } = this.config.verification;
+    if (!enabled) {
+      return [];
+    }
     
+    let sourceData = null;
     try {
-      const success = await processImage(imageUrls[currentIndex]);
-      if (success) succeeded++;
-      else failed++;
+      sourceData = await readImage(result.image, this.source);
     } catch (error) {
-      console.error(`Error processing image: ${error.message}`);
-      failed++;
+      log.warn(`⚠️ Could not read the source image to compare the result with: ${error.message}`);
     }
     
-    activePromises--;
-    await processNext();
-  };
+    try {
+      const verification = await verifyOutput(outputPath, sourceData, options);
+      log.debug(`Verified: ${verification.format} ${verification.width}x${verification.height}${verification.changedPercent === null ? '' : `, ${verification.changedPercent}% changed`}`, { verification });
+      return verification.issues;
+    } catch (error) {
+      fs.rmSync(outputPath, { force: true });
+      throw error;
+    }
+  }
   
-  // Start initial batch of promises
-  const initialBatchSize = Math.min(maxConcurrent, imageUrls.length);
-  const initialPromises = [];
+  /**
+   * Check every plate image that can be selected, once per replacer
+   * @returns {Promise<void>}
+   * @throws {ConfigError} - Listing every unusable plate image
+   */
+  validatePlates() {
+    if (!this.platesValidated) {
+      this.platesValidated = this.plates.validate();
+      // A failed check is repeated next time, e.g. after the file was fixed
+      this.platesValidated.catch(() => {
+        this.platesValidated = null;
+      });
+    }
+    return this.platesValidated;
+  }
   
-  for (let i = 0; i < initialBatchSize; i++) {
-    initialPromises.push(processNext());
+  // Path of an output file below the output directory, with "/" separators
+  getRelativePath(filePath) {
+    return path.relative(this.outputDir, filePath).split(path.sep).join('/');
   }
   
-  // Wait for all processing to complete
-  await Promise.all(initialPromises);
+  // Record why an image could not be processed
+  failImage(result, error) {
+    if (error instanceof CancelledError) {
+      // Not a failure: the manifest keeps the state of the image for the next run
+      getImageLogger(result).info(`🛑 ${error.message}`);
+      result.status = 'cancelled';
+      this.emit('cancelled', result);
+      return result;
+    }
+    if (error instanceof QuotaExceededError) {
+      // Not a failure: the image is left for a run on another day
+      if (!this.quotaReached) {
+        logger.warn(`⛔ ${error.message}, leaving the remaining images for a later run`);
+      }
+      this.quotaReached = true;
+      result.status = 'deferred';
+      this.emit('deferred', result);
+      return result;
+    }
+    
+    result.status = 'failed';
+    result.errorCategory = classifyError(error);
+    const log = getImageLogger(result);
+    log.error(`❌ Failed (${result.errorCategory}): ${error.message}`, { errorCategory: result.errorCategory });
+    if (error.response) {
+      log.debug(`Response status ${error.response.status}: ${sampleBody(error.response.data)}`);
+    }
+    result.error = error.message;
+    result.completedAt = new Date().toISOString();
+    const resumable = Boolean(result.imageUrl) && RESUMABLE_CATEGORIES.includes(result.errorCategory);
+    if (resumable) {
+      log.info(`⏩ The API keeps the job; the next run resumes it without submitting again: ${result.imageUrl}`);
+    }
+    this.manifest.update(result.id, {
+      name: result.name,
+      image: result.image,
+      phase: FAILED_PHASE,
+      resumable,
+      error: error.message,
+      errorCategory: result.errorCategory
+    });
+    this.emit('failed', result);
+    return result;
+  }
   
-  return { succeeded, failed };
-}
-
-// Main function
-async function main() {
-  try {
-    // Get images from remote folder
-    const imageUrls = await getImageUrls(REMOTE_URL);
+  /**
+   * Query the status of several images in one request
+   * @param {Array<string>} imageUrls - Image references used for the submissions
+   * @returns {Promise<Array<Object>>} - The `data.images` entries of the response
+   */
+  async checkStatus(imageUrls) {
+    const query = imageUrls.map(imageUrl => `image_url=${encodeURIComponent(imageUrl)}`).join('&');
+    const statusUrl = `${this.config.api.baseUrl}/status?${query}`;
     
-    if (imageUrls.length === 0) {
-      console.error('❌ No images found in the remote folder');
-      return;
+    // Transient errors are retried with backoff; anything else fails the images
+    const statusResponse = await withRetry(async () => {
+      await this.rateLimiter.acquire('status');
+      return axios.get(
+        statusUrl,
+        {
+          timeout: this.config.api.timeoutMs,
+          headers: {
+            'Accept': 'application/json',
+            'Authorization': `Bearer ${this.config.api.apiKey}`
+          }
+        }
+      );
+    }, { name: 'Status check', ...this.config.retry.status });
+    
+    if (!Array.isArray(statusResponse.data?.data?.images)) {
+      logger.warn(`⚠️ Unexpected status response format: ${sampleBody(statusResponse.data)}`);
+      return [];
     }
+    return statusResponse.data.data.images;
+  }
+  
+  // Record a status update from the scheduler for the result of one image
+  handleStatus(job, imageData, result) {
+    result.polls = job.attempts;
+    result.phase = imageData.phase;
+    const log = getImageLogger(result);
+    log.debug(`Status: ${imageData.status} | Phase: ${imageData.phase}`, { status: imageData.status, phase: imageData.phase });
+    this.emit('status', {
+      image: result.image,
+      imageUrl: job.imageUrl,
+      attempt: job.attempts,
+      status: imageData.status,
+      phase: imageData.phase
+    });
+    if (this.manifest.get(result.id)?.phase !== imageData.phase) {
+      log.info(`⏳ Phase: ${imageData.phase}`);
+      this.manifest.update(result.id, { phase: imageData.phase });
+    }
+  }
+  
+  // Process images sequentially, one after the other from submission to delivery
+  async processSequentially(images, options) {
+    const results = [];
     
-    console.log(`🔄 Processing ${imageUrls.length} images`);
-    console.log(`Mode: ${PARALLEL_PROCESSING ? 'Parallel' : 'Sequential'}`);
+    for (const image of images) {
+      // Once the run is cancelled or the daily quota is used up the rest of the batch is left alone
+      if (this.cancelled || this.quotaReached) {
+        results.push(createResult(image, this.cancelled ? 'cancelled' : 'deferred'));
+        continue;
+      }
+      results.push(await this.processImage(image, options));
+    }
     
-    if (PARALLEL_PROCESSING) {
-      console.log(`Max concurrent operations: ${MAX_CONCURRENT}`);
+    return results;
+  }
+  
+  // Process images in two phases: submit every image, with up to `maxConcurrent`
+  // submissions at once, while the status scheduler polls the submitted ones and
+  // their results are downloaded as soon as they are ready
+  async processInParallel(images, maxConcurrent, options) {
+    const downloads = new Semaphore(maxConcurrent);
+    const finishing = [];
+    
+    const results = await runPool(images, maxConcurrent, async (image, index) => {
+      // Once the run is cancelled or the daily quota is used up the rest of the batch is left alone
+      if (this.cancelled || this.quotaReached) {
+        return createResult(image, this.cancelled ? 'cancelled' : 'deferred');
+      }
+      
+      const job = await this.startImage(image, options);
+      if (job.pending) {
+        finishing.push(this.finishImage(job, downloads).then(result => ({ index, result })));
+      }
+      return job.result;
+    });
+    
+    if (!this.cancelled) {
+      logger.info(`📤 All images submitted, waiting for ${finishing.length} results`);
+    }
+    for (const { index, result } of await Promise.all(finishing)) {
+      results[index] = result;
     }
     
-    // Process all images
-    let results;
+    return results;
+  }
+  
+  /**
+   * Process a list of images and collect their results
+   * @param {Array<Object>} images - Images from a source
+   * @param {Object} [options] - Batch options, defaulting to the `processing` config
+   * @param {boolean} [options.parallel] - Process several images at once
+   * @param {number} [options.maxConcurrent] - Maximum number of images processed at once
+   * @param {boolean} [options.force=false] - Submit every image, ignoring the job manifest
+   * @returns {Promise<Object>} - { total, succeeded, needsReview, skipped, deferred, cancelled,
+   *   failed, failures, requests, creditsUsed, vehicles, results } where `needsReview` counts
+   *   results moved to the needs_review folder, `failures` counts failed images per category,
+   *   `requests` counts API requests per budget, `deferred` counts images left for later
+   *   because the daily quota ran out, `cancelled` counts images left for the next run by
+   *   cancel(), `vehicles` is the outcome per vehicle (see summarizeVehicles, empty unless
+   *   input.vehiclePattern is set), and `results` has one processImage() result per image,
+   *   in input order
+   */
+  async processBatch(images, {
+    parallel = this.config.processing.parallelProcessing,
+    maxConcurrent = this.config.processing.maxConcurrent,
+    force = false
+  } = {}) {
+    const usageBefore = this.getUsage();
+    await this.validatePlates();
+    // The quota may have been renewed since the last batch
+    this.quotaReached = false;
+    // Name outputs in listing order, whatever order the images finish in
+    this.namer.assign(images);
     
-    if (PARALLEL_PROCESSING) {
-      results = await processInParallel(imageUrls, MAX_CONCURRENT);
-    } else {
-      results = await processSequentially(imageUrls);
+    const results = parallel
+      ? await this.processInParallel(images, maxConcurrent, { force })
+      : await this.processSequentially(images, { force });
+    return this.summarize(results, usageBefore);
+  }
+  
+  // API requests per budget and credits used so far by this replacer
+  getUsage() {
+    return { requests: { ...this.rateLimiter.requests }, creditsUsed: this.creditsUsed };
+  }
+  
+  /**
+   * Summarize the results of processed images
+   * @param {Array<Object>} results - processImage() results
+   * @param {Object} usageBefore - What getUsage() returned before the images were processed
+   * @returns {Object} - Batch summary (see processBatch)
+   */
+  summarize(results, usageBefore) {
+    const countStatus = status => results.filter(result => result.status === status).length;
+    
+    const failures = {};
+    for (const result of results.filter(result => result.status === 'failed')) {
+      failures[result.errorCategory] = (failures[result.errorCategory] || 0) + 1;
     }
     
-    console.log(`\n====== Processing Summary ======`);
-    console.log(`Total: ${imageUrls.length}`);
-    console.log(`✅ Succeeded: ${results.succeeded}`);
-    console.log(`❌ Failed: ${results.failed}`);
-    console.log(`===============================`);
+    return {
+      total: results.length,
+      succeeded: countStatus('succeeded'),
+      needsReview: countStatus('needs_review'),
+      skipped: countStatus('skipped'),
+      deferred: countStatus('deferred'),
+      cancelled: countStatus('cancelled'),
+      failed: countStatus('failed'),
+      failures,
+      requests: {
+        submission: this.rateLimiter.requests.submission - usageBefore.requests.submission,
+        status: this.rateLimiter.requests.status - usageBefore.requests.status
+      },
+      creditsUsed: this.creditsUsed - usageBefore.creditsUsed,
+      vehicles: summarizeVehicles(results),
+      results
+    };
+  }
+  
+  /**
+   * List the images of the source, failing explicitly when it cannot be listed or is empty,
+   * and apply the input filters (see InputFilter)
+   * @returns {Promise<Object>} - { images, excluded, usedFallback, error } (see
+   *   resolveSource and InputFilter.select)
+   * @throws {SourceError} - When the source cannot be listed and no fallback is enabled
+   */
+  async listImages() {
+    // Fallback image list, only used when explicitly enabled in config
+    const fallback = this.config.source?.fallback || this.config.googleDrive.fallback;
+    const listing = await resolveSource(this.source, { fallback });
+    const { images, excluded } = await this.inputFilter.select(listing.images);
+    return { ...listing, images, excluded };
+  }
+  
+  // Print what a run would process, without submitting anything
+  async printSourceCheck(images, usedFallback, { force = false, excluded = [] } = {}) {
+    const lines = [
+      `\n====== Source Check ======`,
+      `Source: ${this.source.type} (${this.source.location})`
+    ];
+    if (usedFallback) {
+      lines.push('⚠️ Source listing failed, the configured fallback list would be used');
+    }
+    lines.push(`Images found: ${images.length + excluded.length}`);
+    printExcluded(excluded, line => lines.push(line));
     
-  } catch (error) {
-    console.error(`❌ Fatal Error: ${error.message}`);
-    process.exit(1);
+    let skipped = 0;
+    for (const image of images) {
+      const { action } = force ? { action: 'submit' } : this.manifest.plan(getImageId(image), await getContentHash(image));
+      const note = { skip: ' (already processed, skipped)', resume: ' (submitted earlier, resumed)' }[action] || '';
+      if (action === 'skip') skipped++;
+      const plate = this.plates.select(image) === this.plateImagePath ? '' : ` [plate: ${path.basename(this.plates.select(image))}]`;
+      const vehicle = image.vehicle ? ` [vehicle: ${image.vehicle}]` : '';
+      lines.push(`- ${image.url || describeImage(image)}${vehicle}${plate}${note}`);
+    }
+    
+    lines.push(
+      `Images that would be processed: ${images.length - skipped}`,
+      `==========================`
+    );
+    logger.info(lines.join('\n'), { sourceCheck: { found: images.length + excluded.length, excluded: excluded.length, skipped, processed: images.length - skipped } });
+  }
+  
+  /**
+   * Check whether the API accepts the API key, with a status request that costs no credits
+   * @returns {Promise<Object>} - { status, message } where `status` is "accepted",
+   *   "rejected" or "unknown" (the API could not be reached)
+   */
+  async checkApiKey() {
+    try {
+      await this.rateLimiter.acquire('status');
+      await axios.get(`${this.config.api.baseUrl}/status?image_url=${API_KEY_CHECK_IMAGE}`, {
+        timeout: this.config.api.timeoutMs,
+        headers: {
+          'Accept': 'application/json',
+          'Authorization': `Bearer ${this.config.api.apiKey}`
+        }
+      });
+      return { status: 'accepted', message: 'accepted' };
+    } catch (error) {
+      switch (classifyError(error)) {
+        case 'auth':
+          return { status: 'rejected', message: `rejected (HTTP ${error.response.status})` };
+        case 'rejected':
+          // The request got past authentication; only the unknown image was refused
+          return { status: 'accepted', message: `accepted (HTTP ${error.response.status} for the test image)` };
+        default:
+          return { status: 'unknown', message: `could not be checked: ${error.message}` };
+      }
+    }
+  }
+  
+  /**
+   * Work out what a run would do without submitting anything: which images would be
+   * submitted, resumed, skipped or deferred, under which output names, and what it would
+   * cost. Only the API key is checked with the API.
+   * @param {Object} [options] - { force } (see run)
+   * @returns {Promise<Object>} - { usedFallback, images, excluded, counts, estimate, apiKey }
+   *   where `images` holds { image, action, plate, outputPath, error } per image with `action`
+   *   one of "submit", "resume", "skip" or "defer", `counts` counts the actions, `estimate`
+   *   is what estimateRun() returned plus the number of earlier jobs it is based on
+   *   (`samples`), `excluded` lists the images the input filters left out (see
+   *   InputFilter.select), and `apiKey` is what checkApiKey() returned
+   * @throws {ConfigError} - When a plate image is unusable
+   * @throws {SourceError} - When the source cannot be listed or is empty
+   */
+  async planRun({ force = false } = {}) {
+    await this.validatePlates();
+    const { images, excluded, usedFallback } = await this.listImages();
+    this.namer.assign(images);
+    
+    const { dailyImageQuota } = this.config.rateLimit;
+    let quotaLeft = dailyImageQuota === undefined ? Infinity : Math.max(0, dailyImageQuota - this.quota.used);
+    const planned = [];
+    for (const image of images) {
+      const { action, entry } = force ? { action: 'submit' } : this.manifest.plan(getImageId(image), await getContentHash(image));
+      const plan = { image, action, plate: this.plates.select(image), outputPath: null, error: null };
+      if (action === 'skip') {
+        plan.outputPath = entry.outputPath;
+      } else {
+        try {
+          plan.outputPath = this.namer.getOutputPath(image);
+        } catch (error) {
+          plan.error = error.message;
+        }
+      }
+      if (action === 'submit') {
+        plan.action = quotaLeft > 0 ? 'submit' : 'defer';
+        quotaLeft--;
+      }
+      planned.push(plan);
+    }
+    
+    const counts = { submit: 0, resume: 0, skip: 0, defer: 0 };
+    planned.forEach(plan => counts[plan.action]++);
+    const typical = getTypicalProcessingSeconds(this.manifest);
+    return {
+      usedFallback,
+      images: planned,
+      excluded,
+      counts,
+      estimate: { ...estimateRun(counts, this.config, typical.seconds), samples: typical.samples },
+      apiKey: await this.checkApiKey()
+    };
+  }
+  
+  /**
+   * Print the plan of a dry run
+   * @param {Object} plan - What planRun() returned
+   */
+  printDryRun({ usedFallback, images, excluded, counts, estimate, apiKey }) {
+    const notes = {
+      resume: ' (submitted earlier, resumed)',
+      skip: ' (already processed, skipped)',
+      defer: ' (daily quota reached, deferred)'
+    };
+    const { parallelProcessing, maxConcurrent } = this.config.processing;
+    
+    const lines = [
+      `\n====== Dry Run ======`,
+      `Source: ${this.source.type} (${this.source.location})`
+    ];
+    if (usedFallback) {
+      lines.push('⚠️ Source listing failed, the configured fallback list would be used');
+    }
+    lines.push(`Images found: ${images.length + excluded.length}`);
+    printExcluded(excluded, line => lines.push(line));
+    for (const { image, action, plate, outputPath, error } of images) {
+      const plateNote = plate === this.plateImagePath ? '' : ` [plate: ${path.basename(plate)}]`;
+      const vehicleNote = image.vehicle ? ` [vehicle: ${image.vehicle}]` : '';
+      const output = error ? ` ❌ ${error}` : outputPath ? ` → ${this.getRelativePath(outputPath)}` : '';
+      lines.push(`- ${image.url || describeImage(image)}${vehicleNote}${plateNote}${notes[action] || ''}${output}`);
+    }
+    lines.push(`Images that would be submitted: ${counts.submit}`);
+    if (counts.resume > 0) {
+      lines.push(`Jobs that would be resumed: ${counts.resume}`);
+    }
+    if (counts.defer > 0) {
+      lines.push(`⛔ Left for another day by the daily quota: ${counts.defer}`);
+    }
+    lines.push(`💳 Estimated credits: ${estimate.credits}`);
+    const basis = estimate.samples > 0
+      ? `median of ${estimate.samples} earlier job(s) in this output directory`
+      : 'assumed, no jobs have finished in this output directory yet';
+    lines.push(`⏱️ Estimated duration: ${formatDuration(estimate.seconds)} (${parallelProcessing ? `parallel, up to ${maxConcurrent} at once` : 'sequential'})`);
+    lines.push(`   ${estimate.processingSeconds}s of processing per image (${basis}), found ready after ${estimate.statusChecks} status check(s)`);
+    if (estimate.timesOut && counts.submit + counts.resume > 0) {
+      lines.push(`⚠️ Images taking ${estimate.processingSeconds}s would time out after polling.maxRetries (${this.config.polling.maxRetries}) status checks`);
+    }
+    lines.push(
+      `${apiKey.status === 'accepted' ? '🔑' : apiKey.status === 'rejected' ? '❌' : '⚠️'} API key: ${apiKey.message}`,
+      'Nothing was submitted.',
+      `=====================`
+    );
+    logger.info(lines.join('\n'), { dryRun: { excluded: excluded.length, counts, estimate, apiKey: apiKey.status } });
   }
+  
+  // Print the settings a run is about to use
+  printBanner() {
+    const lines = [
+      '📋 License Plate Replacer',
+      `🔗 Image source: ${this.source.type} (${this.source.location})`,
+      `📁 Output directory: ${this.outputDir}`
+    ];
+    this.sinks
+      .filter(sink => !(sink.type === 'local' && path.resolve(sink.location) === this.outputDir))
+      .forEach(sink => lines.push(`📤 Output sink: ${sink.type} (${sink.location})`));
+    lines.push(`🌄 Plate image: ${this.plateImagePath}`);
+    const { rules = [], mappingFile } = this.config.plate || {};
+    if (rules.length > 0 || mappingFile) {
+      lines.push(`🌄 Plate selection: ${rules.length} rule(s)${mappingFile ? `, mapping file ${mappingFile} (${this.plates.mapping.size} images)` : ''}`);
+    }
+    lines.push(`📊 Processing mode: ${this.config.processing.parallelProcessing ? 'Parallel' : 'Sequential'}`);
+    const { submission, status, dailyImageQuota } = this.config.rateLimit;
+    lines.push(`🚦 Rate limits: ${submission.requestsPerSecond}/s submissions, ${status.requestsPerSecond}/s status checks`);
+    if (dailyImageQuota !== undefined) {
+      lines.push(`💳 Daily quota: ${this.quota.used}/${dailyImageQuota} images used today`);
+    }
+    lines.push('----------------------------');
+    // One entry, so JSON output gets the settings as fields rather than as separate lines
+    logger.info(lines.join('\n'), {
+      source: { type: this.source.type, location: this.source.location },
+      outputDir: this.outputDir,
+      sinks: this.sinks.map(sink => ({ type: sink.type, location: sink.location })),
+      plate: this.plateImagePath,
+      parallel: this.config.processing.parallelProcessing
+    });
+  }
+  
+  // Process a list of images with the configured mode, print and record the summary
+  async processImages(images, startedAt, { force = false } = {}) {
+    const { parallelProcessing, maxConcurrent } = this.config.processing;
+    logger.info(`🔄 Processing ${images.length} images ${parallelProcessing ? `in parallel, up to ${maxConcurrent} at once` : 'sequentially'}`, { images: images.length });
+    
+    const summary = await this.processBatch(images, { force });
+    await this.reportRun(summary, startedAt);
+    return summary;
+  }
+  
+  /**
+   * Write the report of a run into its own folder of the reports directory. A report that
+   * cannot be written is logged and does not fail the run.
+   * @param {Object} summary - Batch summary (see processBatch)
+   * @param {string} startedAt - When the run started (ISO timestamp)
+   * @returns {Promise<Object|null>} - Paths of the report files (see writeRunReport), or
+   *   null when reports are disabled or failed
+   */
+  async writeReport(summary, startedAt) {
+    const { enabled, directory, thumbnails, thumbnailWidth } = this.config.report;
+    if (!enabled) {
+      return null;
+    }
+    const reportsDir = directory ? path.resolve(directory) : path.join(this.outputDir, REPORTS_DIR);
+    const reportDir = path.join(reportsDir, `run-${startedAt.replace(/[:.]/g, '-')}`);
+    try {
+      const files = await writeRunReport({ source: this.source, startedAt, summary }, { outputDir: this.outputDir, reportDir, thumbnails, thumbnailWidth });
+      logger.info(`📊 Report: ${files.html}`, { report: files });
+      return files;
+    } catch (error) {
+      logger.warn(`⚠️ Could not write the run report: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Print a batch summary, write the run report, record it as the last run so it can be
+   * inspected and retried later, and send the configured notifications
+   * @param {Object} summary - Batch summary (see processBatch)
+   * @param {string} startedAt - When the run started (ISO timestamp)
+   * @returns {Promise<void>}
+   */
+  async reportRun(summary, startedAt) {
+    const lines = [
+      '\n====== Processing Summary ======',
+      `Total: ${summary.total}`,
+      `✅ Succeeded: ${summary.succeeded}`,
+      `⏭️ Skipped (already processed): ${summary.skipped}`
+    ];
+    if (summary.needsReview > 0) {
+      lines.push(`🔍 Needs review: ${summary.needsReview} (in ${NEEDS_REVIEW_DIR}/)`);
+    }
+    if (summary.deferred > 0) {
+      lines.push(`⛔ Deferred (daily quota reached): ${summary.deferred}`);
+    }
+    if (summary.cancelled > 0) {
+      lines.push(`🛑 Cancelled (resumed by the next run): ${summary.cancelled}`);
+    }
+    lines.push(`❌ Failed: ${summary.failed}`);
+    printFailures(summary.failures, line => lines.push(line));
+    printVehicles(summary.vehicles, line => lines.push(line));
+    lines.push(
+      `📡 API requests: ${summary.requests.submission} submissions, ${summary.requests.status} status/result`,
+      `💳 Credits used: ${summary.creditsUsed}`,
+      '==============================='
+    );
+    const { results, ...counts } = summary;
+    logger.info(lines.join('\n'), { summary: counts });
+    
+    const report = await this.writeReport(summary, startedAt);
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    writeFileAtomic(path.join(this.outputDir, LAST_RUN_FILE), JSON.stringify({
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      source: { type: this.source.type, location: this.source.location },
+      total: summary.total,
+      succeeded: summary.succeeded,
+      needsReview: summary.needsReview,
+      skipped: summary.skipped,
+      deferred: summary.deferred,
+      cancelled: summary.cancelled,
+      failed: summary.failed,
+      failures: summary.failures,
+      vehicles: summary.vehicles,
+      requests: summary.requests,
+      creditsUsed: summary.creditsUsed,
+      failedImages: summary.results.filter(result => result.status === 'failed').map(result => result.image),
+      report: report ? report.html : null
+    }, null, 2));
+    
+    await this.notifier.notifyBatch({
+      source: { type: this.source.type, location: this.source.location },
+      startedAt,
+      results: summary.results,
+      summary
+    });
+  }
+  
+  /**
+   * Process every image of the source
+   * @param {Object} [options] - Run options
+   * @param {boolean} [options.checkSource=false] - Only list what would be processed
+   * @param {boolean} [options.dryRun=false] - Print what would be submitted and what it would
+   *   cost, without submitting anything (see planRun)
+   * @param {boolean} [options.force=false] - Submit every image, ignoring the job manifest
+   * @returns {Promise<Object|null>} - Batch summary (see processBatch), or null for a source
+   *   check or dry run
+   * @throws {SourceError} - When the source cannot be listed or is empty
+   * @throws {ConfigError} - When a dry run finds that the API rejects the API key
+   */
+  async run({ checkSource = false, dryRun = false, force = false } = {}) {
+    const startedAt = new Date().toISOString();
+    this.printBanner();
+    
+    if (dryRun) {
+      const plan = await this.planRun({ force });
+      this.printDryRun(plan);
+      if (plan.apiKey.status === 'rejected') {
+        throw new ConfigError(`api.apiKey was ${plan.apiKey.message} by the API`);
+      }
+      return null;
+    }
+    
+    await this.validatePlates();
+    
+    // Get images from the configured source
+    const { images, excluded, usedFallback } = await this.listImages();
+    
+    if (checkSource) {
+      await this.printSourceCheck(images, usedFallback, { force, excluded });
+      return null;
+    }
+    
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    return this.processImages(images, startedAt, { force });
+  }
+  
+  /**
+   * Stop the current run: images that were not submitted yet are left alone, and submitted
+   * images are no longer polled. Results that are already being downloaded are finished.
+   * The job manifest keeps every submitted image, so the next run resumes it without
+   * submitting it again.
+   */
+  cancel() {
+    this.cancelled = true;
+    this.statusScheduler.cancel();
+  }
+  
+  /**
+   * Process the images that failed in the most recent run again
+   * @param {Object} [options] - Retry options
+   * @param {string} [options.vehicle] - Only retry the images of this vehicle
+   * @returns {Promise<Object|null>} - Batch summary (see processBatch), or null if there was nothing to retry
+   */
+  async retryFailed({ vehicle } = {}) {
+    const lastRun = readLastRun(this.outputDir);
+    
+    if (!lastRun) {
+      logger.info(`No previous run found in ${this.outputDir}`);
+      return null;
+    }
+    const failedImages = vehicle === undefined
+      ? lastRun.failedImages
+      : lastRun.failedImages.filter(image => image.vehicle === vehicle);
+    if (failedImages.length === 0) {
+      logger.info(`✅ The last run has no failed images${vehicle === undefined ? '' : ` of vehicle ${vehicle}`} to retry`);
+      return null;
+    }
+    
+    const startedAt = new Date().toISOString();
+    this.printBanner();
+    
+    if (lastRun.source.type !== this.source.type || lastRun.source.location !== this.source.location) {
+      logger.warn(`⚠️ The last run used ${lastRun.source.type} (${lastRun.source.location}), retrying with the current source settings`);
+    }
+    
+    logger.info(`🔁 Retrying ${failedImages.length} failed images${vehicle === undefined ? '' : ` of vehicle ${vehicle}`} from the run started ${lastRun.startedAt}`);
+    return this.processImages(failedImages, startedAt);
+  }
+}
+
+/**
+ * Create a plate replacer
+ * @param {Object} [options] - See the PlateReplacer constructor
+ * @returns {PlateReplacer} - Replacer emitting `submitted`, `status`, `downloaded` and `failed`
+ */
+function createPlateReplacer(options) {
+  return new PlateReplacer(options);
 }
 
-// Start processing
-console.log('📋 License Plate Replacer');
-console.log(`🔗 Remote URL: ${REMOTE_URL}`);
-console.log(`📁 Output directory: ${OUTPUT_DIR}`);
-console.log(`🌄 Plate image: ${PLATE_IMAGE_PATH}`);
-console.log(`📊 Processing mode: ${PARALLEL_PROCESSING ? 'Parallel' : 'Sequential'}`);
-console.log('----------------------------');
+module.exports = {
+  createPlateReplacer,
+  PlateReplacer,
+  JobManifest,
+  readLastRun,
+  printFailures,
+  printVehicles,
+  downloadResult,
+  getOutputDir,
+  getSourceConfig,
+  getSinkConfigs,
+  createImageSource,
+  createOutputSink,
+  SourceError,
+  ConfigError,
+  ProcessingError
+};
 
-main();
\ No newline at end of file
+// Running this file directly behaves like `plate-replacer run`
+if (require.main === module) {
+  require('./cli').main(['run', ...process.argv.slice(2)]);
+}
\ No newline at end of file
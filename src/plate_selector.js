@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { ConfigError } = require('./config_loader');
+const { getImageId } = require('./job_manifest');
+const { parseCsvLine } = require('./image_sources');
+const { globToRegExp } = require('./input_filter');
+const { logger } = require('./logger');
+
+const PLATE_DIR = path.join(__dirname, '../plate');
+
+// Limits for plate images: plate shaped, large enough to look sharp, small enough to upload
+const PLATE_LIMITS = {
+  minAspectRatio: 1.2,
+  maxAspectRatio: 7,
+  minWidth: 100,
+  maxWidth: 4000,
+  maxFileBytes: 5 * 1024 * 1024
+};
+
+// Column names accepted in a plate mapping file
+const IMAGE_COLUMNS = ['image', 'image_id', 'id', 'url', 'file', 'filename', 'name'];
+const PLATE_COLUMNS = ['plate', 'logo', 'plate_path'];
+
+// Find the first PNG file in the plate directory
+function findPlateImage() {
+  let files;
+  try {
+    files = fs.readdirSync(PLATE_DIR);
+  } catch (error) {
+    throw new Error(`Error reading plate directory: ${error.message}`);
+  }
+  
+  const pngFile = files.find(file => file.toLowerCase().endsWith('.png'));
+  
+  if (!pngFile) {
+    throw new Error('No PNG file found in the plate directory. Please add a PNG logo file.');
+  }
+  return path.join(PLATE_DIR, pngFile);
+}
+
+// Resolve the default plate image: the configured file, or the first PNG in the plate directory
+function getPlateImagePath(config) {
+  if (!config.plate?.path) {
+    return findPlateImage();
+  }
+  
+  const platePath = path.resolve(config.plate.path);
+  if (!fs.existsSync(platePath)) {
+    throw new Error(`Plate image not found: ${platePath}`);
+  }
+  return platePath;
+}
+
+// Source path of an image below its source root, e.g. "dealerA/VIN1.jpg"
+function getSourcePath(image) {
+  return image.folder ? `${image.folder}/${image.name}` : image.name || '';
+}
+
+// Keys a mapping file row can use to name an image
+function getMappingKeys(image) {
+  return [getImageId(image), image.driveFileId, image.url, getSourcePath(image), image.name].filter(Boolean);
+}
+
+/**
+ * Read a plate mapping file: a CSV with a header row naming an image column (ID, URL,
+ * Drive file ID, path below the source or file name) and a plate column
+ * @param {string} mappingFile - Path to the CSV file
+ * @returns {Map<string, string>} - Absolute plate path by image key
+ * @throws {ConfigError} - When the file cannot be read or has no usable header
+ */
+function readMappingFile(mappingFile) {
+  let content;
+  try {
+    content = fs.readFileSync(mappingFile, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Plate mapping file cannot be read: ${error.message}`);
+  }
+  
+  const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  const header = parseCsvLine(lines[0] || '').map(cell => cell.toLowerCase());
+  const imageColumn = header.findIndex(cell => IMAGE_COLUMNS.includes(cell));
+  const plateColumn = header.findIndex(cell => PLATE_COLUMNS.includes(cell));
+  
+  if (imageColumn < 0 || plateColumn < 0) {
+    throw new ConfigError(`Plate mapping file ${mappingFile} needs a header row with an image column (${IMAGE_COLUMNS.join(', ')}) and a plate column (${PLATE_COLUMNS.join(', ')})`);
+  }
+  
+  // Plate paths in the file are relative to the file itself
+  const baseDir = path.dirname(path.resolve(mappingFile));
+  const mapping = new Map();
+  for (const row of lines.slice(1)) {
+    const cells = parseCsvLine(row);
+    if (!cells[imageColumn] || !cells[plateColumn]) {
+      logger.warn(`⚠️ Skipping plate mapping row without an image or plate: ${row}`);
+      continue;
+    }
+    mapping.set(cells[imageColumn], path.resolve(baseDir, cells[plateColumn]));
+  }
+  return mapping;
+}
+
+/**
+ * Check that a plate image is usable before any image is submitted with it
+ * @param {string} platePath - Plate image file
+ * @returns {Promise<Object>} - { problems, warnings } as arrays of messages
+ */
+async function validatePlateImage(platePath) {
+  const problems = [];
+  const warnings = [];
+  
+  if (!fs.existsSync(platePath)) {
+    return { problems: [`${platePath}: file not found`], warnings };
+  }
+  
+  const { size } = fs.statSync(platePath);
+  if (size > PLATE_LIMITS.maxFileBytes) {
+    problems.push(`${platePath}: ${Math.round(size / 1024)} KB, more than the ${PLATE_LIMITS.maxFileBytes / 1024 / 1024} MB limit`);
+  }
+  
+  let metadata;
+  try {
+    metadata = await sharp(platePath).metadata();
+  } catch (error) {
+    return { problems: [...problems, `${platePath}: not a readable image (${error.message})`], warnings };
+  }
+  
+  if (metadata.format !== 'png') {
+    problems.push(`${platePath}: must be a PNG file, but is ${metadata.format}`);
+  }
+  if (!metadata.hasAlpha) {
+    problems.push(`${platePath}: has no alpha channel, save it as RGBA so the area around the logo is transparent`);
+  }
+  
+  const aspectRatio = metadata.width / metadata.height;
+  if (aspectRatio < PLATE_LIMITS.minAspectRatio || aspectRatio > PLATE_LIMITS.maxAspectRatio) {
+    problems.push(`${platePath}: ${metadata.width}x${metadata.height} is not plate shaped (width/height must be between ${PLATE_LIMITS.minAspectRatio} and ${PLATE_LIMITS.maxAspectRatio}, got ${aspectRatio.toFixed(2)})`);
+  }
+  if (metadata.width < PLATE_LIMITS.minWidth || metadata.width > PLATE_LIMITS.maxWidth) {
+    problems.push(`${platePath}: ${metadata.width} pixels wide, must be between ${PLATE_LIMITS.minWidth} and ${PLATE_LIMITS.maxWidth}`);
+  }
+  
+  if (problems.length === 0 && metadata.hasAlpha) {
+    // An alpha channel that is opaque everywhere still hides the car behind a rectangle
+    const { channels } = await sharp(platePath).stats();
+    if (channels[channels.length - 1].min === 255) {
+      warnings.push(`${platePath}: has an alpha channel but no transparent pixels`);
+    }
+  }
+  
+  return { problems, warnings };
+}
+
+/**
+ * Chooses the plate image for each image. A mapping file entry for the image wins, then
+ * the first matching rule, then the default plate.
+ */
+class PlateSelector {
+  /**
+   * @param {Object} options - Plate settings
+   * @param {string} options.defaultPath - Plate used when nothing else matches
+   * @param {Array<Object>} [options.rules=[]] - Rules as { folder, pattern, path }
+   * @param {string} [options.mappingFile] - CSV file mapping images to plates
+   * @throws {ConfigError} - When a rule or the mapping file is invalid
+   */
+  constructor({ defaultPath, rules = [], mappingFile }) {
+    this.defaultPath = defaultPath;
+    this.mapping = mappingFile ? readMappingFile(mappingFile) : new Map();
+    
+    const problems = [];
+    this.rules = rules.map((rule, index) => {
+      if (rule.folder === undefined && rule.pattern === undefined) {
+        problems.push(`plate.rules[${index}]: needs a folder or a pattern`);
+      }
+      return {
+        folder: rule.folder !== undefined ? rule.folder.split('/').filter(Boolean).join('/') : undefined,
+        pattern: rule.pattern !== undefined ? globToRegExp(rule.pattern) : undefined,
+        // Patterns with a slash are matched against the path below the source
+        matchesPath: rule.pattern !== undefined && rule.pattern.includes('/'),
+        path: path.resolve(rule.path)
+      };
+    });
+    if (problems.length > 0) {
+      throw new ConfigError('Plate rules are invalid', problems);
+    }
+  }
+  
+  /**
+   * Plate image for an image
+   * @param {Object} image - Image from a source
+   * @returns {string} - Absolute path of the plate image
+   */
+  select(image) {
+    for (const key of getMappingKeys(image)) {
+      if (this.mapping.has(key)) {
+        return this.mapping.get(key);
+      }
+    }
+    
+    const folder = image.folder || '';
+    const sourcePath = getSourcePath(image);
+    for (const rule of this.rules) {
+      // A folder rule also covers the folders below it
+      const folderMatches = rule.folder === undefined || folder === rule.folder || folder.startsWith(`${rule.folder}/`);
+      const patternMatches = rule.pattern === undefined || rule.pattern.test(rule.matchesPath ? sourcePath : image.name || '');
+      if (folderMatches && patternMatches) {
+        return rule.path;
+      }
+    }
+    
+    return this.defaultPath;
+  }
+  
+  // Every plate image that can be selected
+  getPlatePaths() {
+    return [...new Set([this.defaultPath, ...this.rules.map(rule => rule.path), ...this.mapping.values()])];
+  }
+  
+  /**
+   * Validate every plate image that can be selected
+   * @throws {ConfigError} - Listing every unusable plate image
+   */
+  async validate() {
+    const problems = [];
+    for (const platePath of this.getPlatePaths()) {
+      const result = await validatePlateImage(platePath);
+      problems.push(...result.problems);
+      result.warnings.forEach(warning => logger.warn(`⚠️ Plate image ${warning}`));
+    }
+    if (problems.length > 0) {
+      throw new ConfigError('Plate images are invalid', problems);
+    }
+  }
+}
+
+module.exports = {
+  PLATE_LIMITS,
+  getPlateImagePath,
+  validatePlateImage,
+  PlateSelector
+};
\ No newline at end of file
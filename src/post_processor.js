@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const sharp = require('sharp');
+const { ProcessingError } = require('./retry_policy');
+const { writeFileAtomic } = require('./atomic_write');
+
+// Output formats and the extension their files get
+const OUTPUT_FORMATS = {
+  jpeg: 'jpg',
+  webp: 'webp',
+  png: 'png'
+};
+
+// What happens to the metadata of a result
+const METADATA_POLICIES = {
+  keep: 'Keep EXIF, XMP, IPTC and the color profile',
+  strip: 'Remove all metadata',
+  stripGps: 'Keep EXIF without its GPS block, and the color profile (XMP and IPTC are removed, they can repeat the location)'
+};
+
+// Formats named by file extensions
+const EXTENSION_FORMATS = {
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.webp': 'webp',
+  '.png': 'png'
+};
+
+// Lowest quality tried when shrinking a file below maxBytes
+const MIN_QUALITY = 40;
+const QUALITY_STEP = 10;
+
+// Byte size of one value of each TIFF field type
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+const GPS_INFO_TAG = 0x8825;
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+
+/**
+ * Remove the GPS block from EXIF data in place: the GPS values and directory are zeroed
+ * and the pointer to them is dropped from the first directory. The size of the data
+ * does not change, so it can be patched inside an image file.
+ * @param {Buffer} exif - TIFF-structured EXIF data, optionally starting with "Exif\0\0"
+ * @returns {boolean} - True when there was a GPS block
+ */
+function removeGpsFromExif(exif) {
+  const tiff = exif.subarray(0, 6).equals(EXIF_HEADER) ? exif.subarray(6) : exif;
+  const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+  const read16 = offset => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const read32 = offset => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+  const write16 = (value, offset) => (littleEndian ? tiff.writeUInt16LE(value, offset) : tiff.writeUInt16BE(value, offset));
+  
+  const ifd0 = read32(4);
+  const count = read16(ifd0);
+  
+  for (let index = 0; index < count; index++) {
+    const entry = ifd0 + 2 + index * 12;
+    if (read16(entry) !== GPS_INFO_TAG) {
+      continue;
+    }
+    
+    // Values longer than 4 bytes live outside the directory
+    const gpsIfd = read32(entry + 8);
+    const gpsCount = read16(gpsIfd);
+    for (let gpsIndex = 0; gpsIndex < gpsCount; gpsIndex++) {
+      const gpsEntry = gpsIfd + 2 + gpsIndex * 12;
+      const size = (TIFF_TYPE_SIZES[read16(gpsEntry + 2)] || 1) * read32(gpsEntry + 4);
+      if (size > 4) {
+        const valueOffset = read32(gpsEntry + 8);
+        tiff.fill(0, valueOffset, valueOffset + size);
+      }
+    }
+    tiff.fill(0, gpsIfd, gpsIfd + 2 + gpsCount * 12 + 4);
+    
+    // Move the following entries and the next-directory offset up over the pointer
+    const end = ifd0 + 2 + count * 12 + 4;
+    tiff.copy(tiff, entry, entry + 12, end);
+    tiff.fill(0, end - 12, end);
+    write16(count - 1, ifd0);
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Find the EXIF data inside an encoded image
+ * @param {Buffer} data - JPEG, PNG or WebP file
+ * @param {string} format - "jpeg", "png" or "webp"
+ * @returns {Object|null} - { exif, chunk } where `exif` shares memory with `data`, and
+ *   `chunk` is the PNG chunk start (its checksum must be updated after changes)
+ */
+function findExif(data, format) {
+  if (format === 'jpeg') {
+    let offset = 2;
+    while (offset + 4 <= data.length && data[offset] === 0xff) {
+      const marker = data[offset + 1];
+      const length = data.readUInt16BE(offset + 2);
+      // Start of scan: no more metadata segments
+      if (marker === 0xda) {
+        break;
+      }
+      const segment = data.subarray(offset + 4, offset + 2 + length);
+      if (marker === 0xe1 && segment.subarray(0, 6).equals(EXIF_HEADER)) {
+        return { exif: segment, chunk: null };
+      }
+      offset += 2 + length;
+    }
+  } else if (format === 'webp') {
+    let offset = 12;
+    while (offset + 8 <= data.length) {
+      const size = data.readUInt32LE(offset + 4);
+      if (data.toString('latin1', offset, offset + 4) === 'EXIF') {
+        return { exif: data.subarray(offset + 8, offset + 8 + size), chunk: null };
+      }
+      offset += 8 + size + (size % 2);
+    }
+  } else if (format === 'png') {
+    let offset = 8;
+    while (offset + 12 <= data.length) {
+      const length = data.readUInt32BE(offset);
+      if (data.toString('latin1', offset + 4, offset + 8) === 'eXIf') {
+        return { exif: data.subarray(offset + 8, offset + 8 + length), chunk: offset };
+      }
+      offset += 12 + length;
+    }
+  }
+  return null;
+}
+
+// Remove GPS metadata from an encoded image in place
+function stripGps(data, format) {
+  const found = findExif(data, format);
+  if (!found) {
+    return;
+  }
+  
+  try {
+    if (removeGpsFromExif(found.exif) && found.chunk !== null) {
+      const length = data.readUInt32BE(found.chunk);
+      // zlib.crc32 needs Node.js 20.15 (see "engines" in package.json)
+      const crc = zlib.crc32(data.subarray(found.chunk + 4, found.chunk + 8 + length));
+      data.writeUInt32BE(crc, found.chunk + 8 + length);
+    }
+  } catch (error) {
+    // Better no result than one that may still carry the location
+    throw new ProcessingError('post_processing', `Could not remove GPS metadata: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Encode an image with the post-processing settings
+ * @param {Buffer} input - Image data
+ * @param {Object} options - Encoding options
+ * @param {string} options.format - "jpeg", "webp" or "png"
+ * @param {number} [options.width] - Maximum width
+ * @param {number} [options.height] - Maximum height
+ * @param {number} options.quality - JPEG/WebP quality (1-100)
+ * @param {string} options.metadata - One of METADATA_POLICIES
+ * @returns {Promise<Buffer>} - The encoded image
+ */
+async function encodeImage(input, { format, width, height, quality, metadata }) {
+  // Apply the EXIF orientation, so dropping the metadata cannot turn the image
+  let pipeline = sharp(input).rotate();
+  
+  if (width || height) {
+    pipeline = pipeline.resize({ width, height, fit: 'inside', withoutEnlargement: true });
+  }
+  if (metadata === 'keep') {
+    pipeline = pipeline.keepMetadata();
+  } else if (metadata === 'stripGps') {
+    pipeline = pipeline.keepExif().keepIccProfile();
+  }
+  
+  if (format === 'jpeg') {
+    pipeline = pipeline.jpeg({ quality, mozjpeg: true });
+  } else if (format === 'webp') {
+    pipeline = pipeline.webp({ quality });
+  } else {
+    pipeline = pipeline.png({ compressionLevel: 9 });
+  }
+  
+  const data = await pipeline.toBuffer();
+  if (metadata === 'stripGps') {
+    stripGps(data, format);
+  }
+  return data;
+}
+
+/**
+ * Extension of results after post-processing
+ * @param {Object} [postProcessing] - The postProcessing settings
+ * @returns {string|null} - Extension without the dot, or null when results keep their format
+ */
+function getOutputExtension(postProcessing) {
+  return postProcessing ? OUTPUT_FORMATS[postProcessing.format] || null : null;
+}
+
+/**
+ * Post-process a downloaded result in place: convert, resize, re-encode within the size
+ * limit, apply the metadata policy, and write thumbnails next to it
+ * @param {string} filePath - Downloaded result
+ * @param {Object} options - The postProcessing settings
+ * @param {string} [options.format='auto'] - "jpeg", "webp", "png", or "auto" for the format
+ *   the file extension names (the format the API returned for other extensions)
+ * @param {number} [options.maxWidth] - Maximum width, the aspect ratio is kept
+ * @param {number} [options.maxHeight] - Maximum height
+ * @param {number} [options.quality=85] - JPEG/WebP quality
+ * @param {number} [options.maxBytes] - Lower the quality until the file is this small
+ * @param {string} [options.metadata='keep'] - One of METADATA_POLICIES
+ * @param {Array<Object>} [options.thumbnails=[]] - Thumbnails as { width, height, suffix }
+ * @returns {Promise<Object>} - { width, height, bytes, quality, thumbnails } with the
+ *   thumbnail file paths
+ * @throws {ProcessingError} - "post_processing" when the result cannot be brought within the limits
+ */
+async function postProcess(filePath, {
+  format = 'auto',
+  maxWidth,
+  maxHeight,
+  quality = 85,
+  maxBytes,
+  metadata = 'keep',
+  thumbnails = []
+} = {}) {
+  const input = fs.readFileSync(filePath);
+  let sourceFormat;
+  try {
+    ({ format: sourceFormat } = await sharp(input).metadata());
+  } catch (error) {
+    throw new ProcessingError('post_processing', `Result is not a readable image: ${error.message}`, { cause: error });
+  }
+  const targetFormat = OUTPUT_FORMATS[format] ? format : EXTENSION_FORMATS[path.extname(filePath).toLowerCase()] || sourceFormat;
+  if (!OUTPUT_FORMATS[targetFormat]) {
+    throw new ProcessingError('post_processing', `Cannot post-process ${sourceFormat} images`);
+  }
+  
+  const encode = async (settings) => {
+    try {
+      return await encodeImage(input, { format: targetFormat, metadata, ...settings });
+    } catch (error) {
+      if (error instanceof ProcessingError) {
+        throw error;
+      }
+      throw new ProcessingError('post_processing', `Could not convert the result: ${error.message}`, { cause: error });
+    }
+  };
+  let currentQuality = quality;
+  let data = await encode({ width: maxWidth, height: maxHeight, quality: currentQuality });
+  
+  // Only the lossy formats can trade quality for size
+  while (maxBytes && data.length > maxBytes && targetFormat !== 'png' && currentQuality > MIN_QUALITY) {
+    currentQuality = Math.max(MIN_QUALITY, currentQuality - QUALITY_STEP);
+    data = await encode({ width: maxWidth, height: maxHeight, quality: currentQuality });
+  }
+  if (maxBytes && data.length > maxBytes) {
+    throw new ProcessingError('post_processing', `Result is ${data.length} bytes even at quality ${currentQuality}, more than maxBytes (${maxBytes}); lower maxWidth/maxHeight`);
+  }
+  writeFileAtomic(filePath, data);
+  
+  const thumbnailPaths = [];
+  for (const { width, height, suffix = '_thumb' } of thumbnails) {
+    const extension = path.extname(filePath);
+    const thumbnailPath = `${filePath.slice(0, filePath.length - extension.length)}${suffix}${extension}`;
+    writeFileAtomic(thumbnailPath, await encode({ width, height, quality }));
+    thumbnailPaths.push(thumbnailPath);
+  }
+  
+  const { width, height } = await sharp(data).metadata();
+  return { width, height, bytes: data.length, quality: currentQuality, thumbnails: thumbnailPaths };
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  METADATA_POLICIES,
+  getOutputExtension,
+  removeGpsFromExif,
+  postProcess
+};
\ No newline at end of file
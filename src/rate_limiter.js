@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./atomic_write');
+const { logger } = require('./logger');
+
+const QUOTA_FILE = '.plate-replacer-quota.json';
+
+/**
+ * Token bucket: allows `burst` requests at once, refilled at `requestsPerSecond`.
+ * Waiting callers are served in order.
+ */
+class TokenBucket {
+  /**
+   * @param {Object} options - Bucket options
+   * @param {number} options.requestsPerSecond - Sustained request rate
+   * @param {number} [options.burst=1] - Requests allowed back to back after a pause
+   */
+  constructor({ requestsPerSecond, burst = 1 }) {
+    this.requestsPerSecond = requestsPerSecond;
+    this.capacity = Math.max(1, burst);
+    this.tokens = this.capacity;
+    this.refilledAt = Date.now();
+    // Callers queue behind each other so a burst of workers is spread out fairly
+    this.queue = Promise.resolve();
+  }
+  
+  // Add the tokens earned since the last refill
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.refilledAt) / 1000 * this.requestsPerSecond);
+    this.refilledAt = now;
+  }
+  
+  /**
+   * Wait until a request may be made
+   * @returns {Promise<void>}
+   */
+  take() {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        const waitMs = Math.ceil((1 - this.tokens) / this.requestsPerSecond * 1000);
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn;
+    return turn;
+  }
+}
+
+/**
+ * Shared rate limiter for all Car-Cutter API traffic, with one budget for submissions
+ * and one for status checks and result downloads. Counts the requests it lets through.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} budgets - { submission, status }, each { requestsPerSecond, burst }
+   */
+  constructor(budgets) {
+    this.buckets = {
+      submission: new TokenBucket(budgets.submission),
+      status: new TokenBucket(budgets.status)
+    };
+    this.requests = { submission: 0, status: 0 };
+  }
+  
+  /**
+   * Wait for a slot in a budget before making a request
+   * @param {string} budget - "submission" or "status"
+   * @returns {Promise<void>}
+   */
+  async acquire(budget) {
+    await this.buckets[budget].take();
+    this.requests[budget]++;
+  }
+}
+
+/**
+ * Error raised when the daily image quota is used up
+ */
+class QuotaExceededError extends Error {
+  /**
+   * @param {number} limit - The daily quota
+   */
+  constructor(limit) {
+    super(`Daily quota of ${limit} images reached`);
+    this.name = 'QuotaExceededError';
+    this.limit = limit;
+  }
+}
+
+// Current day (UTC) as YYYY-MM-DD; the quota resets when it changes
+function getQuotaDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Images submitted per day, kept in the output directory so consecutive runs on the
+ * same day share the quota
+ */
+class DailyQuota {
+  /**
+   * @param {string} outputDir - Output directory holding the usage file
+   * @param {number} [limit] - Images allowed per day; unlimited when not set
+   */
+  constructor(outputDir, limit) {
+    this.filePath = path.join(outputDir, QUOTA_FILE);
+    this.limit = limit;
+    this.usage = { day: getQuotaDay(), submitted: 0 };
+    
+    if (fs.existsSync(this.filePath)) {
+      try {
+        const usage = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (typeof usage?.day !== 'string' || !Number.isInteger(usage.submitted)) {
+          throw new Error('unexpected content');
+        }
+        this.usage = usage;
+      } catch (error) {
+        // Losing a day's count is better than refusing to run
+        logger.warn(`⚠️ Quota file ${this.filePath} is corrupt (${error.message}), counting today's usage from 0`);
+      }
+    }
+  }
+  
+  // Images submitted today
+  get used() {
+    if (this.usage.day !== getQuotaDay()) {
+      this.usage = { day: getQuotaDay(), submitted: 0 };
+    }
+    return this.usage.submitted;
+  }
+  
+  /**
+   * Reserve one image of today's quota
+   * @throws {QuotaExceededError} - When the quota is used up
+   */
+  reserve() {
+    if (this.limit !== undefined && this.used >= this.limit) {
+      throw new QuotaExceededError(this.limit);
+    }
+    this.usage.submitted = this.used + 1;
+    this.save();
+  }
+  
+  // Give back a reservation for an image the API never accepted
+  release() {
+    this.usage.submitted = Math.max(0, this.used - 1);
+    this.save();
+  }
+  
+  // Write the usage file
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    writeFileAtomic(this.filePath, JSON.stringify(this.usage, null, 2));
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  RateLimiter,
+  DailyQuota,
+  QuotaExceededError
+};
\ No newline at end of file
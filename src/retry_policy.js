@@ -0,0 +1,162 @@
+const { logger } = require('./logger');
+
+// Categories an image can fail with, and what they mean for the user
+const FAILURE_CATEGORIES = {
+  network: 'Network error talking to the API',
+  rate_limited: 'Rate limited by the API (HTTP 429)',
+  server_error: 'API server error (HTTP 5xx)',
+  auth: 'Authentication failed, check api.apiKey (HTTP 401/403)',
+  rejected: 'Rejected by the API, e.g. an invalid image (HTTP 4xx)',
+  timeout: 'Processing did not finish within polling.maxRetries status checks',
+  source: 'The source image could not be read',
+  delivery: 'The result could not be delivered to every output sink',
+  post_processing: 'The result could not be converted within the postProcessing limits',
+  invalid_response: 'The API returned a response that could not be used',
+  unknown: 'Unexpected error'
+};
+
+// Failures worth trying again after a pause
+const RETRYABLE_CATEGORIES = ['network', 'rate_limited', 'server_error'];
+
+// A submission lost to a network error may still have reached the API and cost a
+// credit, so submissions are only retried when the API answered
+const SUBMISSION_RETRYABLE_CATEGORIES = ['rate_limited', 'server_error'];
+
+// Socket-level error codes that usually go away on their own
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'ERR_SOCKET_CONNECTION_TIMEOUT'
+];
+
+/**
+ * Error raised for an image that could not be processed, with a failure category
+ */
+class ProcessingError extends Error {
+  /**
+   * @param {string} category - One of the keys of FAILURE_CATEGORIES
+   * @param {string} message - Description of what went wrong
+   * @param {Object} [options] - Extra details
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(category, message, { cause } = {}) {
+    super(message, { cause });
+    this.name = 'ProcessingError';
+    this.category = category;
+  }
+}
+
+/**
+ * Work out the failure category of an error thrown while processing an image
+ * @param {Error} error - Error from axios, the file system or the pipeline
+ * @returns {string} - One of the keys of FAILURE_CATEGORIES
+ */
+function classifyError(error) {
+  if (error.category) {
+    return error.category;
+  }
+  
+  const status = error.response?.status;
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'server_error';
+  if (status === 401 || status === 403) return 'auth';
+  if (status >= 400) return 'rejected';
+  
+  if (NETWORK_ERROR_CODES.includes(error.code)) return 'network';
+  if (['ENOENT', 'EACCES', 'EISDIR'].includes(error.code)) return 'source';
+  
+  return 'unknown';
+}
+
+/**
+ * Delay requested by a Retry-After response header
+ * @param {Error} error - Error with an axios response
+ * @returns {number|null} - Delay in milliseconds, or null without a usable header
+ */
+function getRetryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (!header) {
+    return null;
+  }
+  
+  // Either a number of seconds or an HTTP date
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter, or longer if the
+ * server asked for it with Retry-After. Never longer than `maxDelayMs`.
+ * @param {Error} error - The error of the failed attempt
+ * @param {number} attempt - Number of the failed attempt, starting at 1
+ * @param {Object} policy - { baseDelayMs, maxDelayMs }
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, { baseDelayMs, maxDelayMs }) {
+  const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  // Half fixed, half random, so parallel workers don't retry in lockstep
+  const jittered = backoff / 2 + Math.random() * backoff / 2;
+  const retryAfter = getRetryAfterMs(error);
+  
+  return Math.round(retryAfter === null ? jittered : Math.max(Math.min(retryAfter, maxDelayMs), jittered));
+}
+
+/**
+ * Run an operation, retrying it when it fails with a retryable error. The final error
+ * is rethrown with its `category` set. A Retry-After longer than `maxDelayMs` is not
+ * waited for; the error is rethrown at once.
+ * @param {Function} operation - Async function called with the attempt number
+ * @param {Object} [policy] - Retry policy (see the `retry` config section)
+ * @param {string} [policy.name='Request'] - Name of the operation for log messages
+ * @param {number} [policy.maxAttempts=3] - Attempts in total, including the first one
+ * @param {number} [policy.baseDelayMs=1000] - Delay before the first retry
+ * @param {number} [policy.maxDelayMs=30000] - Upper bound of the backoff delay
+ * @param {Logger} [policy.log] - Logger for retry warnings, e.g. the logger of an image
+ * @param {Array<string>} [policy.retryOn=RETRYABLE_CATEGORIES] - Categories worth another attempt
+ * @returns {Promise<*>} - What the operation resolves to
+ */
+async function withRetry(operation, { name = 'Request', maxAttempts = 3, baseDelayMs = 1000, maxDelayMs = 30000, log = logger, retryOn = RETRYABLE_CATEGORIES } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      error.category = classifyError(error);
+      
+      if (!retryOn.includes(error.category) || attempt >= maxAttempts) {
+        throw error;
+      }
+      
+      const retryAfter = getRetryAfterMs(error);
+      if (retryAfter !== null && retryAfter > maxDelayMs) {
+        log.warn(`⚠️ ${name} failed (${error.category}): the API asked to retry in ${(retryAfter / 1000).toFixed(1)}s, longer than maxDelayMs allows`);
+        throw error;
+      }
+      
+      const delayMs = getRetryDelay(error, attempt, { baseDelayMs, maxDelayMs });
+      log.warn(`⚠️ ${name} failed (${error.category}): ${error.message}. Retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt + 1}/${maxAttempts})`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+module.exports = {
+  FAILURE_CATEGORIES,
+  RETRYABLE_CATEGORIES,
+  SUBMISSION_RETRYABLE_CATEGORIES,
+  ProcessingError,
+  classifyError,
+  getRetryAfterMs,
+  getRetryDelay,
+  withRetry
+};
\ No newline at end of file
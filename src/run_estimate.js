@@ -0,0 +1,94 @@
+const { COMPLETED_PHASE } = require('./job_manifest');
+
+// Processing time assumed while the job manifest has no finished jobs to learn from
+const DEFAULT_PROCESSING_SECONDS = 30;
+// Time an image takes to be uploaded and accepted by the API
+const SUBMISSION_SECONDS = 1;
+
+/**
+ * Typical time the API takes to process an image, from the jobs an output directory
+ * finished before
+ * @param {JobManifest} manifest - Job manifest of the output directory
+ * @returns {Object} - { seconds, samples } with the median processing time, or the
+ *   DEFAULT_PROCESSING_SECONDS assumption when `samples` is 0
+ */
+function getTypicalProcessingSeconds(manifest) {
+  const durations = manifest.list()
+    .filter(entry => entry.phase === COMPLETED_PHASE && entry.submittedAt)
+    // Older entries have no readyAt; their completion time includes the download
+    .map(entry => (Date.parse(entry.readyAt || entry.updatedAt) - Date.parse(entry.submittedAt)) / 1000)
+    .filter(seconds => seconds >= 0)
+    .sort((a, b) => a - b);
+  if (durations.length === 0) {
+    return { seconds: DEFAULT_PROCESSING_SECONDS, samples: 0 };
+  }
+  return { seconds: Math.round(durations[Math.floor(durations.length / 2)] * 10) / 10, samples: durations.length };
+}
+
+/**
+ * Follow the status checks of an image the way the status scheduler makes them, with
+ * intervals growing by backoffFactor while the phase does not change
+ * @param {number} processingSeconds - When the image becomes ready
+ * @param {Object} polling - The `polling` config
+ * @returns {Object} - { checks, readySeconds, timesOut } where `readySeconds` is when the
+ *   check that finds the image ready is made, and `timesOut` is true when
+ *   polling.maxRetries checks are not enough
+ */
+function followStatusChecks(processingSeconds, { intervalMs, maxIntervalMs, backoffFactor, maxRetries }) {
+  let elapsedMs = 0;
+  let nextIntervalMs = intervalMs;
+  for (let checks = 1; checks <= maxRetries; checks++) {
+    elapsedMs += nextIntervalMs;
+    if (elapsedMs >= processingSeconds * 1000) {
+      return { checks, readySeconds: elapsedMs / 1000, timesOut: false };
+    }
+    nextIntervalMs = Math.min(maxIntervalMs, Math.round(nextIntervalMs * backoffFactor));
+  }
+  return { checks: maxRetries, readySeconds: elapsedMs / 1000, timesOut: true };
+}
+
+/**
+ * Estimate the credits and time a run takes. Submissions go out one after the other in
+ * sequential mode; in parallel mode up to maxConcurrent at once within the submission
+ * rate limit, while the submitted images are processed.
+ * @param {Object} counts - { submit, resume } images to submit and jobs to resume
+ * @param {Object} config - Validated configuration
+ * @param {number} processingSeconds - Time the API takes per image
+ * @returns {Object} - { credits, processingSeconds, statusChecks, timesOut, seconds } where
+ *   `statusChecks` is the number of status checks per image
+ */
+function estimateRun({ submit, resume }, config, processingSeconds) {
+  const { parallelProcessing, maxConcurrent } = config.processing;
+  const { checks, readySeconds, timesOut } = followStatusChecks(processingSeconds, config.polling);
+  
+  let seconds = 0;
+  if (submit + resume > 0) {
+    if (parallelProcessing) {
+      const submissionsPerSecond = Math.min(config.rateLimit.submission.requestsPerSecond, maxConcurrent / SUBMISSION_SECONDS);
+      seconds = submit / submissionsPerSecond + readySeconds;
+    } else {
+      // Resumed jobs were submitted earlier, so at most they wait for their result
+      seconds = submit * (SUBMISSION_SECONDS + readySeconds) + resume * readySeconds;
+    }
+  }
+  return { credits: submit, processingSeconds, statusChecks: checks, timesOut, seconds: Math.ceil(seconds) };
+}
+
+// Duration as "1h 05m", "12m 30s" or "45s"
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = seconds % 60;
+  if (hours > 0) {
+    return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  }
+  return minutes > 0 ? `${minutes}m ${String(rest).padStart(2, '0')}s` : `${rest}s`;
+}
+
+module.exports = {
+  DEFAULT_PROCESSING_SECONDS,
+  getTypicalProcessingSeconds,
+  followStatusChecks,
+  estimateRun,
+  formatDuration
+};
\ No newline at end of file
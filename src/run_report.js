@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { FAILURE_CATEGORIES } = require('./retry_policy');
+const { readImage } = require('./image_sources');
+const { logger } = require('./logger');
+
+const REPORT_VERSION = 1;
+const THUMBNAIL_DIR = 'thumbnails';
+
+// Counts of the batch summary shown on the page, and the image status they count
+const SUMMARY_COUNTS = {
+  succeeded: 'succeeded',
+  needsReview: 'needs_review',
+  skipped: 'skipped',
+  deferred: 'deferred',
+  cancelled: 'cancelled',
+  failed: 'failed'
+};
+
+// Columns of the CSV report, in order
+const CSV_COLUMNS = [
+  'id', 'name', 'status', 'vehicle', 'source', 'plate', 'submittedAt', 'readyAt', 'completedAt',
+  'processingSeconds', 'polls', 'phase', 'output', 'outputBytes', 'reviewIssues', 'errorCategory', 'error'
+];
+
+// Where an image came from, as a URL or path a reviewer can open
+function describeSource(image) {
+  if (image.url || image.filePath) {
+    return image.url || image.filePath;
+  }
+  const drivePath = image.folder ? `${image.folder}/${image.name}` : image.name;
+  return image.driveFileId ? `${drivePath} (Drive file ${image.driveFileId})` : drivePath;
+}
+
+// Seconds between two ISO timestamps, or null when one is missing
+function secondsBetween(from, to) {
+  return from && to ? Math.round((Date.parse(to) - Date.parse(from)) / 100) / 10 : null;
+}
+
+// Size of a file in bytes, or null when it does not exist (any more)
+function getFileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Report row of one image
+ * @param {Object} result - processImage() result
+ * @param {string} outputDir - Working output directory
+ * @returns {Object} - Row with the CSV_COLUMNS fields plus `outputPath`
+ */
+function describeResult(result, outputDir) {
+  return {
+    id: result.id,
+    name: result.name,
+    vehicle: result.vehicle || null,
+    status: result.status,
+    source: describeSource(result.image),
+    plate: result.plate,
+    submittedAt: result.submittedAt,
+    readyAt: result.readyAt,
+    completedAt: result.completedAt,
+    processingSeconds: secondsBetween(result.submittedAt, result.readyAt),
+    polls: result.polls,
+    phase: result.phase,
+    output: result.outputPath ? path.relative(outputDir, result.outputPath).split(path.sep).join('/') : null,
+    outputPath: result.outputPath,
+    outputBytes: result.outputPath ? getFileSize(result.outputPath) : null,
+    reviewIssues: (result.reviewIssues || []).join('; ') || null,
+    errorCategory: result.errorCategory,
+    error: result.error
+  };
+}
+
+// One CSV cell, quoted when it contains a separator, quote or line break
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Text safe to put in HTML content and attribute values
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+// Write a JPEG preview no larger than `width` pixels on either side
+async function writeThumbnail(input, filePath, width) {
+  await sharp(input)
+    .rotate()
+    .resize({ width, height: width, fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 75 })
+    .toFile(filePath);
+}
+
+/**
+ * Create the before and after previews of an image. Images with a public URL are shown
+ * from that URL, so they are not downloaded again for the report.
+ * @param {Object} result - processImage() result
+ * @param {number} index - Position of the image in the run
+ * @param {Object} options - { reportDir, source, width }
+ * @returns {Promise<Object>} - { before, after } as paths relative to the report, or URLs;
+ *   null where no preview could be made
+ */
+async function createPreviews(result, index, { reportDir, source, width }) {
+  const previews = { before: null, after: null };
+  const baseName = `${String(index + 1).padStart(4, '0')}-${result.name.replace(/[^\w.-]/g, '_')}`;
+  
+  try {
+    if (result.image.url) {
+      previews.before = result.image.url;
+    } else {
+      const input = result.image.filePath || await readImage(result.image, source);
+      await writeThumbnail(input, path.join(reportDir, THUMBNAIL_DIR, `${baseName}-before.jpg`), width);
+      previews.before = `${THUMBNAIL_DIR}/${baseName}-before.jpg`;
+    }
+  } catch (error) {
+    logger.debug(`No preview of the source of ${result.name}: ${error.message}`);
+  }
+  
+  if (result.outputPath && fs.existsSync(result.outputPath)) {
+    try {
+      await writeThumbnail(result.outputPath, path.join(reportDir, THUMBNAIL_DIR, `${baseName}-after.jpg`), width);
+      previews.after = `${THUMBNAIL_DIR}/${baseName}-after.jpg`;
+    } catch (error) {
+      logger.debug(`No preview of the result of ${result.name}: ${error.message}`);
+    }
+  }
+  return previews;
+}
+
+// Table cell with a preview image linking to the full image
+function previewCell(preview, target) {
+  if (!preview) {
+    return '<td class="preview empty">no preview</td>';
+  }
+  return `<td class="preview"><a href="${escapeHtml(target || preview)}"><img src="${escapeHtml(preview)}" alt="" loading="lazy"></a></td>`;
+}
+
+// File URL of a local image, for links from the report page
+function toFileUrl(filePath) {
+  return filePath ? `file://${filePath.split(path.sep).map(encodeURIComponent).join('/')}` : null;
+}
+
+// Human-readable file size
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) {
+    return '';
+  }
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+// Table with the outcome of every vehicle
+function renderVehicles(vehicles) {
+  const rows = vehicles.map(vehicle => {
+    const counts = Object.entries(SUMMARY_COUNTS)
+      .filter(([key]) => vehicle[key] > 0)
+      .map(([key, status]) => `<span class="count ${status}">${status.replace('_', ' ')}: ${vehicle[key]}</span>`)
+      .join(' ');
+    return `
+      <tr><td>${escapeHtml(vehicle.vehicle)}</td><td>${vehicle.complete ? '<span class="status succeeded">complete</span>' : '<span class="status failed">incomplete</span>'}</td><td>${vehicle.total} images: ${counts}</td></tr>`;
+  }).join('');
+  return `<table class="vehicles">
+    <thead>
+      <tr><th>Vehicle</th><th>Status</th><th>Images</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>`;
+}
+
+// HTML page with the summary and the images side by side, before and after
+function renderHtml(report) {
+  const { summary } = report;
+  const counts = Object.entries(SUMMARY_COUNTS)
+    .map(([key, status]) => `<span class="count ${status}">${status.replace('_', ' ')}: ${summary[key]}</span>`)
+    .join(' ');
+  
+  const rows = report.images.map(row => `
+      <tr>
+        <td><strong>${escapeHtml(row.name)}</strong>${row.vehicle ? `<br>Vehicle: ${escapeHtml(row.vehicle)}` : ''}<br><span class="status ${row.status}">${row.status}</span><br><small>${escapeHtml(row.source)}</small></td>
+        ${previewCell(row.previews.before, path.isAbsolute(row.id) ? toFileUrl(row.id) : null)}
+        ${previewCell(row.previews.after, toFileUrl(row.outputPath))}
+        <td>
+          ${row.output ? `<div>Output: ${escapeHtml(row.output)} ${formatBytes(row.outputBytes)}</div>` : ''}
+          ${row.plate ? `<div>Plate: ${escapeHtml(path.basename(row.plate))}</div>` : ''}
+          ${row.submittedAt ? `<div>Submitted: ${escapeHtml(row.submittedAt)}</div>` : ''}
+          ${row.readyAt ? `<div>Ready: ${escapeHtml(row.readyAt)} (${row.processingSeconds}s, ${row.polls} status check${row.polls === 1 ? '' : 's'})</div>` : ''}
+          ${row.phase ? `<div>Phase: ${escapeHtml(row.phase)}</div>` : ''}
+          ${row.reviewIssues ? `<div class="review">Needs review: ${escapeHtml(row.reviewIssues)}</div>` : ''}
+          ${row.error ? `<div class="error">${escapeHtml(row.errorCategory)}: ${escapeHtml(row.error)}</div>` : ''}
+        </td>
+      </tr>`).join('');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Plate replacement report ${escapeHtml(report.startedAt)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #ddd; padding: 0.5em; text-align: left; vertical-align: top; }
+    td.preview img { max-width: 100%; display: block; }
+    td.preview { width: 30%; }
+    td.empty { color: #999; }
+    .count, .status { padding: 0.1em 0.5em; border-radius: 0.3em; background: #eee; }
+    span.succeeded { background: #e3f6e3; }
+    span.failed { background: #fbe3e3; }
+    span.deferred, span.cancelled, span.needs_review { background: #fff3d6; }
+    .error { color: #a00; }
+    .review { color: #a60; }
+    table.vehicles { margin-bottom: 2em; }
+    small { color: #666; word-break: break-all; }
+  </style>
+</head>
+<body>
+  <h1>Plate replacement report</h1>
+  <p>${escapeHtml(report.source.type)} (${escapeHtml(report.source.location)}), ${escapeHtml(report.startedAt)} to ${escapeHtml(report.finishedAt)}</p>
+  <p>${summary.total} images: ${counts}. API requests: ${summary.requests.submission} submissions, ${summary.requests.status} status/result. Credits used: ${summary.creditsUsed}.</p>
+  ${summary.vehicles?.length > 0 ? renderVehicles(summary.vehicles) : ''}
+  ${Object.keys(summary.failures).length > 0 ? `<ul>${Object.entries(summary.failures).map(([category, count]) => `<li>${escapeHtml(category)}: ${count} (${escapeHtml(FAILURE_CATEGORIES[category] || FAILURE_CATEGORIES.unknown)})</li>`).join('')}</ul>` : ''}
+  <table>
+    <thead>
+      <tr><th>Image</th><th>Before</th><th>After</th><th>Details</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>`;
+}
+
+/**
+ * Write the report of a run: report.json and report.csv with a row per image, and
+ * report.html with before and after previews for reviewers
+ * @param {Object} run - The finished run
+ * @param {Object} run.source - Source adapter the images came from
+ * @param {string} run.startedAt - When the run started (ISO timestamp)
+ * @param {Object} run.summary - Batch summary (see PlateReplacer.processBatch)
+ * @param {Object} options - Report options
+ * @param {string} options.outputDir - Working output directory
+ * @param {string} options.reportDir - Directory to write the report into
+ * @param {boolean} [options.thumbnails=true] - Create preview images for the HTML page
+ * @param {number} [options.thumbnailWidth=320] - Largest side of the previews in pixels
+ * @returns {Promise<Object>} - Paths of the written files as { json, csv, html }
+ */
+async function writeRunReport({ source, startedAt, summary }, { outputDir, reportDir, thumbnails = true, thumbnailWidth = 320 }) {
+  fs.mkdirSync(path.join(reportDir, THUMBNAIL_DIR), { recursive: true });
+  
+  const images = [];
+  for (const [index, result] of summary.results.entries()) {
+    const row = describeResult(result, outputDir);
+    row.previews = thumbnails
+      ? await createPreviews(result, index, { reportDir, source, width: thumbnailWidth })
+      : { before: result.image.url || null, after: null };
+    images.push(row);
+  }
+  
+  const { results, ...counts } = summary;
+  const report = {
+    version: REPORT_VERSION,
+    source: { type: source.type, location: source.location },
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    summary: counts,
+    images
+  };
+  
+  const files = {
+    json: path.join(reportDir, 'report.json'),
+    csv: path.join(reportDir, 'report.csv'),
+    html: path.join(reportDir, 'report.html')
+  };
+  fs.writeFileSync(files.json, JSON.stringify(report, null, 2));
+  fs.writeFileSync(files.csv, [CSV_COLUMNS, ...images.map(row => CSV_COLUMNS.map(column => row[column]))]
+    .map(cells => cells.map(toCsvCell).join(','))
+    .join('\r\n'));
+  fs.writeFileSync(files.html, renderHtml(report));
+  return files;
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  writeRunReport
+};
\ No newline at end of file
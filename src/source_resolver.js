@@ -0,0 +1,109 @@
+const { logger } = require('./logger');
+
+// Reasons a source can fail to produce images, with a hint on how to fix each one
+const SOURCE_ERROR_HINTS = {
+  private: 'The source is not accessible. Share the folder publicly ("Anyone with the link") or configure googleDrive.auth credentials with access to it.',
+  not_found: 'The source does not exist. Check the folder URL, path or file name.',
+  rate_limited: 'The source is rate limiting requests. Wait a few minutes and try again.',
+  empty: 'The source contains no JPG/JPEG/PNG images.',
+  invalid: 'The source configuration is invalid.',
+  unreachable: 'The source could not be reached. Check the network connection and the URL.',
+  unknown: 'Listing the source failed for an unexpected reason.'
+};
+
+/**
+ * Error raised when an image source cannot be listed or has nothing to process
+ */
+class SourceError extends Error {
+  /**
+   * @param {string} reason - One of the keys of SOURCE_ERROR_HINTS
+   * @param {string} message - Description of what went wrong
+   * @param {Object} [options] - Extra details
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(reason, message, { cause } = {}) {
+    super(message, { cause });
+    this.name = 'SourceError';
+    this.reason = reason;
+    this.hint = SOURCE_ERROR_HINTS[reason] || SOURCE_ERROR_HINTS.unknown;
+  }
+}
+
+/**
+ * Turn an error thrown while listing a source into a SourceError with a reason
+ * @param {Error} error - Error thrown by the source adapter
+ * @param {Object} source - The image source adapter
+ * @returns {SourceError} - Classified error
+ */
+function classifySourceError(error, source) {
+  if (error instanceof SourceError) {
+    return error;
+  }
+  
+  const location = `${source.type} source ${source.location}`;
+  const status = error.response?.status || (typeof error.code === 'number' ? error.code : undefined);
+  // Google APIs report quota problems as 403 with a specific reason
+  const apiReason = error.errors?.[0]?.reason || error.response?.data?.error?.errors?.[0]?.reason;
+  
+  if (status === 429 || ['rateLimitExceeded', 'userRateLimitExceeded'].includes(apiReason)) {
+    return new SourceError('rate_limited', `Rate limited while listing ${location} (HTTP ${status})`, { cause: error });
+  }
+  if (status === 401 || status === 403) {
+    return new SourceError('private', `Access denied to ${location} (HTTP ${status})`, { cause: error });
+  }
+  if (status === 404 || error.code === 'ENOENT') {
+    return new SourceError('not_found', `Not found: ${location}`, { cause: error });
+  }
+  if (['ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'].includes(error.code)) {
+    return new SourceError('unreachable', `Could not reach ${location} (${error.code})`, { cause: error });
+  }
+  
+  return new SourceError('unknown', `Failed to list ${location}: ${error.message}`, { cause: error });
+}
+
+/**
+ * List the images of a source, failing explicitly when it cannot be listed or is empty.
+ * A fallback URL list is only used when it is explicitly enabled.
+ * @param {Object} source - Image source adapter (see createImageSource)
+ * @param {Object} [options] - Resolution options
+ * @param {Object} [options.fallback] - Fallback configuration
+ * @param {boolean} [options.fallback.enabled] - Whether the fallback list may be used
+ * @param {Array<string>} [options.fallback.urls] - Image URLs to process instead
+ * @returns {Promise<Object>} - { images, usedFallback, error } where `error` is the
+ *   SourceError that triggered the fallback, if any
+ * @throws {SourceError} - When listing fails and no fallback is enabled
+ */
+async function resolveSource(source, { fallback } = {}) {
+  let sourceError;
+  
+  try {
+    const images = await source.listImages();
+    
+    if (images.length > 0) {
+      return { images, usedFallback: false, error: null };
+    }
+    
+    sourceError = new SourceError('empty', `No images found in ${source.type} source ${source.location}`);
+  } catch (error) {
+    sourceError = classifySourceError(error, source);
+  }
+  
+  if (fallback?.enabled && fallback.urls?.length > 0) {
+    logger.warn(`⚠️ ${sourceError.message}`);
+    logger.warn(`⚠️ Using the configured fallback list (${fallback.urls.length} images)`);
+    return {
+      images: fallback.urls.map(url => ({ url })),
+      usedFallback: true,
+      error: sourceError
+    };
+  }
+  
+  throw sourceError;
+}
+
+module.exports = {
+  SOURCE_ERROR_HINTS,
+  SourceError,
+  classifySourceError,
+  resolveSource
+};
\ No newline at end of file
@@ -0,0 +1,214 @@
+const { ProcessingError } = require('./retry_policy');
+const { logger } = require('./logger');
+
+// Phase the API reports once the result can be downloaded
+const READY_PHASE = 'ready';
+
+/**
+ * Error for work stopped because the run was cancelled. Not a failure: the job manifest
+ * keeps the state of the image, so the next run picks it up where it stopped.
+ */
+class CancelledError extends Error {
+  /**
+   * @param {string} [message] - What was stopped
+   */
+  constructor(message = 'Run cancelled, the next run resumes this image') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * Polls the status of every submitted image from one loop. Images that are due are
+ * checked together in batches, and each image is checked less often the longer its
+ * phase stays the same.
+ */
+class StatusScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Function} options.checkStatus - Async function taking an array of image
+   *   references and resolving to the `data.images` entries of the status response
+   * @param {Object} options.polling - The `polling` config section
+   * @param {Function} [options.onStatus] - Called with (job, imageData, context) after every
+   *   check, once for every context waiting on the image
+   */
+  constructor({ checkStatus, polling, onStatus = () => {} }) {
+    this.checkStatus = checkStatus;
+    this.polling = polling;
+    this.onStatus = onStatus;
+    this.batchSize = polling.batchSize;
+    // Outstanding jobs by image reference
+    this.jobs = new Map();
+    this.timer = null;
+    this.timerAt = null;
+    this.checking = false;
+    this.cancelled = false;
+  }
+  
+  /**
+   * Wait until the API reports an image as ready
+   * @param {string} imageUrl - Image reference used for the submission
+   * @param {Object} [context] - Passed back to onStatus. Waiting again for an image that is
+   *   already polled adds the context to that job, and both calls share one promise.
+   * @returns {Promise<void>} - Resolves when the image is ready
+   * @throws {ProcessingError} - When the image is not ready after polling.maxRetries checks
+   * @throws {CancelledError} - When polling is cancelled before the image is ready
+   */
+  waitForReady(imageUrl, context) {
+    if (this.cancelled) {
+      return Promise.reject(new CancelledError());
+    }
+    // The same image submitted twice is polled once, reporting to both waiters
+    if (this.jobs.has(imageUrl)) {
+      const job = this.jobs.get(imageUrl);
+      job.contexts.push(context);
+      return job.promise;
+    }
+    
+    const job = {
+      imageUrl,
+      contexts: [context],
+      attempts: 0,
+      phase: null,
+      intervalMs: this.polling.intervalMs,
+      nextCheckAt: Date.now() + this.polling.intervalMs
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    
+    this.jobs.set(imageUrl, job);
+    this.schedule();
+    return job.promise;
+  }
+  
+  // Number of images still being polled
+  get pending() {
+    return this.jobs.size;
+  }
+  
+  // Stop polling: outstanding and later jobs are rejected with a CancelledError
+  cancel() {
+    this.cancelled = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    [...this.jobs.values()].forEach(job => this.settle(job, new CancelledError()));
+  }
+  
+  // Set the timer for the next job that is due
+  schedule() {
+    if (this.checking || this.jobs.size === 0) {
+      return;
+    }
+    
+    const nextAt = Math.min(...[...this.jobs.values()].map(job => job.nextCheckAt));
+    if (this.timer && this.timerAt <= nextAt) {
+      return;
+    }
+    
+    clearTimeout(this.timer);
+    this.timerAt = nextAt;
+    this.timer = setTimeout(() => {
+      // Nothing awaits the timer, so an unexpected error fails the outstanding jobs
+      this.tick().catch(error => {
+        logger.error(`❌ Status checks failed: ${error.message}`);
+        [...this.jobs.values()].forEach(job => this.settle(job, error));
+      });
+    }, Math.max(0, nextAt - Date.now()));
+  }
+  
+  // Check every job that is due, then schedule the next round
+  async tick() {
+    this.timer = null;
+    this.checking = true;
+    
+    try {
+      // Jobs that are nearly due join this round, so they share its requests
+      const horizon = Date.now() + this.polling.intervalMs / 2;
+      const due = [...this.jobs.values()].filter(job => job.nextCheckAt <= horizon);
+      
+      for (let i = 0; i < due.length; i += this.batchSize) {
+        await this.checkBatch(due.slice(i, i + this.batchSize));
+      }
+    } finally {
+      this.checking = false;
+      this.schedule();
+    }
+  }
+  
+  // Query the status of a batch of jobs and settle the ones that are done
+  async checkBatch(batch) {
+    logger.debug(`🔍 Checking status of ${batch.length} image${batch.length === 1 ? '' : 's'} (${this.jobs.size} outstanding)...`);
+    
+    let entries;
+    try {
+      entries = await this.checkStatus(batch.map(job => job.imageUrl));
+    } catch (error) {
+      // Retries already happened below checkStatus, so the images fail
+      batch.forEach(job => this.settle(job, error));
+      return;
+    }
+    
+    const byUrl = new Map(entries.filter(entry => entry?.image_url).map(entry => [entry.image_url, entry]));
+    
+    // Without image references in the response only single-image queries can be matched
+    if (batch.length > 1 && byUrl.size === 0) {
+      logger.warn('⚠️ The status endpoint did not answer for several images at once, checking images one by one');
+      this.batchSize = 1;
+      return;
+    }
+    
+    for (const job of batch) {
+      const imageData = byUrl.get(job.imageUrl) || (batch.length === 1 ? entries[0] : undefined);
+      job.attempts++;
+      
+      if (imageData) {
+        try {
+          job.contexts.forEach(context => this.onStatus(job, imageData, context));
+        } catch (error) {
+          // E.g. the job manifest could not be written
+          this.settle(job, error);
+          continue;
+        }
+        
+        if (imageData.phase === READY_PHASE) {
+          this.settle(job);
+          continue;
+        }
+        
+        // Progress resets the interval, otherwise checks become less frequent
+        if (imageData.phase !== job.phase) {
+          job.phase = imageData.phase;
+          job.intervalMs = this.polling.intervalMs;
+        } else {
+          job.intervalMs = Math.min(this.polling.maxIntervalMs, Math.round(job.intervalMs * this.polling.backoffFactor));
+        }
+      } else {
+        logger.warn(`⚠️ No status returned for ${job.imageUrl}`);
+      }
+      
+      if (job.attempts >= this.polling.maxRetries) {
+        this.settle(job, new ProcessingError('timeout', `Processing timed out after ${job.attempts} status checks`));
+        continue;
+      }
+      job.nextCheckAt = Date.now() + job.intervalMs;
+    }
+  }
+  
+  // Resolve or reject a job and stop polling it
+  settle(job, error) {
+    this.jobs.delete(job.imageUrl);
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve();
+    }
+  }
+}
+
+module.exports = {
+  READY_PHASE,
+  CancelledError,
+  StatusScheduler
+};
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * Limits how many tasks run at the same time
+ */
+class Semaphore {
+  /**
+   * @param {number} limit - Maximum number of concurrent holders
+   */
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+  
+  // Wait for a free slot
+  async acquire() {
+    if (this.active < this.limit) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+  
+  // Free a slot, handing it straight to the next waiter if there is one
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+  
+  /**
+   * Run a task while holding a slot
+   * @param {Function} task - Async function
+   * @returns {Promise<*>} - What the task resolves to
+   */
+  async use(task) {
+    await this.acquire();
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+}
+
+/**
+ * Run a worker over every item with at most `concurrency` running at once
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of workers running at once
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} - What the worker resolved to for each item, in input order
+ */
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let index = 0;
+  
+  // Each runner keeps taking the next item until none are left
+  const runNext = async () => {
+    while (index < items.length) {
+      const currentIndex = index++;
+      results[currentIndex] = await worker(items[currentIndex], currentIndex);
+    }
+  };
+  
+  const runners = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    runners.push(runNext());
+  }
+  await Promise.all(runners);
+  
+  return results;
+}
+
+module.exports = {
+  Semaphore,
+  runPool
+};
\ No newline at end of file
@@ -0,0 +1,97 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createPlateReplacer } = require('../src/plate_replacer');
+const { writeFileAtomic } = require('../src/atomic_write');
+const { startMockApi } = require('./mock_api_server');
+const { silenceConsole, createTempDir, createSourceDir, createTestConfig } = require('./helpers');
+
+describe('cancelling a run', () => {
+  let mockApi;
+  
+  before(() => silenceConsole());
+  
+  afterEach(() => mockApi?.close());
+  
+  const setup = async ({ images = ['a.png', 'b.png', 'c.png'], mock = {}, config = {} } = {}) => {
+    mockApi = await startMockApi(mock);
+    const sourceDir = createSourceDir(images);
+    const testConfig = createTestConfig(mockApi, sourceDir, config);
+    const replacer = createPlateReplacer({ config: testConfig });
+    const { images: sourceImages } = await replacer.listImages();
+    return { replacer, images: sourceImages, testConfig };
+  };
+  
+  const countRequests = path => mockApi.requests.filter(request => request.path.endsWith(path)).length;
+  
+  it('stops submitting in sequential mode and leaves the rest for the next run', async () => {
+    const { replacer, images } = await setup({ config: { processing: { parallelProcessing: false } } });
+    replacer.once('submitted', () => replacer.cancel());
+    
+    const summary = await replacer.processBatch(images);
+    
+    assert.strictEqual(summary.cancelled, 3);
+    assert.strictEqual(summary.failed, 0);
+    assert.strictEqual(countRequests('/submission'), 1);
+    // The submitted image is kept for the next run, the others were never started
+    assert.strictEqual(replacer.manifest.get(summary.results[0].id).phase, 'submitted');
+    assert.strictEqual(replacer.manifest.get(summary.results[1].id), undefined);
+  });
+  
+  it('resumes the images a cancelled parallel run submitted without submitting them again', async () => {
+    const phases = ['processing', 'processing', 'processing', 'ready'];
+    const { replacer, images, testConfig } = await setup({
+      mock: { behaviours: { 'a.png': { phases }, 'b.png': { phases }, 'c.png': { phases } } },
+      config: { processing: { parallelProcessing: true, maxConcurrent: 3 } }
+    });
+    let submitted = 0;
+    replacer.on('submitted', () => {
+      if (++submitted === images.length) {
+        replacer.cancel();
+      }
+    });
+    
+    const summary = await replacer.processBatch(images);
+    assert.strictEqual(summary.cancelled, 3);
+    assert.strictEqual(countRequests('/result'), 0);
+    
+    const rerun = await createPlateReplacer({ config: testConfig }).processBatch(images);
+    assert.strictEqual(rerun.succeeded, 3);
+    assert.strictEqual(countRequests('/submission'), 3);
+  });
+  
+  it('finishes a download that is already running', async () => {
+    const { replacer, images } = await setup({
+      images: ['a.png'],
+      mock: { behaviours: { 'a.png': { delayMs: 200 } } }
+    });
+    const events = [];
+    replacer.on('status', ({ phase }) => {
+      if (phase === 'ready') {
+        setTimeout(() => {
+          events.push('cancel');
+          replacer.cancel();
+        }, 50);
+      }
+    });
+    replacer.on('downloaded', () => events.push('downloaded'));
+    
+    const summary = await replacer.processBatch(images);
+    
+    assert.deepStrictEqual(events, ['cancel', 'downloaded']);
+    assert.strictEqual(summary.succeeded, 1);
+    assert.ok(fs.existsSync(summary.results[0].outputPath));
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(summary.results[0].outputPath)).filter(name => name.endsWith('.tmp')), []);
+  });
+  
+  it('writes files atomically', () => {
+    const filePath = path.join(createTempDir(), 'state.json');
+    writeFileAtomic(filePath, '{"version":1}');
+    
+    // A failed write leaves the previous contents and no temporary file
+    assert.throws(() => writeFileAtomic(filePath, 42));
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '{"version":1}');
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['state.json']);
+  });
+});
\ No newline at end of file
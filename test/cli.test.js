@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getCliOverrides } = require('../src/cli');
+
+describe('command-line overrides', () => {
+  it('maps flags to configuration settings', () => {
+    assert.deepStrictEqual(getCliOverrides({
+      output: '/out',
+      suffix: '_plate',
+      'name-template': '{name}.{ext}',
+      plate: 'plate/dealer.png',
+      parallel: true,
+      concurrency: '8',
+      port: '8080',
+      verbose: true,
+      'log-format': 'json',
+      'log-dir': 'logs'
+    }), {
+      processing: { parallelProcessing: true, maxConcurrent: 8 },
+      output: { directory: '/out', suffix: '_plate', template: '{name}.{ext}' },
+      logging: { level: 'debug', format: 'json', directory: 'logs' },
+      plate: { path: 'plate/dealer.png' },
+      server: { port: 8080 }
+    });
+  });
+  
+  it('leaves settings alone without flags', () => {
+    assert.deepStrictEqual(getCliOverrides({}), { processing: {}, output: {}, logging: {} });
+    assert.deepStrictEqual(getCliOverrides({ sequential: true, quiet: true }), {
+      processing: { parallelProcessing: false },
+      output: {},
+      logging: { level: 'warn' }
+    });
+  });
+  
+  it('rejects conflicting flags', () => {
+    assert.throws(() => getCliOverrides({ parallel: true, sequential: true }), /--parallel and --sequential cannot be used together/);
+    assert.throws(() => getCliOverrides({ quiet: true, verbose: true }), /--quiet and --verbose cannot be used together/);
+  });
+  
+  it('rejects invalid --concurrency and --port values', () => {
+    for (const concurrency of ['0', '-2', '1.5', 'many', '']) {
+      assert.throws(() => getCliOverrides({ concurrency }), /--concurrency must be a positive integer/, concurrency);
+    }
+    for (const port of ['-1', '65536', '80.5', 'http']) {
+      assert.throws(() => getCliOverrides({ port }), /--port must be a port number/, port);
+    }
+    assert.deepStrictEqual(getCliOverrides({ port: '0' }).server, { port: 0 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ConfigError, validateConfig, loadConfig } = require('../src/config_loader');
+const { createTempDir } = require('./helpers');
+
+// Write a configuration file and return its path
+function writeConfig(config) {
+  const configPath = path.join(createTempDir(), 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  return configPath;
+}
+
+// Problems listed by the ConfigError a configuration raises
+function getProblems(config) {
+  try {
+    validateConfig(config);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.problems;
+  }
+  assert.fail('The configuration was accepted');
+}
+
+describe('config loader', () => {
+  it('fills in defaults', () => {
+    const config = validateConfig({ api: { apiKey: 'key' }, processing: { maxConcurrent: 5 } });
+    
+    assert.strictEqual(config.api.baseUrl, 'https://api.car-cutter.com/vehicle/image');
+    assert.strictEqual(config.api.timeoutMs, 60000);
+    assert.deepStrictEqual(config.processing, {
+      cutType: 'none',
+      guidelineId: 'default',
+      parallelProcessing: false,
+      maxConcurrent: 5,
+      shutdownTimeoutMs: 30000
+    });
+    assert.strictEqual(config.output.suffix, '_processed');
+    assert.deepStrictEqual(config.input.include, []);
+  });
+  
+  it('lists every unknown setting and wrong type at once', () => {
+    assert.deepStrictEqual(getProblems({
+      api: { apiKey: 'key', timeoutMs: 0, bogus: 1 },
+      processing: { maxConcurrent: '3', parallelProcessing: 'yes' },
+      polling: { intervalMs: -1 },
+      logging: { level: 'loud' },
+      extra: {}
+    }), [
+      'extra: is not a known setting',
+      'api.bogus: is not a known setting',
+      'api.timeoutMs: must be at least 1, got 0',
+      'processing.parallelProcessing: must be true or false, got string',
+      'processing.maxConcurrent: must be an integer, got "3"',
+      'polling.intervalMs: must be at least 0, got -1',
+      'logging.level: must be one of error, warn, info, debug, got "loud"'
+    ]);
+  });
+  
+  it('checks variants, array items and custom checks', () => {
+    assert.deepStrictEqual(getProblems({ api: { apiKey: 'key' }, source: { type: 'ftp' } }), [
+      'source.type: must be one of googleDrive, local, urlList, httpDirectory, got "ftp"'
+    ]);
+    assert.deepStrictEqual(getProblems({
+      api: { apiKey: 'key' },
+      source: { type: 'local' },
+      input: { excludePattern: '(', dedupe: 'fuzzy' },
+      output: { template: '{bogus}', sinks: [{ type: 's3' }] }
+    }), [
+      'source.path: is required',
+      'input.excludePattern: is not a valid regular expression (Invalid regular expression: /(/: Unterminated group)',
+      'input.dedupe: must be one of none, exact, perceptual, got "fuzzy"',
+      'output.template: unknown token {bogus} (use {name}, {ext}, {id}, {folder}, {date}, {suffix})',
+      'output.sinks[0].bucket: is required'
+    ]);
+  });
+  
+  it('rejects a missing or placeholder API key', () => {
+    assert.deepStrictEqual(getProblems({}), ['api.apiKey: is required (or set the CARCUTTER_API_KEY environment variable)']);
+    assert.deepStrictEqual(getProblems({ api: { apiKey: 'YOUR_API_KEY' } }), ['api.apiKey: is still set to the placeholder "YOUR_API_KEY"']);
+    assert.throws(() => validateConfig({ api: { apiKey: '' } }), /api\.apiKey: must not be empty/);
+  });
+  
+  it('applies environment variables over the file and overrides over both', () => {
+    const configPath = writeConfig({ api: { apiKey: 'from-file', baseUrl: 'https://file.example.com' }, output: { directory: '/file' } });
+    const env = { CARCUTTER_API_KEY: 'from-env', PLATE_REPLACER_OUTPUT_DIR: '/env' };
+    
+    const { config } = loadConfig({ configPath, env, overrides: { output: { directory: '/flag' } } });
+    
+    assert.strictEqual(config.api.apiKey, 'from-env');
+    assert.strictEqual(config.api.baseUrl, 'https://file.example.com');
+    assert.strictEqual(config.output.directory, '/flag');
+    assert.throws(() => loadConfig({ configPath: path.join(createTempDir(), 'none.json'), env }), /Configuration file not found/);
+  });
+  
+  it('only applies the SMTP password when SMTP is configured', () => {
+    const env = { PLATE_REPLACER_SMTP_PASSWORD: 'secret' };
+    
+    const { config } = loadConfig({ configPath: writeConfig({ api: { apiKey: 'key' } }), env });
+    assert.strictEqual(config.notifications.smtp, undefined);
+    
+    const smtp = { host: 'smtp.example.com', from: 'plates@example.com', to: ['ops@example.com'] };
+    const withSmtp = loadConfig({ configPath: writeConfig({ api: { apiKey: 'key' }, notifications: { smtp } }), env });
+    assert.strictEqual(withSmtp.config.notifications.smtp.password, 'secret');
+  });
+  
+  it('merges the selected profile into the base settings', () => {
+    const configPath = writeConfig({
+      api: { apiKey: 'key' },
+      processing: { parallelProcessing: false, maxConcurrent: 2 },
+      profiles: {
+        bulk: { processing: { parallelProcessing: true } },
+        staging: { api: { baseUrl: 'https://staging.example.com' } }
+      }
+    });
+    
+    const bulk = loadConfig({ configPath, profile: 'bulk', env: {} });
+    assert.strictEqual(bulk.profile, 'bulk');
+    assert.strictEqual(bulk.config.processing.parallelProcessing, true);
+    assert.strictEqual(bulk.config.processing.maxConcurrent, 2);
+    assert.strictEqual(bulk.config.profiles, undefined);
+    
+    const staging = loadConfig({ configPath, env: { PLATE_REPLACER_PROFILE: 'staging' } });
+    assert.strictEqual(staging.config.api.baseUrl, 'https://staging.example.com');
+    assert.strictEqual(staging.config.processing.parallelProcessing, false);
+    
+    assert.throws(() => loadConfig({ configPath, profile: 'missing', env: {} }), /Unknown profile "missing"\. Available profiles: bulk, staging/);
+  });
+});
\ No newline at end of file
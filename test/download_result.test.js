@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { downloadResult } = require('../src/plate_replacer');
+const { startMockApi, MOCK_RESULT_PNG } = require('./mock_api_server');
+const { silenceConsole, createTempDir } = require('./helpers');
+
+describe('downloadResult', () => {
+  let mockApi;
+  let outputDir;
+  
+  before(async () => {
+    silenceConsole();
+    mockApi = await startMockApi({
+      behaviours: {
+        png: { result: 'png' },
+        base64Json: { result: 'base64Json' },
+        dataUrlJson: { result: 'dataUrlJson' },
+        base64Text: { result: 'base64Text' },
+        smallPng: { result: 'smallPng' },
+        truncated: { result: 'truncated' },
+        html: { result: 'html' },
+        emptyJson: { result: 'emptyJson' },
+        malformedBase64Json: { result: 'malformedBase64Json' }
+      }
+    });
+    outputDir = createTempDir();
+  });
+  
+  after(() => mockApi.close());
+  
+  // Register a finished job with a result behaviour and download it
+  const download = async (behaviour) => {
+    const imageUrl = `https://example.com/${behaviour}.jpg`;
+    mockApi.jobs.set(imageUrl, { key: behaviour, checks: 0 });
+    const outputPath = path.join(outputDir, `${behaviour}.png`);
+    await downloadResult(`${mockApi.baseUrl}/result?image_url=${encodeURIComponent(imageUrl)}`, outputPath, 'test-key');
+    return fs.readFileSync(outputPath);
+  };
+  
+  it('saves a binary PNG response', async () => {
+    assert.deepStrictEqual(await download('png'), MOCK_RESULT_PNG);
+  });
+  
+  it('decodes base64 image data from a JSON response', async () => {
+    assert.deepStrictEqual(await download('base64Json'), MOCK_RESULT_PNG);
+  });
+  
+  it('decodes a data URL from a JSON response', async () => {
+    assert.deepStrictEqual(await download('dataUrlJson'), MOCK_RESULT_PNG);
+  });
+  
+  it('decodes a base64 string served as an image', async () => {
+    assert.deepStrictEqual(await download('base64Text'), MOCK_RESULT_PNG);
+  });
+  
+  it('keeps a small image after trying the other formats', async () => {
+    const data = await download('smallPng');
+    assert.strictEqual(data.subarray(0, 4).toString('latin1'), '\x89PNG');
+  });
+  
+  it('fails on a truncated body', async () => {
+    await assert.rejects(download('truncated'));
+    assert.ok(!fs.existsSync(path.join(outputDir, 'truncated.png')));
+  });
+  
+  it('fails on an unexpected content type', async () => {
+    await assert.rejects(download('html'), /Unexpected response content type/);
+  });
+  
+  it('fails on JSON without image data', async () => {
+    await assert.rejects(download('emptyJson'), /No image data found/);
+  });
+  
+  it('fails on malformed base64 instead of repairing it', async () => {
+    await assert.rejects(download('malformedBase64Json'), error => error.category === 'invalid_response' && /malformed base64/.test(error.message));
+    assert.ok(!fs.existsSync(path.join(outputDir, 'malformedBase64Json.png')));
+    assert.ok(!fs.existsSync(path.join(outputDir, 'malformedBase64Json.png.debug.json')));
+  });
+});
\ No newline at end of file
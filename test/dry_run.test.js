@@ -0,0 +1,107 @@
+const { describe, it, before, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createPlateReplacer } = require('../src/plate_replacer');
+const { ConfigError } = require('../src/config_loader');
+const { logger } = require('../src/logger');
+const { followStatusChecks, estimateRun, formatDuration } = require('../src/run_estimate');
+const { startMockApi } = require('./mock_api_server');
+const { silenceConsole, createSourceDir, createTestConfig } = require('./helpers');
+
+describe('dry run', () => {
+  let mockApi;
+  
+  before(() => silenceConsole());
+  
+  afterEach(() => mockApi?.close());
+  
+  const setup = async ({ images = ['a.png', 'b.png', 'c.png'], config = {} } = {}) => {
+    mockApi = await startMockApi({ apiKey: 'test-key' });
+    return createPlateReplacer({ config: createTestConfig(mockApi, createSourceDir(images), config) });
+  };
+  
+  const submissions = () => mockApi.requests.filter(request => request.path.endsWith('/submission')).length;
+  
+  it('plans the run without submitting anything or writing to the output directory', async () => {
+    const replacer = await setup({ config: { rateLimit: { dailyImageQuota: 2 } } });
+    
+    const plan = await replacer.planRun();
+    
+    assert.strictEqual(submissions(), 0);
+    assert.ok(!fs.existsSync(replacer.outputDir) || fs.readdirSync(replacer.outputDir).length === 0);
+    assert.deepStrictEqual(plan.images.map(entry => [entry.image.name, entry.action, path.basename(entry.outputPath)]), [
+      ['a.png', 'submit', 'a_processed.png'],
+      ['b.png', 'submit', 'b_processed.png'],
+      ['c.png', 'defer', 'c_processed.png']
+    ]);
+    assert.deepStrictEqual(plan.counts, { submit: 2, resume: 0, skip: 0, defer: 1 });
+    assert.strictEqual(plan.estimate.credits, 2);
+    assert.strictEqual(plan.estimate.samples, 0);
+    assert.deepStrictEqual(plan.apiKey, { status: 'accepted', message: 'accepted' });
+  });
+  
+  it('skips processed images and learns the processing time from earlier jobs', async () => {
+    const replacer = await setup({ images: ['a.png'] });
+    const { images } = await replacer.listImages();
+    await replacer.processBatch(images);
+    
+    const log = mock.method(console, 'log', () => {});
+    await replacer.run({ dryRun: true });
+    const output = log.mock.calls.map(call => call.arguments[0]).join('\n');
+    log.mock.restore();
+    
+    assert.strictEqual(submissions(), 1);
+    assert.match(output, /a\.png \(already processed, skipped\)/);
+    assert.match(output, /Images that would be submitted: 0/);
+    assert.match(output, /median of 1 earlier job\(s\)/);
+    assert.match(output, /Nothing was submitted/);
+  });
+  
+  it('prints only JSON lines with --log-format json', async () => {
+    const replacer = await setup({ images: ['a.png', 'b.png'], config: { input: { exclude: ['b.png'] } } });
+    
+    const log = mock.method(console, 'log', () => {});
+    logger.configure({ format: 'json' });
+    try {
+      await replacer.run({ dryRun: true });
+      await replacer.run({ checkSource: true });
+    } finally {
+      logger.configure({ format: 'text' });
+      log.mock.restore();
+    }
+    const lines = log.mock.calls.map(call => JSON.parse(call.arguments[0]));
+    
+    const dryRun = lines.find(line => line.dryRun);
+    assert.match(dryRun.message, /Left out by the input filters: 1\n   - .*b\.png/);
+    assert.deepStrictEqual(dryRun.dryRun.counts, { submit: 1, resume: 0, skip: 0, defer: 0 });
+    assert.deepStrictEqual(lines.find(line => line.sourceCheck).sourceCheck, { found: 2, excluded: 1, skipped: 0, processed: 1 });
+  });
+  
+  it('fails when the API rejects the API key', async () => {
+    const replacer = await setup({ config: { api: { apiKey: 'wrong-key' } } });
+    
+    await assert.rejects(replacer.run({ dryRun: true }), error => error instanceof ConfigError && /api\.apiKey was rejected \(HTTP 401\)/.test(error.message));
+    assert.strictEqual(submissions(), 0);
+  });
+  
+  it('estimates the duration from the concurrency and polling settings', () => {
+    const polling = { intervalMs: 5000, maxIntervalMs: 30000, backoffFactor: 1.5, maxRetries: 60 };
+    const config = parallelProcessing => ({
+      processing: { parallelProcessing, maxConcurrent: 3 },
+      polling,
+      rateLimit: { submission: { requestsPerSecond: 2 } }
+    });
+    
+    // Checks at 5s, 12.5s, 23.75s and 40.625s
+    assert.deepStrictEqual(followStatusChecks(30, polling), { checks: 4, readySeconds: 40.625, timesOut: false });
+    assert.strictEqual(followStatusChecks(3600, { ...polling, maxRetries: 5 }).timesOut, true);
+    
+    assert.deepStrictEqual(estimateRun({ submit: 10, resume: 0 }, config(false), 30), {
+      credits: 10, processingSeconds: 30, statusChecks: 4, timesOut: false, seconds: 417
+    });
+    // Two submissions per second, then the last image is processed
+    assert.strictEqual(estimateRun({ submit: 10, resume: 2 }, config(true), 30).seconds, 46);
+    assert.deepStrictEqual([formatDuration(45), formatDuration(417), formatDuration(4000)], ['45s', '6m 57s', '1h 06m']);
+  });
+});
\ No newline at end of file
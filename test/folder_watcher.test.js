@@ -0,0 +1,128 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createPlateReplacer } = require('../src/plate_replacer');
+const { FolderWatcher } = require('../src/folder_watcher');
+const { startMockApi, MOCK_PNG } = require('./mock_api_server');
+const { silenceConsole, createSourceDir, createTestConfig } = require('./helpers');
+
+// Wait until a condition holds, failing after a few seconds
+async function waitFor(condition, message) {
+  const deadline = Date.now() + 5000;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${message}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('folder watcher', () => {
+  let mockApi;
+  let watcher;
+  
+  before(() => silenceConsole());
+  
+  afterEach(async () => {
+    await watcher?.stop();
+    mockApi?.close();
+  });
+  
+  // Start a mock API and a watcher for a source directory with the given images
+  const setup = async ({ images = [], mock = {}, config = {}, sourceDir = createSourceDir(images) } = {}) => {
+    mockApi = await startMockApi(mock);
+    const replacer = createPlateReplacer({ config: createTestConfig(mockApi, sourceDir, config) });
+    watcher = new FolderWatcher(replacer, { intervalMs: 50, settleMs: 30 });
+    await watcher.start();
+    return { replacer, sourceDir };
+  };
+  
+  const submittedImages = () => mockApi.requests.filter(request => request.image).map(request => request.image);
+  
+  it('processes the images present at start and those added later', async () => {
+    const { sourceDir } = await setup({ images: ['a.png'] });
+    await waitFor(() => watcher.results.length === 1, 'the first image');
+    
+    fs.mkdirSync(path.join(sourceDir, 'dealer'));
+    fs.writeFileSync(path.join(sourceDir, 'dealer', 'b.png'), MOCK_PNG);
+    await waitFor(() => watcher.results.length === 2, 'the added image');
+    
+    const summary = await watcher.stop();
+    assert.strictEqual(summary.succeeded, 2);
+    assert.deepStrictEqual(submittedImages(), ['a.png', 'b.png']);
+    summary.results.forEach(result => assert.ok(fs.existsSync(result.outputPath)));
+  });
+  
+  it('waits until a file has stopped changing before submitting it', async () => {
+    const { replacer, sourceDir } = await setup();
+    const filePath = path.join(sourceDir, 'slow.png');
+    
+    // Written in pieces over longer than the settle time
+    for (let offset = 0; offset < MOCK_PNG.length; offset += 512) {
+      fs.appendFileSync(filePath, MOCK_PNG.subarray(offset, offset + 512));
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.deepStrictEqual(submittedImages(), []);
+    }
+    await waitFor(() => watcher.results.length === 1, 'the settled image');
+    
+    const hash = `sha256:${crypto.createHash('sha256').update(MOCK_PNG).digest('hex')}`;
+    assert.strictEqual(replacer.manifest.get(watcher.results[0].id).hash, hash);
+    assert.deepStrictEqual(submittedImages(), ['slow.png']);
+  });
+  
+  it('lets images in progress finish when stopped', async () => {
+    await setup({ images: ['a.png'], mock: { behaviours: { default: { delayMs: 100 } } } });
+    await waitFor(() => submittedImages().length === 1, 'the submission');
+    
+    const summary = await watcher.stop();
+    
+    assert.strictEqual(summary.total, 1);
+    assert.strictEqual(summary.succeeded, 1);
+    assert.ok(fs.existsSync(summary.results[0].outputPath));
+  });
+  
+  it('stops without waiting for images that are still processing once the replacer is cancelled', async () => {
+    const { replacer } = await setup({ images: ['a.png'], mock: { behaviours: { 'a.png': { neverReady: true } } } });
+    await waitFor(() => submittedImages().length === 1, 'the submission');
+    
+    replacer.cancel();
+    const summary = await watcher.stop();
+    
+    assert.strictEqual(summary.cancelled, 1);
+    // Left in the manifest for the next run to resume
+    assert.strictEqual(replacer.manifest.get(summary.results[0].id).phase, 'submitted');
+  });
+  
+  it('looks at an image again after processing it threw', async () => {
+    mockApi = await startMockApi();
+    const replacer = createPlateReplacer({ config: createTestConfig(mockApi, createSourceDir(['a.png'])) });
+    const processImage = replacer.processImage.bind(replacer);
+    let failures = 1;
+    replacer.processImage = (...args) => (failures-- > 0 ? Promise.reject(new Error('ENOSPC: no space left on device')) : processImage(...args));
+    watcher = new FolderWatcher(replacer, { intervalMs: 50, settleMs: 30 });
+    await watcher.start();
+    
+    await waitFor(() => watcher.results.length === 1, 'the second attempt');
+    const summary = await watcher.stop();
+    
+    assert.strictEqual(summary.succeeded, 1);
+    assert.deepStrictEqual(submittedImages(), ['a.png']);
+  });
+  
+  it('counts images earlier runs processed without submitting them again', async () => {
+    const sourceDir = createSourceDir(['a.png']);
+    const outputDir = (await setup({ sourceDir })).replacer.outputDir;
+    await waitFor(() => watcher.results.length === 1, 'the first run');
+    await watcher.stop();
+    mockApi.close();
+    
+    await setup({ sourceDir, config: { output: { directory: outputDir } } });
+    await waitFor(() => watcher.skipped === 1, 'the second run');
+    const summary = await watcher.stop();
+    
+    assert.strictEqual(summary.skipped, 1);
+    assert.deepStrictEqual(submittedImages(), []);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mock } = require('node:test');
+const { MOCK_PNG } = require('./mock_api_server');
+
+const PLATE_PATH = path.join(__dirname, '../plate/logo-example.png');
+
+// Temporary directories are removed when the test file finishes
+const tempDirs = [];
+process.once('exit', () => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// Keep the progress output of the code under test out of the test report
+function silenceConsole() {
+  for (const method of ['log', 'warn', 'error']) {
+    mock.method(console, method, () => {});
+  }
+}
+
+// Fresh temporary directory
+function createTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plate-replacer-test-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Create a source directory with small PNG files
+ * @param {Array<string>} names - File names, optionally in subfolders ("dealer/a.png")
+ * @returns {string} - The directory
+ */
+function createSourceDir(names) {
+  const dir = createTempDir();
+  names.forEach((name, index) => {
+    // Different content per file, so content hashes differ
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), Buffer.concat([MOCK_PNG, Buffer.from([index])]));
+  });
+  return dir;
+}
+
+/**
+ * Configuration pointing at the mock API, with short delays so tests run quickly
+ * @param {Object} mockApi - What startMockApi() returned
+ * @param {string} sourceDir - Local source directory
+ * @param {Object} [overrides] - Settings merged over each section
+ * @returns {Object} - Configuration for createPlateReplacer
+ */
+function createTestConfig(mockApi, sourceDir, overrides = {}) {
+  return {
+    ...overrides,
+    api: { baseUrl: mockApi.baseUrl, apiKey: 'test-key', ...overrides.api },
+    source: { type: 'local', path: sourceDir },
+    plate: { path: PLATE_PATH, ...overrides.plate },
+    output: { directory: createTempDir(), ...overrides.output },
+    processing: { ...overrides.processing },
+    polling: { intervalMs: 5, maxIntervalMs: 20, maxRetries: 10, ...overrides.polling },
+    retry: {
+      submission: { baseDelayMs: 1, maxDelayMs: 5 },
+      status: { baseDelayMs: 1, maxDelayMs: 5 },
+      result: { baseDelayMs: 1, maxDelayMs: 5 },
+      ...overrides.retry
+    },
+    rateLimit: {
+      submission: { requestsPerSecond: 1000, burst: 100 },
+      status: { requestsPerSecond: 1000, burst: 100 },
+      ...overrides.rateLimit
+    }
+  };
+}
+
+module.exports = {
+  PLATE_PATH,
+  silenceConsole,
+  createTempDir,
+  createSourceDir,
+  createTestConfig
+};
\ No newline at end of file
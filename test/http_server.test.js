@@ -0,0 +1,180 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const axios = require('axios');
+const FormData = require('form-data');
+const { BatchService } = require('../src/batch_service');
+const { BatchStore } = require('../src/batch_store');
+const { createHttpServer } = require('../src/http_server');
+const { startMockApi, MOCK_PNG } = require('./mock_api_server');
+const { silenceConsole, createTempDir, createTestConfig } = require('./helpers');
+
+const URLS = ['https://cars.example.com/a.jpg', 'https://cars.example.com/b.jpg', 'https://cars.example.com/c.jpg'];
+
+describe('HTTP service', () => {
+  let mockApi;
+  let servers = [];
+  
+  before(() => silenceConsole());
+  
+  afterEach(async () => {
+    for (const { server, service } of servers) {
+      server.close();
+      await service.stop();
+    }
+    servers = [];
+    mockApi?.close();
+  });
+  
+  // Start a service and its HTTP server on a free port
+  const startService = async (config) => {
+    const service = new BatchService({ config });
+    await service.start();
+    const server = createHttpServer(service, service.config.server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    servers.push({ server, service });
+    const client = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+    return { service, client };
+  };
+  
+  const setup = async ({ mock = {}, config = {} } = {}) => {
+    mockApi = await startMockApi(mock);
+    return startService(createTestConfig(mockApi, createTempDir(), config));
+  };
+  
+  // Poll a batch until it is no longer queued or running
+  const waitForBatch = async (client, id) => {
+    const deadline = Date.now() + 5000;
+    while (Date.now() < deadline) {
+      const { data } = await client.get(`/batches/${id}`);
+      if (data.status === 'completed' || data.status === 'cancelled') {
+        return data;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Batch ${id} did not finish`);
+  };
+  
+  const submissions = () => mockApi.requests.filter(request => request.path.endsWith('/submission')).length;
+  
+  it('processes a batch of URLs and serves the results', async () => {
+    const { client } = await setup({ config: { processing: { parallelProcessing: true } } });
+    
+    const created = await client.post('/batches', { urls: URLS.slice(0, 2) });
+    assert.strictEqual(created.status, 202);
+    assert.strictEqual(created.data.total, 2);
+    
+    const batch = await waitForBatch(client, created.data.id);
+    assert.deepStrictEqual(batch.counts, { succeeded: 2 });
+    assert.deepStrictEqual(batch.images.map(image => image.output), ['a_processed.jpg', 'b_processed.jpg']);
+    
+    const image = await client.get(`/batches/${batch.id}/images/1`);
+    assert.strictEqual(image.data.status, 'succeeded');
+    const result = await client.get(image.data.resultUrl, { responseType: 'arraybuffer' });
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.headers['content-type'], 'image/jpeg');
+    assert.ok(Buffer.from(result.data).subarray(0, 8).equals(MOCK_PNG.subarray(0, 8)));
+  });
+  
+  it('accepts uploaded files', async () => {
+    const { client } = await setup();
+    const form = new FormData();
+    form.append('images', MOCK_PNG, { filename: 'front.png', contentType: 'image/png' });
+    form.append('images', MOCK_PNG, { filename: '../rear.png', contentType: 'image/png' });
+    
+    const created = await client.post('/batches', form, { headers: form.getHeaders() });
+    assert.strictEqual(created.status, 202);
+    
+    const batch = await waitForBatch(client, created.data.id);
+    assert.deepStrictEqual(batch.images.map(image => [image.name, image.status]), [['front.png', 'succeeded'], ['rear.png', 'succeeded']]);
+    assert.deepStrictEqual(mockApi.requests.filter(request => request.image).map(request => request.image), ['front.png', 'rear.png']);
+  });
+  
+  it('does not start the images of a cancelled batch', async () => {
+    const { client } = await setup({ mock: { behaviours: { default: { delayMs: 50 } } } });
+    const created = await client.post('/batches', { urls: URLS });
+    
+    const cancelled = await client.post(`/batches/${created.data.id}/cancel`);
+    assert.strictEqual(cancelled.status, 200);
+    assert.strictEqual(cancelled.data.status, 'cancelled');
+    
+    const batch = await waitForBatch(client, created.data.id);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.deepStrictEqual(batch.images.slice(1).map(image => image.status), ['cancelled', 'cancelled']);
+    assert.strictEqual(submissions(), 1);
+    assert.strictEqual((await client.post(`/batches/${created.data.id}/cancel`)).status, 409);
+  });
+  
+  it('resumes unfinished batches after a restart', async () => {
+    const config = { mock: { behaviours: { default: { delayMs: 30 } } }, config: { output: { directory: createTempDir() } } };
+    const { service, client } = await setup(config);
+    const created = await client.post('/batches', { urls: URLS });
+    // The first image is in progress, the others are still queued
+    await service.stop();
+    assert.strictEqual(submissions(), 1);
+    
+    const restarted = await startService(createTestConfig(mockApi, createTempDir(), config.config));
+    const batch = await waitForBatch(restarted.client, created.data.id);
+    
+    assert.deepStrictEqual(batch.counts, { succeeded: 3 });
+    assert.strictEqual(submissions(), 3);
+  });
+  
+  it('stops without waiting for images that are still processing once the replacer is cancelled', async () => {
+    const outputDir = createTempDir();
+    const { service, client } = await setup({
+      mock: { behaviours: { 'a.jpg': { neverReady: true } } },
+      config: { output: { directory: outputDir } }
+    });
+    const submitted = new Promise(resolve => service.replacer.once('submitted', resolve));
+    const created = await client.post('/batches', { urls: URLS.slice(0, 1) });
+    await submitted;
+    
+    service.replacer.cancel();
+    await service.stop();
+    
+    // Queued again, so the next start resumes it
+    const batch = new BatchStore(outputDir).get(created.data.id);
+    assert.strictEqual(batch.status, 'running');
+    assert.strictEqual(batch.images[0].status, 'queued');
+  });
+  
+  it('answers invalid requests with an error', async () => {
+    const { client } = await setup({ config: { server: { token: 'secret' } } });
+    const headers = { Authorization: 'Bearer secret' };
+    
+    assert.strictEqual((await client.get('/batches')).status, 401);
+    assert.strictEqual((await client.get('/batches', { headers })).status, 200);
+    assert.strictEqual((await client.get('/batches/unknown', { headers })).status, 404);
+    assert.strictEqual((await client.delete('/batches', { headers })).status, 405);
+    
+    const invalid = await client.post('/batches', { urls: ['ftp://cars.example.com/a.jpg'] }, { headers });
+    assert.strictEqual(invalid.status, 400);
+    assert.match(invalid.data.error, /urls\[0\]/);
+    
+    const localPath = await client.post('/batches', { source: { type: 'local', location: '/etc' } }, { headers });
+    assert.strictEqual(localPath.status, 403);
+  });
+  
+  it('answers batch IDs that are not UUIDs with 404 and leaves Object.prototype alone', async () => {
+    const { client } = await setup();
+    
+    for (const id of ['__proto__', 'constructor', 'toString']) {
+      assert.strictEqual((await client.get(`/batches/${id}`)).status, 404);
+      assert.strictEqual((await client.get(`/batches/${id}/images/0`)).status, 404);
+      assert.strictEqual((await client.post(`/batches/${id}/cancel`)).status, 404);
+    }
+    assert.strictEqual((await client.get(`/batches/${crypto.randomUUID()}`)).status, 404);
+    assert.strictEqual({}.status, undefined);
+    assert.strictEqual(Object.prototype.hasOwnProperty.call(Object.prototype, 'status'), false);
+    
+    // The store itself treats such IDs as plain keys
+    const outputDir = createTempDir();
+    const store = new BatchStore(outputDir);
+    assert.strictEqual(store.get('constructor'), undefined);
+    store.create([{ url: URLS[0] }], { id: '__proto__' });
+    store.update('__proto__', { status: 'cancelled' });
+    assert.strictEqual({}.status, undefined);
+    assert.strictEqual(new BatchStore(outputDir).get('__proto__').status, 'cancelled');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,31 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createImageSource } = require('../src/image_sources');
+const { silenceConsole } = require('./helpers');
+
+describe('image sources', () => {
+  let server;
+  let baseUrl;
+  
+  before(async () => {
+    silenceConsole();
+    // Directory listing with encoded names, a literal "%" and a file that is not an image
+    const listing = ['front.jpg', 'rear%20view.png', '50%off.jpg', 'notes.txt'].map(href => `<a href="${href}">${href}</a>`).join('\n');
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(`<html><body>${listing}</body></html>`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/photos`;
+  });
+  
+  after(() => server.close());
+  
+  it('lists the images of an HTTP directory listing', async () => {
+    const images = await createImageSource({ type: 'httpDirectory', url: baseUrl }).listImages();
+    
+    assert.deepStrictEqual(images.map(image => image.name), ['front.jpg', 'rear view.png', '50%off.jpg']);
+    assert.strictEqual(images[2].url, `${baseUrl}/50%off.jpg`);
+  });
+});
\ No newline at end of file
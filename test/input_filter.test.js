@@ -0,0 +1,129 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { InputFilter, getPerceptualHash, getHashDistance } = require('../src/input_filter');
+const { createPlateReplacer } = require('../src/plate_replacer');
+const { startMockApi } = require('./mock_api_server');
+const { silenceConsole, createTempDir, createSourceDir, createTestConfig } = require('./helpers');
+
+// Grey gradient, left to right or right to left
+function createGradient(width, height, { reverse = false, format = 'png' } = {}) {
+  const pixels = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = Math.round((x / (width - 1)) * 255);
+      pixels[y * width + x] = reverse ? 255 - value : value;
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 1 } }).toFormat(format).toBuffer();
+}
+
+// Write files into a fresh directory and describe them like the local source does
+function createImages(files) {
+  const dir = createTempDir();
+  return Object.entries(files).map(([name, data]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), data);
+    return { filePath: path.join(dir, name), name: path.basename(name), folder: path.dirname(name) === '.' ? '' : path.dirname(name) };
+  });
+}
+
+const names = ({ images }) => images.map(image => image.name);
+
+describe('input filter', () => {
+  let mockApi;
+  
+  before(() => silenceConsole());
+  
+  afterEach(() => mockApi?.close());
+  
+  it('keeps and leaves out images by name with globs and regular expressions', async () => {
+    const data = await createGradient(16, 16);
+    const images = createImages({
+      'front.jpg': data,
+      'interior_1.jpg': data,
+      'scan.pdf.png': data,
+      'dealerA/rear.jpg': data,
+      'dealerB/rear.jpg': data
+    });
+    
+    const filter = new InputFilter({ include: ['*.jpg'], exclude: ['dealerB/*'], excludePattern: '^interior' });
+    const selection = await filter.select(images);
+    
+    assert.deepStrictEqual(names(selection), ['front.jpg', 'rear.jpg']);
+    assert.strictEqual(selection.images[1].folder, 'dealerA');
+    assert.deepStrictEqual(selection.excluded.map(({ image, reason }) => [image.name, reason]), [
+      ['interior_1.jpg', 'name'],
+      ['scan.pdf.png', 'name'],
+      ['rear.jpg', 'name']
+    ]);
+  });
+  
+  it('leaves out images outside the file size and dimension limits', async () => {
+    const images = createImages({
+      'thumbnail.png': await createGradient(40, 30),
+      'photo.png': await createGradient(400, 300),
+      'panorama.png': await createGradient(2000, 300)
+    });
+    
+    const selection = await new InputFilter({ minWidth: 100, maxWidth: 1000 }).select(images);
+    assert.deepStrictEqual(names(selection), ['photo.png']);
+    assert.match(selection.excluded[0].message, /^40x30/);
+    
+    const bySize = await new InputFilter({ minFileSize: fs.statSync(images[1].filePath).size }).select(images);
+    assert.deepStrictEqual(bySize.excluded.map(({ image, reason }) => [image.name, reason]), [['thumbnail.png', 'size']]);
+  });
+  
+  it('leaves out exact duplicates, and lookalikes with perceptual deduplication', async () => {
+    const original = await createGradient(200, 150);
+    const images = createImages({
+      'a.png': original,
+      'b.png': original,
+      'c.jpg': await createGradient(100, 75, { format: 'jpeg' }),
+      'd.png': await createGradient(200, 150, { reverse: true })
+    });
+    
+    const exact = await new InputFilter({ dedupe: 'exact' }).select(images);
+    assert.deepStrictEqual(names(exact), ['a.png', 'c.jpg', 'd.png']);
+    assert.strictEqual(exact.excluded[0].message, 'same content as a.png');
+    
+    const perceptual = await new InputFilter({ dedupe: 'perceptual' }).select(images);
+    assert.deepStrictEqual(names(perceptual), ['a.png', 'd.png']);
+    assert.match(perceptual.excluded[1].message, /^looks like a\.png/);
+    assert.ok(getHashDistance(await getPerceptualHash(original), await getPerceptualHash(images[3].filePath)) > 32);
+    
+    // Listing the same images again does not turn them into duplicates of themselves
+    const filter = new InputFilter({ dedupe: 'exact' });
+    await filter.select(images);
+    assert.deepStrictEqual(names(await filter.select(images)), ['a.png', 'c.jpg', 'd.png']);
+  });
+  
+  it('groups images into vehicles and tracks results and retries per vehicle', async () => {
+    mockApi = await startMockApi({ behaviours: { 'VIN2_rear.png': { submissionErrors: [400] } } });
+    const sourceDir = createSourceDir(['VIN1_front.png', 'VIN2_front.png', 'VIN1_rear.png', 'VIN2_rear.png', 'logo.png']);
+    const replacer = createPlateReplacer({ config: createTestConfig(mockApi, sourceDir, { input: { vehiclePattern: '^(VIN\\d+)_' } }) });
+    
+    const { images } = await replacer.listImages();
+    assert.deepStrictEqual(images.map(image => [image.name, image.vehicle]), [
+      ['logo.png', null],
+      ['VIN1_front.png', 'VIN1'],
+      ['VIN1_rear.png', 'VIN1'],
+      ['VIN2_front.png', 'VIN2'],
+      ['VIN2_rear.png', 'VIN2']
+    ]);
+    
+    const summary = await replacer.processImages(images, new Date().toISOString());
+    assert.deepStrictEqual(summary.vehicles.map(({ vehicle, total, succeeded, failed, complete }) => ({ vehicle, total, succeeded, failed, complete })), [
+      { vehicle: 'VIN1', total: 2, succeeded: 2, failed: 0, complete: true },
+      { vehicle: 'VIN2', total: 2, succeeded: 1, failed: 1, complete: false }
+    ]);
+    assert.strictEqual(summary.results[4].vehicle, 'VIN2');
+    
+    assert.strictEqual(await replacer.retryFailed({ vehicle: 'VIN1' }), null);
+    const retry = await replacer.retryFailed({ vehicle: 'VIN2' });
+    assert.strictEqual(retry.succeeded, 1);
+    assert.deepStrictEqual(retry.vehicles.map(({ vehicle, complete }) => [vehicle, complete]), [['VIN2', true]]);
+  });
+});
\ No newline at end of file
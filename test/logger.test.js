@@ -0,0 +1,93 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Logger, logger } = require('../src/logger');
+const { createPlateReplacer } = require('../src/plate_replacer');
+const { startMockApi } = require('./mock_api_server');
+const { silenceConsole, createTempDir, createSourceDir, createTestConfig } = require('./helpers');
+
+// Lines of a JSON-lines log file
+const readLogFile = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+describe('logger', () => {
+  before(() => silenceConsole());
+  
+  // The shared logger is left as the other test files expect it
+  after(() => logger.configure({ level: 'info', format: 'text', file: null }));
+  
+  it('prints lines up to its level, labelled by image', () => {
+    const log = mock.method(console, 'log', () => {});
+    const warn = mock.method(console, 'warn', () => {});
+    const quiet = new Logger();
+    quiet.configure({ level: 'warn' });
+    
+    quiet.info('Listing images');
+    quiet.child({ imageId: '/photos/a.png', image: 'a' }).warn('⚠️ Slow response');
+    quiet.debug('Response body');
+    
+    assert.strictEqual(log.mock.callCount(), 0);
+    assert.deepStrictEqual(warn.mock.calls.map(call => call.arguments[0]), ['[a] ⚠️ Slow response']);
+    log.mock.restore();
+    warn.mock.restore();
+  });
+  
+  it('writes JSON lines tagged with the fields of child loggers', () => {
+    const log = mock.method(console, 'log', () => {});
+    const json = new Logger();
+    json.configure({ level: 'debug', format: 'json' });
+    
+    json.child({ imageId: 'https://cars.example.com/a.jpg', image: 'a' }).debug('\nStatus: ok', { phase: 'ready' });
+    
+    const { time, ...entry } = JSON.parse(log.mock.calls[0].arguments[0]);
+    log.mock.restore();
+    assert.match(time, /^\d{4}-\d\d-\d\dT/);
+    assert.deepStrictEqual(entry, {
+      level: 'debug',
+      imageId: 'https://cars.example.com/a.jpg',
+      image: 'a',
+      message: 'Status: ok',
+      phase: 'ready'
+    });
+  });
+  
+  it('redacts bearer tokens, registered secrets and credential fields', () => {
+    const file = path.join(createTempDir(), 'run.log');
+    const redacting = new Logger();
+    redacting.configure({ level: 'error', file });
+    redacting.addSecret('sk-live-1234');
+    
+    redacting.error('Request with Authorization: Bearer abc.def-123 failed');
+    redacting.error('Key sk-live-1234 was rejected', { headers: { Authorization: 'Basic dXNlcjpwYXNz', Accept: 'image/png' }, apiKey: 'other-key' });
+    redacting.close();
+    
+    const text = fs.readFileSync(file, 'utf8');
+    assert.ok(!/abc\.def|sk-live|dXNlcjpwYXNz|other-key/.test(text), text);
+    const [first, second] = readLogFile(file);
+    assert.strictEqual(first.message, 'Request with Authorization: Bearer [REDACTED] failed');
+    assert.strictEqual(second.message, 'Key [REDACTED] was rejected');
+    assert.deepStrictEqual(second.headers, { Authorization: '[REDACTED]', Accept: 'image/png' });
+  });
+  
+  it('keeps debug details of a run in the log file without the API key', async () => {
+    const mockApi = await startMockApi({ apiKey: 'test-key' });
+    const file = path.join(createTempDir(), 'run.log');
+    logger.configure({ level: 'warn', file });
+    try {
+      const replacer = createPlateReplacer({ config: createTestConfig(mockApi, createSourceDir(['a.png'])) });
+      const { images } = await replacer.listImages();
+      const summary = await replacer.processBatch(images);
+      assert.strictEqual(summary.succeeded, 1);
+    } finally {
+      logger.configure({ file: null });
+      mockApi.close();
+    }
+    
+    const entries = readLogFile(file);
+    assert.ok(!fs.readFileSync(file, 'utf8').includes('test-key'));
+    const imageEntries = entries.filter(entry => entry.image === 'a');
+    assert.ok(imageEntries.every(entry => entry.imageId.endsWith(`${path.sep}a.png`)));
+    assert.ok(imageEntries.some(entry => entry.level === 'debug' && entry.message.startsWith('Submission response 200')));
+    assert.ok(imageEntries.some(entry => entry.level === 'info' && entry.message.startsWith('✅ Saved to')));
+  });
+});
\ No newline at end of file
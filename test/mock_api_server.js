@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+
+const http = require('http');
+
+// 1x1 transparent PNG, padded so downloadResult accepts it as a real image
+const PNG_HEADER = Buffer.from(
+  '89504e470d0a1a0a0000000d4948445200000001000000010806000000' +
+  '1f15c4890000000d494441540899636060606000000005000187a14ed40000000049454e44ae426082',
+  'hex'
+);
+const MOCK_PNG = Buffer.concat([PNG_HEADER, Buffer.alloc(2048)]);
+
+// What the API returns for MOCK_PNG-like sources: a red 1x1 PNG, and a 2x2 one for
+// results that do not match the dimensions of the source
+const RESULT_HEADER = Buffer.from(
+  '89504e470d0a1a0a0000000d4948445200000001000000010802000000907753de0000000970485973000003e8000003e801b57b526b' +
+  '0000000c4944415408d763382127070002b60105e5856af50000000049454e44ae426082',
+  'hex'
+);
+const RESIZED_HEADER = Buffer.from(
+  '89504e470d0a1a0a0000000d4948445200000002000000020802000000fdd49a730000000970485973000003e8000003e801b57b526b' +
+  '000000104944415408d76338212707440c100a001f26041169e64c350000000049454e44ae426082',
+  'hex'
+);
+const MOCK_RESULT_PNG = Buffer.concat([RESULT_HEADER, Buffer.alloc(2048)]);
+
+/**
+ * Behaviour of the mock API for one image. Every field is optional:
+ * - `phases` - Phases reported by successive status checks, the last one repeating
+ *   (default ['processing', 'ready'])
+ * - `neverReady` - Report "processing" forever
+ * - `submissionErrors`, `statusErrors`, `resultErrors` - HTTP status codes answered to the
+ *   first requests of that kind, e.g. [429, 500]; the following requests succeed
+ * - `retryAfter` - Retry-After header (seconds) sent with 429 answers
+ * - `result` - Result body: "png" (default), "base64Json", "dataUrlJson", "base64Text",
+ *   "smallPng", "truncated", "html", "emptyJson" or "malformedBase64Json" (stray characters
+ *   and missing padding in the base64 data); or, to test verification, "unchanged"
+ *   (MOCK_PNG, the same picture as the test sources), "resized" (2x2 pixels) or "corrupt"
+ *   (a PNG signature followed by garbage)
+ * - `delayMs` - Delay before every answer
+ */
+const DEFAULT_BEHAVIOUR = {
+  phases: ['processing', 'ready'],
+  neverReady: false,
+  submissionErrors: [],
+  statusErrors: [],
+  resultErrors: [],
+  retryAfter: undefined,
+  result: 'png',
+  delayMs: 0
+};
+
+// File name of an uploaded file in a multipart body
+function readMultipartFilename(body, field) {
+  const fileField = body.toString('latin1').match(new RegExp(`name="${field}"; filename="([^"]*)"`));
+  return fileField ? fileField[1] : null;
+}
+
+// Find a form field or the uploaded file name in a multipart body
+function readMultipartKey(body) {
+  const urlField = body.toString('latin1').match(/name="image_url"\r\n\r\n([^\r]*)\r\n/);
+  if (urlField) {
+    return urlField[1];
+  }
+  return readMultipartFilename(body, 'image');
+}
+
+// Send a JSON body
+function sendJson(res, statusCode, data, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Start a mock Car-Cutter API
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free one)
+ * @param {Object} [options.behaviours] - Behaviour per image, keyed by image URL or uploaded
+ *   file name, with `default` for every other image (see DEFAULT_BEHAVIOUR)
+ * @param {boolean} [options.batchStatus=true] - Answer status queries for several images at once
+ * @param {string} [options.apiKey] - Reject requests without this bearer token (HTTP 401)
+ * @returns {Promise<Object>} - { baseUrl, requests, jobs, close() } where `requests` logs
+ *   every request as { method, path, imageUrls }, with the `image` key and `plate` file
+ *   name for submissions
+ */
+async function startMockApi({ port = 0, behaviours = {}, batchStatus = true, apiKey } = {}) {
+  const requests = [];
+  // Submitted jobs by image reference
+  const jobs = new Map();
+  // Error answers still to give, per behaviour key and request kind
+  const pendingErrors = new Map();
+  let uploads = 0;
+  
+  const getBehaviour = key => ({ ...DEFAULT_BEHAVIOUR, ...behaviours.default, ...behaviours[key] });
+  
+  // Take the next scripted error status for a request kind, if any
+  const takeError = (key, kind) => {
+    const errorKey = `${kind}:${key}`;
+    if (!pendingErrors.has(errorKey)) {
+      pendingErrors.set(errorKey, [...getBehaviour(key)[`${kind}Errors`]]);
+    }
+    return pendingErrors.get(errorKey).shift();
+  };
+  
+  const sendError = (res, statusCode, behaviour) => {
+    const headers = statusCode === 429 && behaviour.retryAfter !== undefined ? { 'Retry-After': String(behaviour.retryAfter) } : {};
+    sendJson(res, statusCode, { error: `Mock error ${statusCode}` }, headers);
+  };
+  
+  const handleSubmission = (req, res, body) => {
+    const key = readMultipartKey(body);
+    const behaviour = getBehaviour(key);
+    const errorStatus = takeError(key, 'submission');
+    if (errorStatus) {
+      return sendError(res, errorStatus, behaviour);
+    }
+    
+    // URL submissions keep their URL, uploads get a reference like the real API
+    const imageUrl = body.toString('latin1').includes('name="image_url"') ? key : `https://mock.car-cutter.local/uploads/${++uploads}/${key}`;
+    jobs.set(imageUrl, { key, checks: 0 });
+    sendJson(res, 200, { data: { images: [{ image_url: imageUrl, status: 'ok', phase: 'queued' }] } });
+  };
+  
+  const handleStatus = (res, imageUrls) => {
+    const queried = batchStatus ? imageUrls : imageUrls.slice(0, 1);
+    const firstJob = jobs.get(queried[0]);
+    const errorStatus = firstJob && takeError(firstJob.key, 'status');
+    if (errorStatus) {
+      return sendError(res, errorStatus, getBehaviour(firstJob.key));
+    }
+    
+    const images = queried.filter(imageUrl => jobs.has(imageUrl)).map(imageUrl => {
+      const job = jobs.get(imageUrl);
+      const behaviour = getBehaviour(job.key);
+      const phase = behaviour.neverReady ? 'processing' : behaviour.phases[Math.min(job.checks, behaviour.phases.length - 1)];
+      job.checks++;
+      // Without batch support the answer looks like the single-image API: no reference
+      return batchStatus ? { image_url: imageUrl, status: 'ok', phase } : { status: 'ok', phase };
+    });
+    sendJson(res, 200, { data: { images } });
+  };
+  
+  const handleResult = (res, imageUrl) => {
+    const job = jobs.get(imageUrl);
+    if (!job) {
+      return sendJson(res, 404, { error: 'Unknown image' });
+    }
+    const behaviour = getBehaviour(job.key);
+    const errorStatus = takeError(job.key, 'result');
+    if (errorStatus) {
+      return sendError(res, errorStatus, behaviour);
+    }
+    
+    const base64 = MOCK_RESULT_PNG.toString('base64');
+    switch (behaviour.result) {
+      case 'base64Json':
+        return sendJson(res, 200, { data: { images: [{ imageUrl: base64 }] } });
+      case 'dataUrlJson':
+        return sendJson(res, 200, { data: { imageUrl: `data:image/png;base64,${base64}` } });
+      case 'emptyJson':
+        return sendJson(res, 200, { data: {} });
+      case 'malformedBase64Json':
+        return sendJson(res, 200, { data: { images: [{ imageUrl: `${base64.slice(0, 40)}*!${base64.slice(40).replace(/=+$/, '')}` }] } });
+      case 'base64Text':
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end(base64);
+      case 'smallPng':
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end(PNG_HEADER);
+      case 'truncated':
+        // Promise more bytes than are sent, then drop the connection
+        res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': MOCK_RESULT_PNG.length * 2 });
+        res.write(MOCK_RESULT_PNG);
+        return setImmediate(() => res.socket.destroy());
+      case 'html':
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        return res.end('<html><body>Maintenance</body></html>');
+      case 'unchanged':
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end(MOCK_PNG);
+      case 'resized':
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end(Buffer.concat([RESIZED_HEADER, Buffer.alloc(2048)]));
+      case 'corrupt':
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end(Buffer.concat([RESULT_HEADER.subarray(0, 33), Buffer.alloc(2048, 'garbage')]));
+      default:
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end(MOCK_RESULT_PNG);
+    }
+  };
+  
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const imageUrls = url.searchParams.getAll('image_url');
+      const request = { method: req.method, path: url.pathname, imageUrls };
+      if (url.pathname.endsWith('/submission')) {
+        const body = Buffer.concat(chunks);
+        Object.assign(request, { image: readMultipartKey(body), plate: readMultipartFilename(body, 'license_plate') });
+      }
+      requests.push(request);
+      
+      if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+        return sendJson(res, 401, { error: 'Invalid API key' });
+      }
+      
+      const job = jobs.get(imageUrls[0]);
+      const delayMs = getBehaviour(job?.key).delayMs;
+      setTimeout(() => {
+        if (req.method === 'POST' && url.pathname.endsWith('/submission')) {
+          handleSubmission(req, res, Buffer.concat(chunks));
+        } else if (req.method === 'GET' && url.pathname.endsWith('/status')) {
+          handleStatus(res, imageUrls);
+        } else if (req.method === 'GET' && url.pathname.endsWith('/result')) {
+          handleResult(res, imageUrls[0]);
+        } else {
+          sendJson(res, 404, { error: 'Not found' });
+        }
+      }, delayMs);
+    });
+  });
+  
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/vehicle/image`,
+    requests,
+    jobs,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = {
+  MOCK_PNG,
+  MOCK_RESULT_PNG,
+  startMockApi
+};
+
+// Run standalone for manual testing: `npm run mock-api`, then point api.baseUrl at it
+if (require.main === module) {
+  const behaviours = process.env.MOCK_BEHAVIOURS ? JSON.parse(process.env.MOCK_BEHAVIOURS) : {};
+  startMockApi({ port: Number(process.env.PORT) || 4555, behaviours }).then(mock => {
+    console.log(`🧪 Mock Car-Cutter API listening on ${mock.baseUrl}`);
+  });
+}
\ No newline at end of file
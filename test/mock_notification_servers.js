@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+const http = require('http');
+const net = require('net');
+
+/**
+ * Start a webhook receiver that records every JSON body posted to it
+ * @param {Object} [options] - Receiver options
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free one)
+ * @param {Array<number>} [options.errors=[]] - HTTP status codes answered to the first
+ *   requests, e.g. [503]; the following requests succeed
+ * @param {Function} [options.onReceive] - Called with every recorded request
+ * @returns {Promise<Object>} - { url, requests, close() } where `requests` holds
+ *   { path, headers, body } for every request, including the failed ones
+ */
+async function startWebhookReceiver({ port = 0, errors = [], onReceive = () => {} } = {}) {
+  const requests = [];
+  const pendingErrors = [...errors];
+  
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const request = { path: req.url, headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null') };
+      requests.push(request);
+      onReceive(request);
+      res.writeHead(pendingErrors.length > 0 ? pendingErrors.shift() : 204);
+      res.end();
+    });
+  });
+  
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks/plate-replacer`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// Body of a message, decoded when it was sent as quoted-printable
+function decodeBody(message) {
+  const headerEnd = message.indexOf('\r\n\r\n');
+  const headers = message.slice(0, headerEnd);
+  const body = message.slice(headerEnd + 4);
+  if (!/content-transfer-encoding:\s*quoted-printable/i.test(headers)) {
+    return body;
+  }
+  const bytes = body
+    .replace(/=\r\n/g, '')
+    .replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return Buffer.from(bytes, 'latin1').toString('utf8');
+}
+
+/**
+ * Start an SMTP server that accepts every message without authentication or TLS
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free one)
+ * @param {Function} [options.onReceive] - Called with every received message
+ * @returns {Promise<Object>} - { port, messages, close() } where `messages` holds
+ *   { from, to, subject, text, raw } for every message
+ */
+async function startSmtpServer({ port = 0, onReceive = () => {} } = {}) {
+  const messages = [];
+  const sockets = new Set();
+  
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;
+    
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 mock-smtp ESMTP ready');
+    
+    socket.on('data', chunk => {
+      buffer += chunk.toString('latin1');
+      let lineEnd;
+      while ((lineEnd = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        
+        // Message content, ended by a line with a single dot
+        if (data !== null) {
+          if (line === '.') {
+            const raw = Buffer.from(data, 'latin1').toString('utf8');
+            const message = {
+              ...envelope,
+              subject: raw.match(/^Subject: (.*)$/mi)?.[1] || '',
+              text: decodeBody(data),
+              raw
+            };
+            messages.push(message);
+            onReceive(message);
+            envelope = { from: null, to: [] };
+            data = null;
+            reply('250 OK: queued');
+          } else {
+            data += `${line.startsWith('..') ? line.slice(1) : line}\r\n`;
+          }
+          continue;
+        }
+        
+        const command = line.split(' ')[0].toUpperCase();
+        if (command === 'EHLO') {
+          reply('250-mock-smtp');
+          reply('250 8BITMIME');
+        } else if (command === 'HELO' || command === 'RSET' || command === 'NOOP') {
+          reply('250 OK');
+        } else if (command === 'MAIL') {
+          envelope.from = line.match(/<([^>]*)>/)?.[1] || null;
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          envelope.to.push(line.match(/<([^>]*)>/)?.[1]);
+          reply('250 OK');
+        } else if (command === 'DATA') {
+          data = '';
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+  });
+  
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  
+  return {
+    port: server.address().port,
+    messages,
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = {
+  startWebhookReceiver,
+  startSmtpServer
+};
+
+// Run standalone for manual testing: `npm run mock-notifications`, then point
+// notifications.webhooks[].url and notifications.smtp at the printed addresses
+if (require.main === module) {
+  Promise.all([
+    startWebhookReceiver({
+      port: Number(process.env.WEBHOOK_PORT) || 4556,
+      onReceive: request => console.log(`🔔 Webhook ${request.body.event}:\n${JSON.stringify(request.body, null, 2)}`)
+    }),
+    startSmtpServer({
+      port: Number(process.env.SMTP_PORT) || 2525,
+      onReceive: message => console.log(`📧 Email to ${message.to.join(', ')}: ${message.subject}\n${message.text}`)
+    })
+  ]).then(([webhook, smtp]) => {
+    console.log(`🧪 Mock webhook receiver listening on ${webhook.url}`);
+    console.log(`🧪 Mock SMTP server listening on 127.0.0.1:${smtp.port} (set notifications.smtp.host to 127.0.0.1 and port to ${smtp.port})`);
+  });
+}
\ No newline at end of file
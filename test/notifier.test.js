@@ -0,0 +1,117 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createPlateReplacer } = require('../src/plate_replacer');
+const { Notifier } = require('../src/notifier');
+const { startMockApi } = require('./mock_api_server');
+const { startWebhookReceiver, startSmtpServer } = require('./mock_notification_servers');
+const { silenceConsole, createSourceDir, createTestConfig } = require('./helpers');
+
+describe('notifications', () => {
+  let stubs = [];
+  
+  before(() => silenceConsole());
+  
+  afterEach(async () => {
+    await Promise.all(stubs.map(stub => stub.close()));
+    stubs = [];
+  });
+  
+  const start = async (starter, options) => {
+    const stub = await starter(options);
+    stubs.push(stub);
+    return stub;
+  };
+  
+  // Run a batch of images against the mock API and report it like the CLI does
+  const runBatch = async ({ images = ['a.png', 'b.png'], mock = {}, notifications }) => {
+    const mockApi = await start(startMockApi, mock);
+    const config = createTestConfig(mockApi, createSourceDir(images), {
+      notifications,
+      retry: { notification: { baseDelayMs: 1, maxDelayMs: 5, maxAttempts: 2 } }
+    });
+    const replacer = createPlateReplacer({ config });
+    const { images: sourceImages } = await replacer.listImages();
+    const startedAt = new Date().toISOString();
+    const summary = await replacer.processBatch(sourceImages);
+    await replacer.reportRun(summary, startedAt);
+    return summary;
+  };
+  
+  it('posts the results of a finished batch to webhooks', async () => {
+    const webhook = await start(startWebhookReceiver);
+    
+    await runBatch({ notifications: { webhooks: [{ url: webhook.url, headers: { 'X-Token': 'secret' } }] } });
+    
+    assert.strictEqual(webhook.requests.length, 1);
+    const [{ headers, body }] = webhook.requests;
+    assert.strictEqual(headers['x-token'], 'secret');
+    assert.strictEqual(body.event, 'completed');
+    assert.strictEqual(body.source.type, 'local');
+    assert.strictEqual(body.succeeded, 2);
+    assert.strictEqual(body.failed, 0);
+    assert.deepStrictEqual(body.images.succeeded.map(image => [image.name, image.status]), [['a', 'succeeded'], ['b', 'succeeded']]);
+    assert.ok(body.images.succeeded.every(image => image.output.endsWith('_processed.png')));
+  });
+  
+  it('reports a batch with too many failures', async () => {
+    const webhook = await start(startWebhookReceiver);
+    const failedOnly = await start(startWebhookReceiver);
+    
+    const summary = await runBatch({
+      mock: { behaviours: { 'b.png': { submissionErrors: [400] } } },
+      notifications: {
+        failureThresholdPercent: 10,
+        webhooks: [{ url: webhook.url }, { url: failedOnly.url, events: ['failureThreshold'] }]
+      }
+    });
+    
+    assert.strictEqual(summary.failed, 1);
+    assert.deepStrictEqual(webhook.requests.map(request => request.body.event), ['completed', 'failureThreshold']);
+    const { body } = failedOnly.requests[0];
+    assert.strictEqual(failedOnly.requests.length, 1);
+    assert.strictEqual(body.failureRate, 50);
+    assert.deepStrictEqual(body.images.failed.map(image => [image.name, image.errorCategory]), [['b', summary.results[1].errorCategory]]);
+    assert.match(body.images.failed[0].error, /400/);
+  });
+  
+  it('emails a summary through SMTP', async () => {
+    const smtp = await start(startSmtpServer);
+    
+    await runBatch({
+      notifications: {
+        smtp: { host: '127.0.0.1', port: smtp.port, from: 'plates@example.com', to: ['ops@example.com', 'sales@example.com'] }
+      }
+    });
+    
+    assert.strictEqual(smtp.messages.length, 1);
+    const [message] = smtp.messages;
+    assert.strictEqual(message.from, 'plates@example.com');
+    assert.deepStrictEqual(message.to, ['ops@example.com', 'sales@example.com']);
+    assert.match(message.subject, /^\[plate-replacer\] 2 of 2 images ready/);
+    assert.match(message.text, /Succeeded: 2/);
+    assert.match(message.text, /- a: .*a_processed\.png/);
+  });
+  
+  it('retries failed webhooks and never fails the batch', async () => {
+    const flaky = await start(startWebhookReceiver, { errors: [503] });
+    const down = await start(startWebhookReceiver, { errors: [500, 500] });
+    
+    const summary = await runBatch({ images: ['a.png'], notifications: { webhooks: [{ url: flaky.url }, { url: down.url }] } });
+    
+    assert.strictEqual(summary.succeeded, 1);
+    assert.strictEqual(flaky.requests.length, 2);
+    assert.strictEqual(down.requests.length, 2);
+  });
+  
+  it('notifies about fatal errors unless disabled', async () => {
+    const webhook = await start(startWebhookReceiver);
+    const error = new Error('Source folder not found');
+    
+    const sent = await new Notifier({ webhooks: [{ url: webhook.url }] }).notifyFatal({ command: 'process', error });
+    const disabled = await new Notifier({ onFatal: false, webhooks: [{ url: webhook.url }] }).notifyFatal({ command: 'process', error });
+    
+    assert.deepStrictEqual([sent, disabled], [['fatal'], []]);
+    assert.strictEqual(webhook.requests.length, 1);
+    assert.strictEqual(webhook.requests[0].body.message, 'process stopped with an error: Source folder not found');
+  });
+});
\ No newline at end of file
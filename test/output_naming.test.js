@@ -0,0 +1,105 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { OutputNamer, renderTemplate, checkTemplate } = require('../src/output_naming');
+const { JobManifest } = require('../src/job_manifest');
+const { createPlateReplacer } = require('../src/plate_replacer');
+const { startMockApi } = require('./mock_api_server');
+const { silenceConsole, createTempDir, createSourceDir, createTestConfig } = require('./helpers');
+
+describe('output naming', () => {
+  let mockApi;
+  
+  before(() => silenceConsole());
+  
+  afterEach(() => mockApi?.close());
+  
+  const values = { suffix: '_processed', date: '2026-01-31' };
+  const localImage = (name, folder = '') => ({ filePath: path.join('/photos', folder, name), name, folder });
+  
+  it('keeps the original name, extension and subfolder by default', () => {
+    const template = '{folder}/{name}{suffix}.{ext}';
+    assert.strictEqual(renderTemplate(template, localImage('VIN123_front.jpg', 'dealer/suv'), values), 'dealer/suv/VIN123_front_processed.jpg');
+    assert.strictEqual(renderTemplate(template, localImage('VIN123_front.jpg'), values), 'VIN123_front_processed.jpg');
+  });
+  
+  it('fills in every token', () => {
+    const image = { driveFileId: '1siW1i8uEthjk', name: 'car.webp', folder: 'lot' };
+    assert.strictEqual(renderTemplate('{date}/{folder}-{id}-{name}.{ext}', image, values), '2026-01-31/lot-1siW1i8uEthjk-car.webp');
+  });
+  
+  it('names URL images after the URL tail', () => {
+    assert.strictEqual(renderTemplate('{name}.{ext}', { url: 'https://example.com/cars/VIN%20side.jpeg?size=big' }, values), 'VIN side.jpeg');
+    assert.strictEqual(renderTemplate('{name}.{ext}', { url: 'https://drive.google.com/uc?export=download&id=abc123' }, values), 'abc123.png');
+  });
+  
+  it('keeps names inside the output directory', () => {
+    const image = { url: 'https://example.com/x.png', name: 'b:c.png', folder: '../..' };
+    assert.strictEqual(renderTemplate('{folder}/{name}.{ext}', image, values), '_/_/b_c.png');
+    assert.strictEqual(renderTemplate('../{name}.{ext}', image, values), '_/b_c.png');
+  });
+  
+  it('rejects templates with unknown tokens or without a name', () => {
+    assert.match(checkTemplate('{name}{extension}'), /unknown token \{extension\}/);
+    assert.match(checkTemplate('{folder}/result.png'), /must contain/);
+    assert.strictEqual(checkTemplate('{id}.{ext}'), null);
+  });
+  
+  it('numbers colliding names in listing order', () => {
+    const namer = new OutputNamer({ outputDir: '/out', template: '{name}.{ext}' });
+    const images = [localImage('a.jpg', 'one'), localImage('a.jpg', 'two'), localImage('a.jpg', 'three')];
+    
+    namer.assign(images);
+    
+    assert.deepStrictEqual(images.map(image => namer.getOutputPath(image)), [
+      path.resolve('/out/a.jpg'),
+      path.resolve('/out/a-2.jpg'),
+      path.resolve('/out/a-3.jpg')
+    ]);
+  });
+  
+  it('applies the other collision policies', () => {
+    const images = [localImage('a.jpg', 'one'), localImage('a.jpg', 'two')];
+    const namer = policy => {
+      const outputNamer = new OutputNamer({ outputDir: '/out', template: '{name}.{ext}', onCollision: policy });
+      outputNamer.getOutputPath(images[0]);
+      return outputNamer;
+    };
+    
+    assert.match(namer('id').getOutputPath(images[1]), /a-[0-9a-f]{10}\.jpg$/);
+    assert.strictEqual(namer('overwrite').getOutputPath(images[1]), path.resolve('/out/a.jpg'));
+    assert.throws(() => namer('fail').getOutputPath(images[1]), error => error.category === 'delivery');
+  });
+  
+  it('does not hand out names completed images of earlier runs hold', () => {
+    const outputDir = createTempDir();
+    const manifest = new JobManifest(outputDir);
+    const earlier = localImage('a.jpg', 'one');
+    const later = localImage('a.jpg', 'two');
+    manifest.update(path.resolve(later.filePath), { phase: 'completed', outputPath: path.join(outputDir, 'a.jpg') });
+    
+    const namer = new OutputNamer({ outputDir, template: '{name}.{ext}', manifest });
+    
+    assert.strictEqual(namer.getOutputPath(earlier), path.join(outputDir, 'a-2.jpg'));
+    assert.strictEqual(namer.getOutputPath(later), path.join(outputDir, 'a.jpg'));
+  });
+  
+  it('keeps same-named images from different subfolders apart in the output directory', async () => {
+    mockApi = await startMockApi();
+    const sourceDir = createSourceDir(['dealerA/front.png', 'dealerB/front.png']);
+    const replacer = createPlateReplacer({ config: createTestConfig(mockApi, sourceDir) });
+    const { images } = await replacer.listImages();
+    
+    const summary = await replacer.processBatch(images);
+    
+    assert.strictEqual(summary.succeeded, 2);
+    assert.deepStrictEqual(summary.results.map(result => path.relative(replacer.outputDir, result.outputPath)), [
+      path.join('dealerA', 'front_processed.png'),
+      path.join('dealerB', 'front_processed.png')
+    ]);
+    // No flattened copy where the second result would overwrite the first
+    assert.ok(!fs.existsSync(path.join(replacer.outputDir, 'front_processed.png')));
+    assert.deepStrictEqual(summary.results.map(result => result.deliveries.map(delivery => delivery.destination)), summary.results.map(result => [result.outputPath]));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,114 @@
+const { describe, it, before, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { google } = require('googleapis');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { createOutputSink } = require('../src/output_sinks');
+const { silenceConsole, createTempDir } = require('./helpers');
+
+// Processed file in a fresh working directory
+function createResultFile(name = 'front_processed.png') {
+  const filePath = path.join(createTempDir(), name);
+  fs.writeFileSync(filePath, 'image data');
+  return filePath;
+}
+
+// In-memory Drive client whose first `failures` requests fail
+function createFakeDrive({ failures = 0 } = {}) {
+  const items = [];
+  const fail = () => {
+    if (failures > 0) {
+      failures--;
+      throw new Error('Drive unavailable');
+    }
+  };
+  const describeItem = item => ({ data: { ...item, webViewLink: `https://drive.example.com/${item.id}` } });
+  
+  return {
+    items,
+    files: {
+      async list({ q }) {
+        fail();
+        const [, parent, name] = q.match(/^'(.+?)' in parents and name = '(.+?)'/);
+        return { data: { files: items.filter(item => item.parents[0] === parent && item.name === name) } };
+      },
+      async create({ requestBody }) {
+        fail();
+        const item = { id: `id${items.length + 1}`, ...requestBody };
+        items.push(item);
+        return describeItem(item);
+      },
+      async update({ fileId }) {
+        fail();
+        return describeItem(items.find(item => item.id === fileId));
+      }
+    }
+  };
+}
+
+describe('output sinks', () => {
+  before(() => silenceConsole());
+  
+  afterEach(() => mock.restoreAll());
+  
+  it('creates sinks by type', () => {
+    assert.strictEqual(createOutputSink({ type: 'local', path: '/out' }).location, '/out');
+    assert.strictEqual(createOutputSink({ type: 's3', bucket: 'plates', prefix: 'done/' }).location, 's3://plates/done/');
+    assert.throws(() => createOutputSink({ type: 'ftp' }), /Unknown output sink type "ftp"\. Available: local, googleDrive, s3/);
+    assert.throws(() => createOutputSink({ type: 'googleDrive', folderUrl: 'https://example.com' }), /Invalid Google Drive folder URL/);
+  });
+  
+  it('copies results into a local directory, with or without subfolders', async () => {
+    const filePath = createResultFile();
+    const targetDir = createTempDir();
+    const image = { folder: 'dealerA' };
+    
+    const mirrored = await createOutputSink({ type: 'local', path: targetDir }).write(filePath, image);
+    const flat = await createOutputSink({ type: 'local', path: targetDir, mirror: false }).write(filePath, image, 'dealerA/2026/front.png');
+    
+    assert.strictEqual(mirrored, path.join(targetDir, 'dealerA', 'front_processed.png'));
+    assert.strictEqual(flat, path.join(targetDir, 'front.png'));
+    assert.strictEqual(fs.readFileSync(flat, 'utf8'), 'image data');
+  });
+  
+  it('uploads results to S3 below the key prefix', async () => {
+    const sent = [];
+    mock.method(S3Client.prototype, 'send', async command => sent.push(command.input));
+    const filePath = createResultFile();
+    
+    const mirrored = await createOutputSink({ type: 's3', bucket: 'plates', prefix: 'done' }).write(filePath, { folder: 'dealerA' });
+    const flat = await createOutputSink({ type: 's3', bucket: 'plates', mirror: false }).write(filePath, {}, 'dealerA/front.jpg');
+    
+    assert.strictEqual(mirrored, 's3://plates/done/dealerA/front_processed.png');
+    assert.strictEqual(flat, 's3://plates/front.jpg');
+    assert.deepStrictEqual(sent.map(({ Bucket, Key, ContentType }) => ({ Bucket, Key, ContentType })), [
+      { Bucket: 'plates', Key: 'done/dealerA/front_processed.png', ContentType: 'image/png' },
+      { Bucket: 'plates', Key: 'front.jpg', ContentType: 'image/png' }
+    ]);
+  });
+  
+  it('uploads results into Drive folders and looks a folder up again after a failure', async () => {
+    const drive = createFakeDrive({ failures: 1 });
+    mock.method(google, 'drive', () => drive);
+    const sink = createOutputSink({
+      type: 'googleDrive',
+      folderUrl: 'https://drive.google.com/drive/folders/root',
+      auth: { type: 'serviceAccount', keyFile: 'key.json' }
+    });
+    const filePath = createResultFile();
+    
+    await assert.rejects(sink.write(filePath, {}, 'dealerA/front.png'), /Drive unavailable/);
+    const links = await Promise.all([
+      sink.write(filePath, {}, 'dealerA/front.png'),
+      sink.write(filePath, {}, 'dealerA/rear.png')
+    ]);
+    
+    assert.deepStrictEqual(drive.items.map(({ id, name, parents }) => [id, name, parents[0]]), [
+      ['id1', 'dealerA', 'root'],
+      ['id2', 'front.png', 'id1'],
+      ['id3', 'rear.png', 'id1']
+    ]);
+    assert.deepStrictEqual(links, ['https://drive.example.com/id2', 'https://drive.example.com/id3']);
+  });
+});
\ No newline at end of file
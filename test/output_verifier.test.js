@@ -0,0 +1,82 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createPlateReplacer } = require('../src/plate_replacer');
+const { verifyOutput } = require('../src/output_verifier');
+const { startMockApi, MOCK_PNG, MOCK_RESULT_PNG } = require('./mock_api_server');
+const { silenceConsole, createTempDir, createSourceDir, createTestConfig } = require('./helpers');
+
+describe('output verification', () => {
+  let mockApi;
+  
+  before(() => silenceConsole());
+  
+  afterEach(() => mockApi?.close());
+  
+  // Process a source directory against a mock API answering with the given results
+  const run = async (results, config = {}) => {
+    mockApi = await startMockApi({ behaviours: Object.fromEntries(Object.entries(results).map(([name, result]) => [name, { result }])) });
+    const replacer = createPlateReplacer({ config: createTestConfig(mockApi, createSourceDir(Object.keys(results)), config) });
+    const { images } = await replacer.listImages();
+    return { replacer, images, summary: await replacer.processBatch(images) };
+  };
+  
+  it('moves suspicious results to needs_review and fails undecodable ones', async () => {
+    const { replacer, summary } = await run({ 'a.png': 'png', 'b.png': 'unchanged', 'c.png': 'resized', 'd.png': 'corrupt' });
+    
+    assert.deepStrictEqual([summary.succeeded, summary.needsReview, summary.failed], [1, 2, 1]);
+    const [a, b, c, d] = summary.results;
+    assert.strictEqual(a.outputPath, path.join(replacer.outputDir, 'a_processed.png'));
+    assert.deepStrictEqual(a.reviewIssues, []);
+    
+    assert.strictEqual(b.status, 'needs_review');
+    assert.strictEqual(b.outputPath, path.join(replacer.outputDir, 'needs_review', 'b_processed.png'));
+    assert.match(b.reviewIssues[0], /^Only 0% of the image differs from the source/);
+    assert.deepStrictEqual(b.deliveries, []);
+    assert.ok(!fs.existsSync(path.join(replacer.outputDir, 'b_processed.png')));
+    assert.strictEqual(c.status, 'needs_review');
+    assert.deepStrictEqual(c.reviewIssues, ['Dimensions 2x2 differ from the source (1x1)']);
+    
+    assert.strictEqual(d.status, 'failed');
+    assert.strictEqual(d.errorCategory, 'invalid_response');
+    assert.match(d.error, /^Result is not a valid image/);
+    assert.ok(!fs.existsSync(path.join(replacer.outputDir, 'd_processed.png')));
+  });
+  
+  it('leaves results under review alone until they are removed', async () => {
+    const { replacer, images, summary } = await run({ 'a.png': 'unchanged' });
+    const [{ outputPath }] = summary.results;
+    
+    const rerun = await replacer.processBatch(images);
+    assert.strictEqual(rerun.results[0].status, 'skipped');
+    assert.strictEqual(rerun.results[0].outputPath, outputPath);
+    
+    // Removing the result rejects it: the image is submitted again
+    fs.rmSync(outputPath);
+    const afterReview = await replacer.processBatch(images);
+    assert.strictEqual(afterReview.needsReview, 1);
+    assert.strictEqual(mockApi.requests.filter(request => request.path.endsWith('/submission')).length, 2);
+  });
+  
+  it('accepts every decodable result when disabled', async () => {
+    const { summary } = await run({ 'a.png': 'unchanged', 'b.png': 'resized' }, { verification: { enabled: false } });
+    
+    assert.strictEqual(summary.succeeded, 2);
+    assert.strictEqual(summary.needsReview, 0);
+  });
+  
+  it('flags results that are byte-identical to their source', async () => {
+    const dir = createTempDir();
+    const outputPath = path.join(dir, 'result.png');
+    fs.writeFileSync(outputPath, MOCK_PNG);
+    
+    const identical = await verifyOutput(outputPath, MOCK_PNG);
+    const replaced = await verifyOutput(outputPath, MOCK_RESULT_PNG);
+    const unchecked = await verifyOutput(outputPath, null);
+    
+    assert.deepStrictEqual(identical.issues, ['Identical to the source image']);
+    assert.deepStrictEqual([replaced.issues, replaced.changedPercent], [[], 100]);
+    assert.deepStrictEqual(unchecked, { format: 'png', width: 1, height: 1, changedPercent: null, issues: [] });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,225 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createPlateReplacer } = require('../src/plate_replacer');
+const { DailyQuota } = require('../src/rate_limiter');
+const { startMockApi } = require('./mock_api_server');
+const { PLATE_PATH, silenceConsole, createTempDir, createSourceDir, createTestConfig } = require('./helpers');
+
+describe('plate replacer pipeline', () => {
+  let mockApi;
+  
+  before(() => silenceConsole());
+  
+  afterEach(() => mockApi?.close());
+  
+  // Start a mock API and a replacer for a source directory with the given images
+  const setup = async ({ images = ['a.png', 'b.png'], mock = {}, config = {} } = {}) => {
+    mockApi = await startMockApi(mock);
+    const sourceDir = createSourceDir(images);
+    const replacer = createPlateReplacer({ config: createTestConfig(mockApi, sourceDir, config) });
+    const { images: sourceImages } = await replacer.listImages();
+    return { replacer, images: sourceImages };
+  };
+  
+  const countRequests = path => mockApi.requests.filter(request => request.path.endsWith(path)).length;
+  
+  it('processes images sequentially', async () => {
+    const { replacer, images } = await setup({ config: { processing: { parallelProcessing: false } } });
+    const events = [];
+    ['submitted', 'status', 'downloaded'].forEach(name => replacer.on(name, () => events.push(name)));
+    
+    const summary = await replacer.processBatch(images);
+    
+    assert.strictEqual(summary.succeeded, 2);
+    assert.strictEqual(summary.failed, 0);
+    summary.results.forEach(result => assert.ok(fs.existsSync(result.outputPath)));
+    // Each image is finished before the next one is submitted
+    assert.deepStrictEqual(events.slice(0, 4), ['submitted', 'status', 'status', 'downloaded']);
+  });
+  
+  it('keeps source names, extensions and subfolders in the output', async () => {
+    const { replacer, images } = await setup({ images: ['dealer/suv/VIN2_rear.jpeg', 'dealer/VIN1_front.jpg', 'VIN1_front.png'] });
+    
+    const summary = await replacer.processBatch(images);
+    
+    const outputs = summary.results.map(result => path.relative(replacer.outputDir, result.outputPath).split(path.sep).join('/'));
+    assert.deepStrictEqual(outputs, ['dealer/suv/VIN2_rear_processed.jpeg', 'dealer/VIN1_front_processed.jpg', 'VIN1_front_processed.png']);
+    outputs.forEach(output => assert.ok(fs.existsSync(path.join(replacer.outputDir, output))));
+  });
+  
+  it('post-processes results and delivers their thumbnails', async () => {
+    const { replacer, images } = await setup({
+      images: ['VIN1_front.png'],
+      config: { postProcessing: { format: 'jpeg', metadata: 'strip', thumbnails: [{ width: 1 }] } }
+    });
+    
+    const summary = await replacer.processBatch(images);
+    
+    const [result] = summary.results;
+    assert.strictEqual(summary.succeeded, 1);
+    assert.strictEqual(path.basename(result.outputPath), 'VIN1_front_processed.jpg');
+    assert.strictEqual(fs.readFileSync(result.outputPath)[0], 0xff);
+    assert.deepStrictEqual(result.thumbnails.map(thumbnail => path.basename(thumbnail)), ['VIN1_front_processed_thumb.jpg']);
+    assert.strictEqual(result.deliveries.length, 2);
+  });
+  
+  it('submits each image with the plate its folder selects', async () => {
+    const dealerPlate = path.join(createTempDir(), 'dealer-a.png');
+    fs.copyFileSync(PLATE_PATH, dealerPlate);
+    const { replacer, images } = await setup({
+      images: ['dealerA/a.png', 'b.png'],
+      config: { plate: { path: PLATE_PATH, rules: [{ folder: 'dealerA', path: dealerPlate }] } }
+    });
+    
+    await replacer.processBatch(images);
+    
+    const plates = Object.fromEntries(mockApi.requests.filter(request => request.plate).map(request => [request.image, request.plate]));
+    assert.deepStrictEqual(plates, { 'a.png': 'dealer-a.png', 'b.png': 'logo-example.png' });
+  });
+  
+  it('refuses to start with an invalid plate image', async () => {
+    // A 1x1 pixel image is not plate shaped
+    const { replacer, images } = await setup({ config: { plate: { path: path.join(createSourceDir(['tiny.png']), 'tiny.png') } } });
+    
+    await assert.rejects(replacer.processBatch(images), /Plate images are invalid/);
+    assert.strictEqual(countRequests('/submission'), 0);
+  });
+  
+  it('submits everything first and batches status checks in parallel mode', async () => {
+    const { replacer, images } = await setup({
+      images: ['a.png', 'b.png', 'c.png', 'd.png'],
+      mock: { behaviours: { default: { phases: ['queued', 'processing', 'ready'] } } },
+      config: { processing: { parallelProcessing: true, maxConcurrent: 4 } }
+    });
+    
+    const summary = await replacer.processBatch(images);
+    
+    assert.strictEqual(summary.succeeded, 4);
+    assert.strictEqual(countRequests('/submission'), 4);
+    const statusRequests = mockApi.requests.filter(request => request.path.endsWith('/status'));
+    assert.ok(statusRequests.some(request => request.imageUrls.length > 1), 'expected a batched status request');
+    assert.ok(statusRequests.length < 4 * 3, 'expected fewer status requests than one per image and check');
+  });
+  
+  it('falls back to single status checks when the API cannot batch', async () => {
+    const { replacer, images } = await setup({
+      images: ['a.png', 'b.png', 'c.png'],
+      mock: { batchStatus: false },
+      config: { processing: { parallelProcessing: true, maxConcurrent: 3 } }
+    });
+    
+    const summary = await replacer.processBatch(images);
+    
+    assert.strictEqual(summary.succeeded, 3);
+  });
+  
+  it('fails images that never become ready with a timeout', async () => {
+    const { replacer, images } = await setup({
+      images: ['a.png'],
+      mock: { behaviours: { default: { neverReady: true } } },
+      config: { polling: { maxRetries: 3 } }
+    });
+    
+    const summary = await replacer.processBatch(images);
+    
+    assert.strictEqual(summary.failed, 1);
+    assert.deepStrictEqual(summary.failures, { timeout: 1 });
+    assert.strictEqual(countRequests('/status'), 3);
+  });
+  
+  it('retries rate limited and failed requests', async () => {
+    const { replacer, images } = await setup({
+      images: ['a.png'],
+      mock: { behaviours: { default: { submissionErrors: [429, 500], retryAfter: 0, statusErrors: [503], resultErrors: [502] } } }
+    });
+    
+    const summary = await replacer.processBatch(images);
+    
+    assert.strictEqual(summary.succeeded, 1);
+    assert.strictEqual(countRequests('/submission'), 3);
+  });
+  
+  it('gives up on requests the API does not answer within the timeout', async () => {
+    const { replacer, images } = await setup({
+      images: ['a.png'],
+      mock: { behaviours: { 'a.png': { delayMs: 200 } } },
+      config: { api: { timeoutMs: 50 }, retry: { status: { maxAttempts: 2, baseDelayMs: 1, maxDelayMs: 5 } } }
+    });
+    
+    const summary = await replacer.processBatch(images);
+    
+    assert.deepStrictEqual(summary.failures, { network: 1 });
+    assert.strictEqual(countRequests('/status'), 2);
+  });
+  
+  it('does not send a submission again after a network error', async () => {
+    const { replacer, images } = await setup({
+      images: ['a.png'],
+      mock: { behaviours: { default: { delayMs: 200 } } },
+      config: { api: { timeoutMs: 50 } }
+    });
+    
+    const summary = await replacer.processBatch(images);
+    
+    assert.deepStrictEqual(summary.failures, { network: 1 });
+    assert.strictEqual(countRequests('/submission'), 1);
+  });
+  
+  it('does not retry a rejected API key', async () => {
+    const { replacer, images } = await setup({ images: ['a.png'], mock: { apiKey: 'another-key' } });
+    
+    const summary = await replacer.processBatch(images);
+    
+    assert.deepStrictEqual(summary.failures, { auth: 1 });
+    assert.strictEqual(countRequests('/submission'), 1);
+  });
+  
+  it('skips images a previous run completed', async () => {
+    const { replacer, images } = await setup();
+    await replacer.processBatch(images);
+    
+    const rerun = await replacer.processBatch(images);
+    
+    assert.strictEqual(rerun.skipped, 2);
+    assert.strictEqual(countRequests('/submission'), 2);
+  });
+  
+  it('resumes an image that failed after its submission without submitting it again', async () => {
+    const { replacer, images } = await setup({
+      images: ['a.png'],
+      mock: { behaviours: { default: { statusErrors: [503] } } },
+      config: { retry: { status: { maxAttempts: 1 } } }
+    });
+    
+    const summary = await replacer.processBatch(images);
+    assert.deepStrictEqual(summary.failures, { server_error: 1 });
+    assert.strictEqual(replacer.manifest.get(summary.results[0].id).resumable, true);
+    
+    const rerun = await replacer.processBatch(images);
+    assert.strictEqual(rerun.succeeded, 1);
+    assert.strictEqual(countRequests('/submission'), 1);
+  });
+  
+  it('defers images once the daily quota is used up', async () => {
+    const { replacer, images } = await setup({ config: { rateLimit: { dailyImageQuota: 1 } } });
+    
+    const summary = await replacer.processBatch(images);
+    
+    assert.strictEqual(summary.succeeded, 1);
+    assert.strictEqual(summary.deferred, 1);
+    assert.strictEqual(summary.creditsUsed, 1);
+  });
+  
+  it('starts the quota over when its file is corrupt', () => {
+    const outputDir = createTempDir();
+    fs.writeFileSync(path.join(outputDir, '.plate-replacer-quota.json'), '{"day": "2026-');
+    
+    const quota = new DailyQuota(outputDir, 2);
+    assert.strictEqual(quota.used, 0);
+    quota.reserve();
+    
+    assert.strictEqual(new DailyQuota(outputDir, 2).used, 1);
+  });
+});
\ No newline at end of file
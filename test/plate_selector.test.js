@@ -0,0 +1,81 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { PlateSelector, validatePlateImage } = require('../src/plate_selector');
+const { ConfigError } = require('../src/config_loader');
+const { silenceConsole, createTempDir } = require('./helpers');
+
+// Write a test plate image
+async function createPlate(dir, name, { width = 520, height = 110, alpha = true, format = 'png' } = {}) {
+  const filePath = path.join(dir, name);
+  const background = alpha ? { r: 0, g: 0, b: 255, alpha: 0.5 } : { r: 0, g: 0, b: 255 };
+  await sharp({ create: { width, height, channels: alpha ? 4 : 3, background } }).toFormat(format).toFile(filePath);
+  return filePath;
+}
+
+describe('plate selection', () => {
+  let dir;
+  
+  before(() => {
+    silenceConsole();
+    dir = createTempDir();
+  });
+  
+  const localImage = (name, folder = '') => ({ filePath: path.join('/photos', folder, name), name, folder });
+  
+  it('picks the mapped plate, then the first matching rule, then the default', () => {
+    const mappingFile = path.join(dir, 'plates.csv');
+    fs.writeFileSync(mappingFile, 'image,plate\ndealerA/VIN9.jpg,plates/special.png\nVIN7.jpg,plates/vin7.png\n');
+    const selector = new PlateSelector({
+      defaultPath: '/plates/default.png',
+      mappingFile,
+      rules: [
+        { folder: 'dealerA', path: '/plates/a.png' },
+        { pattern: 'bmw_*.jpg', path: '/plates/bmw.png' },
+        { pattern: 'dealerB/*/VIN?.jpg', path: '/plates/b.png' }
+      ]
+    });
+    
+    assert.strictEqual(selector.select(localImage('VIN9.jpg', 'dealerA')), path.join(dir, 'plates/special.png'));
+    assert.strictEqual(selector.select(localImage('VIN7.jpg', 'dealerC')), path.join(dir, 'plates/vin7.png'));
+    assert.strictEqual(selector.select(localImage('VIN1.jpg', 'dealerA/suv')), '/plates/a.png');
+    assert.strictEqual(selector.select(localImage('BMW_X5.JPG', 'dealerAB')), '/plates/bmw.png');
+    assert.strictEqual(selector.select(localImage('VIN1.jpg', 'dealerB/used')), '/plates/b.png');
+    assert.strictEqual(selector.select(localImage('VIN1.jpg', 'dealerB')), '/plates/default.png');
+  });
+  
+  it('rejects rules without a condition and mapping files without a header', () => {
+    assert.throws(() => new PlateSelector({ defaultPath: '/p.png', rules: [{ path: '/a.png' }] }), /needs a folder or a pattern/);
+    
+    const mappingFile = path.join(dir, 'headerless.csv');
+    fs.writeFileSync(mappingFile, 'VIN1.jpg,a.png\n');
+    assert.throws(() => new PlateSelector({ defaultPath: '/p.png', mappingFile }), ConfigError);
+  });
+  
+  it('accepts a transparent plate-shaped PNG', async () => {
+    const { problems, warnings } = await validatePlateImage(await createPlate(dir, 'good.png'));
+    assert.deepStrictEqual(problems, []);
+    assert.deepStrictEqual(warnings, []);
+  });
+  
+  it('reports unusable plate images', async () => {
+    const problemsOf = async (...args) => (await validatePlateImage(await createPlate(dir, ...args))).problems.join('\n');
+    
+    assert.match(await problemsOf('plate.jpg', { alpha: false, format: 'jpeg' }), /must be a PNG file/);
+    assert.match(await problemsOf('opaque.png', { alpha: false }), /no alpha channel/);
+    assert.match(await problemsOf('square.png', { width: 300, height: 300 }), /not plate shaped/);
+    assert.match(await problemsOf('tiny.png', { width: 50, height: 12 }), /pixels wide/);
+    assert.match((await validatePlateImage(path.join(dir, 'missing.png'))).problems[0], /file not found/);
+  });
+  
+  it('validates every plate a selector can pick', async () => {
+    const selector = new PlateSelector({
+      defaultPath: await createPlate(dir, 'default.png'),
+      rules: [{ folder: 'dealerA', path: await createPlate(dir, 'flat.png', { alpha: false }) }]
+    });
+    
+    await assert.rejects(selector.validate(), error => error instanceof ConfigError && /flat\.png/.test(error.message));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,83 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { postProcess } = require('../src/post_processor');
+const { createTempDir } = require('./helpers');
+
+// Marker that only appears in the GPS block of the test image
+const GPS_MARKER = 'SECRET-DATUM';
+
+describe('post-processing', () => {
+  let photo;
+  let outputDir;
+  
+  before(async () => {
+    // A noisy photo with camera and GPS metadata, so quality changes affect the size
+    const noise = Buffer.alloc(800 * 600 * 3).map(() => Math.floor(Math.random() * 256));
+    photo = await sharp(noise, { raw: { width: 800, height: 600, channels: 3 } })
+      .jpeg({ quality: 95 })
+      .withExif({
+        IFD0: { Copyright: 'Dealer 42' },
+        IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '48/1 51/1 2417/100', GPSMapDatum: GPS_MARKER }
+      })
+      .toBuffer();
+    outputDir = createTempDir();
+  });
+  
+  // Copy the test photo to a result file and post-process it
+  const run = async (name, options) => {
+    const filePath = path.join(outputDir, name);
+    fs.writeFileSync(filePath, photo);
+    const processed = await postProcess(filePath, options);
+    return { filePath, processed, data: fs.readFileSync(filePath), metadata: await sharp(filePath).metadata() };
+  };
+  
+  it('converts and resizes within the maximum dimensions', async () => {
+    const { processed, metadata } = await run('convert.webp', { format: 'webp', maxWidth: 400, maxHeight: 400 });
+    
+    assert.strictEqual(metadata.format, 'webp');
+    assert.deepStrictEqual([metadata.width, metadata.height], [400, 300]);
+    assert.strictEqual(processed.width, 400);
+  });
+  
+  it('uses the format the file extension names by default', async () => {
+    const { metadata } = await run('auto.png', {});
+    assert.strictEqual(metadata.format, 'png');
+  });
+  
+  it('lowers the quality until the file fits maxBytes', async () => {
+    const { processed: unlimited } = await run('unlimited.jpg', { quality: 90 });
+    const { processed, data } = await run('limited.jpg', { quality: 90, maxBytes: Math.round(unlimited.bytes * 0.6) });
+    
+    assert.ok(processed.quality < 90);
+    assert.ok(data.length <= unlimited.bytes * 0.6);
+  });
+  
+  it('fails when the file cannot fit maxBytes', async () => {
+    await assert.rejects(run('too_big.jpg', { maxBytes: 1000 }), error => error.category === 'post_processing');
+  });
+  
+  it('keeps, strips or removes only the GPS metadata', async () => {
+    const kept = await run('keep.jpg', { metadata: 'keep' });
+    assert.ok(kept.data.includes(GPS_MARKER));
+    
+    const stripped = await run('strip.jpg', { metadata: 'strip' });
+    assert.strictEqual(stripped.metadata.exif, undefined);
+    
+    for (const name of ['gps.jpg', 'gps.webp', 'gps.png']) {
+      const { data, metadata } = await run(name, { metadata: 'stripGps' });
+      assert.ok(!data.includes(GPS_MARKER), `${name} still has GPS data`);
+      assert.ok(metadata.exif.includes('Dealer 42'), `${name} lost the other EXIF data`);
+    }
+  });
+  
+  it('writes thumbnails next to the result', async () => {
+    const { processed } = await run('thumbs.jpg', { thumbnails: [{ width: 160, suffix: '_small' }, { width: 40, height: 40 }] });
+    
+    assert.deepStrictEqual(processed.thumbnails.map(thumbnail => path.basename(thumbnail)), ['thumbs_small.jpg', 'thumbs_thumb.jpg']);
+    const sizes = await Promise.all(processed.thumbnails.map(async thumbnail => (await sharp(thumbnail).metadata()).width));
+    assert.deepStrictEqual(sizes, [160, 40]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,64 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { classifyError, getRetryAfterMs, getRetryDelay, withRetry } = require('../src/retry_policy');
+const { silenceConsole } = require('./helpers');
+
+// Error shaped like an axios HTTP error
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+describe('retry policy', () => {
+  before(() => silenceConsole());
+  
+  it('classifies errors', () => {
+    assert.strictEqual(classifyError(httpError(429)), 'rate_limited');
+    assert.strictEqual(classifyError(httpError(503)), 'server_error');
+    assert.strictEqual(classifyError(httpError(401)), 'auth');
+    assert.strictEqual(classifyError(httpError(400)), 'rejected');
+    assert.strictEqual(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), 'network');
+    assert.strictEqual(classifyError(new Error('boom')), 'unknown');
+  });
+  
+  it('reads Retry-After as seconds or a date', () => {
+    assert.strictEqual(getRetryAfterMs(httpError(429, { 'retry-after': '3' })), 3000);
+    const inFiveSeconds = new Date(Date.now() + 5000).toUTCString();
+    assert.ok(getRetryAfterMs(httpError(429, { 'retry-after': inFiveSeconds })) > 3000);
+    assert.strictEqual(getRetryAfterMs(httpError(429)), null);
+  });
+  
+  it('backs off exponentially up to the maximum delay', () => {
+    const policy = { baseDelayMs: 100, maxDelayMs: 1000 };
+    const error = httpError(500);
+    assert.ok(getRetryDelay(error, 1, policy) >= 50 && getRetryDelay(error, 1, policy) <= 100);
+    assert.ok(getRetryDelay(error, 3, policy) >= 200 && getRetryDelay(error, 3, policy) <= 400);
+    assert.ok(getRetryDelay(error, 10, policy) <= 1000);
+    assert.strictEqual(getRetryDelay(httpError(429, { 'retry-after': '0.5' }), 1, policy), 500);
+    assert.strictEqual(getRetryDelay(httpError(429, { 'retry-after': '3600' }), 1, policy), 1000);
+  });
+  
+  it('retries retryable errors up to maxAttempts', async () => {
+    let attempts = 0;
+    await assert.rejects(withRetry(async () => {
+      attempts++;
+      throw httpError(500);
+    }, { maxAttempts: 3, baseDelayMs: 1 }), error => error.category === 'server_error');
+    assert.strictEqual(attempts, 3);
+  });
+  
+  it('does not wait for a Retry-After longer than the maximum delay', async () => {
+    let attempts = 0;
+    await assert.rejects(withRetry(async () => {
+      attempts++;
+      throw httpError(429, { 'retry-after': '3600' });
+    }, { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 1000 }), error => error.category === 'rate_limited');
+    assert.strictEqual(attempts, 1);
+  });
+  
+  it('stops at the first fatal error', async () => {
+    let attempts = 0;
+    await assert.rejects(withRetry(async () => {
+      attempts++;
+      throw httpError(401);
+    }, { maxAttempts: 3, baseDelayMs: 1 }), error => error.category === 'auth');
+    assert.strictEqual(attempts, 1);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createPlateReplacer, readLastRun } = require('../src/plate_replacer');
+const { CSV_COLUMNS } = require('../src/run_report');
+const { startMockApi } = require('./mock_api_server');
+const { silenceConsole, createTempDir, createSourceDir, createTestConfig, PLATE_PATH } = require('./helpers');
+
+describe('run report', () => {
+  before(() => silenceConsole());
+  
+  // Run a batch against the mock API and report it like the CLI does
+  const runBatch = async (names, { mock = {}, report } = {}) => {
+    const mockApi = await startMockApi(mock);
+    try {
+      const config = createTestConfig(mockApi, createSourceDir(names), { report });
+      const replacer = createPlateReplacer({ config });
+      const { images } = await replacer.listImages();
+      const summary = await replacer.processBatch(images);
+      await replacer.reportRun(summary, '2026-03-01T10:00:00.000Z');
+      return { summary, outputDir: replacer.outputDir };
+    } finally {
+      mockApi.close();
+    }
+  };
+  
+  it('records every image with its timings, plate and outcome', async () => {
+    const { outputDir } = await runBatch(['a.png', 'b.png'], { mock: { behaviours: { 'b.png': { submissionErrors: [400] } } } });
+    
+    const reportDir = path.join(outputDir, 'reports', 'run-2026-03-01T10-00-00-000Z');
+    const report = JSON.parse(fs.readFileSync(path.join(reportDir, 'report.json'), 'utf8'));
+    assert.deepStrictEqual([report.summary.succeeded, report.summary.failed], [1, 1]);
+    
+    const [a, b] = report.images;
+    assert.strictEqual(a.status, 'succeeded');
+    assert.strictEqual(a.plate, PLATE_PATH);
+    assert.strictEqual(a.phase, 'ready');
+    assert.ok(a.polls >= 1);
+    assert.ok(Date.parse(a.submittedAt) <= Date.parse(a.readyAt));
+    assert.strictEqual(a.output, 'a_processed.png');
+    assert.strictEqual(a.outputBytes, fs.statSync(a.outputPath).size);
+    assert.deepStrictEqual(a.previews, { before: 'thumbnails/0001-a-before.jpg', after: 'thumbnails/0001-a-after.jpg' });
+    assert.ok(fs.existsSync(path.join(reportDir, a.previews.before)));
+    assert.ok(fs.existsSync(path.join(reportDir, a.previews.after)));
+    
+    assert.strictEqual(b.status, 'failed');
+    assert.strictEqual(b.output, null);
+    assert.ok(b.errorCategory);
+    assert.match(b.error, /400/);
+    assert.strictEqual(b.previews.after, null);
+    
+    assert.strictEqual(readLastRun(outputDir).report, path.join(reportDir, 'report.html'));
+  });
+  
+  it('writes a CSV row and an HTML entry per image', async () => {
+    const { outputDir } = await runBatch(['a, "front".png'], { report: { thumbnails: false } });
+    
+    const reportDir = path.join(outputDir, 'reports', 'run-2026-03-01T10-00-00-000Z');
+    const [header, row, ...rest] = fs.readFileSync(path.join(reportDir, 'report.csv'), 'utf8').split('\r\n');
+    assert.strictEqual(header, CSV_COLUMNS.join(','));
+    assert.deepStrictEqual(rest, []);
+    assert.ok(row.includes(',"a, ""front""",succeeded,'), row);
+    
+    const html = fs.readFileSync(path.join(reportDir, 'report.html'), 'utf8');
+    assert.match(html, /<strong>a, &quot;front&quot;<\/strong>/);
+    assert.match(html, /no preview/);
+    assert.deepStrictEqual(fs.readdirSync(path.join(reportDir, 'thumbnails')), []);
+  });
+  
+  it('writes reports to the configured directory, or not at all', async () => {
+    const reportsDir = createTempDir();
+    await runBatch(['a.png'], { report: { directory: reportsDir } });
+    const { outputDir } = await runBatch(['a.png'], { report: { enabled: false } });
+    
+    assert.deepStrictEqual(fs.readdirSync(reportsDir), ['run-2026-03-01T10-00-00-000Z']);
+    assert.ok(!fs.existsSync(path.join(outputDir, 'reports')));
+    assert.strictEqual(readLastRun(outputDir).report, null);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,70 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { StatusScheduler } = require('../src/status_scheduler');
+const { silenceConsole } = require('./helpers');
+
+const POLLING = { intervalMs: 5, maxIntervalMs: 5, backoffFactor: 1, maxRetries: 10, batchSize: 10 };
+
+describe('status scheduler', () => {
+  before(() => silenceConsole());
+  
+  // An unhandled rejection would end the test run on Node 20, so fail loudly instead
+  const withoutUnhandledRejections = async (test) => {
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+      await test();
+      await new Promise(resolve => setTimeout(resolve, 20));
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+    }
+    assert.deepStrictEqual(unhandled, []);
+  };
+  
+  it('polls an image waited for twice once and reports to both waiters', async () => {
+    const checked = [];
+    const reported = [];
+    const scheduler = new StatusScheduler({
+      polling: POLLING,
+      checkStatus: async imageUrls => {
+        checked.push(...imageUrls);
+        return imageUrls.map(image_url => ({ image_url, phase: 'ready' }));
+      },
+      onStatus: (job, imageData, context) => reported.push(context)
+    });
+    
+    await Promise.all([scheduler.waitForReady('a', 'first'), scheduler.waitForReady('a', 'second')]);
+    
+    assert.deepStrictEqual(checked, ['a']);
+    assert.deepStrictEqual(reported, ['first', 'second']);
+  });
+  
+  it('fails the job whose status callback throws and keeps polling the others', () => withoutUnhandledRejections(async () => {
+    const scheduler = new StatusScheduler({
+      polling: POLLING,
+      checkStatus: async imageUrls => imageUrls.map(image_url => ({ image_url, phase: 'ready' })),
+      onStatus: job => {
+        if (job.imageUrl === 'a') {
+          throw new Error('ENOSPC: no space left on device');
+        }
+      }
+    });
+    
+    const [a, b] = await Promise.allSettled([scheduler.waitForReady('a'), scheduler.waitForReady('b')]);
+    
+    assert.match(a.reason.message, /ENOSPC/);
+    assert.strictEqual(b.status, 'fulfilled');
+    assert.strictEqual(scheduler.pending, 0);
+  }));
+  
+  it('fails the outstanding jobs when a round of checks throws', () => withoutUnhandledRejections(async () => {
+    // Not an array of entries
+    const scheduler = new StatusScheduler({ polling: POLLING, checkStatus: async () => ({ images: [] }) });
+    
+    const results = await Promise.allSettled([scheduler.waitForReady('a'), scheduler.waitForReady('b')]);
+    
+    assert.deepStrictEqual(results.map(result => result.status), ['rejected', 'rejected']);
+    assert.strictEqual(scheduler.pending, 0);
+  }));
+});
\ No newline at end of file